@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+// Mock live death feed for trying the dashboard's live mode offline. No dependencies.
+//
+//   npm run mock-live                              synthetic deaths around the usual hotspots
+//   npm run mock-live -- deaths.json --rate 5      replay a dataset exported as JSON
+//
+// Serves the same stream as WebSocket (ws://localhost:8787) and Server-Sent Events
+// (http://localhost:8787/events). Each message is one death as JSON, timestamped "now".
+// Options: --port <number> (default 8787), --rate <deaths per second> (default 2).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const parseArgs = (args) => {
+  const options = { file: null, port: 8787, rate: 2 };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') options.port = Number(args[++i]);
+    else if (args[i] === '--rate') options.rate = Number(args[++i]);
+    else options.file = args[i];
+  }
+  if (!Number.isInteger(options.port) || options.port <= 0) throw new Error('--port must be a whole number');
+  if (!(options.rate > 0)) throw new Error('--rate must be above 0');
+  return options;
+};
+
+// Records to replay, oldest first, so the replay keeps the dataset's order of events
+const loadRecords = (file) => {
+  const text = fs.readFileSync(file, 'utf8');
+  if (path.extname(file).toLowerCase() !== '.json') throw new Error('replay needs a JSON export (Export > Deaths as JSON)');
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : data.deaths;
+  if (!Array.isArray(records)) throw new Error('expected an array of deaths or an object with a "deaths" array');
+  return records
+    .map(record => ({ record, time: new Date(record.timestamp).getTime() || 0 }))
+    .sort((a, b) => a.time - b.time)
+    .map(({ record }) => record);
+};
+
+// Synthetic deaths when no file is given, around the dashboard's own hotspots
+const HOTSPOTS = require('../src/utils/hotspots.json');
+const TOTAL_DENSITY = HOTSPOTS.reduce((sum, hotspot) => sum + hotspot.density, 0);
+const KILLERS = [
+  { killerName: 'Tick Reaper', killerClan: 'Ditch Patrol', killerCombatLevel: 126, attackStyle: 'melee', killerWeapon: 'Dragon claws' },
+  { killerName: 'Void Hunter', killerClan: null, killerCombatLevel: 88, attackStyle: 'ranged', killerWeapon: 'Dark bow' },
+  { killerName: 'Frost Spec', killerClan: 'Rev Hunters', killerCombatLevel: 119, attackStyle: 'magic', killerWeapon: 'Ancient staff' }
+];
+
+const syntheticRecord = () => {
+  // Busier hotspots come up more often
+  let pick = Math.random() * TOTAL_DENSITY;
+  const hotspot = HOTSPOTS.find(candidate => (pick -= candidate.density) < 0) || HOTSPOTS[HOTSPOTS.length - 1];
+  const angle = Math.random() * 2 * Math.PI;
+  const distance = hotspot.radius * Math.sqrt(Math.random());
+  const killer = KILLERS[Math.floor(Math.random() * KILLERS.length)];
+  return {
+    x: Math.round(hotspot.x + distance * Math.cos(angle)),
+    y: Math.round(hotspot.y + distance * Math.sin(angle)),
+    combatLevel: 3 + Math.floor(Math.random() * 124),
+    wealthLost: Math.round(Math.exp(Math.log(500000) + 2 * (Math.random() - 0.5) * 2)),
+    hotspot: hotspot.name,
+    area: hotspot.area,
+    ...killer
+  };
+};
+
+// One unmasked WebSocket text frame (server to client). Messages are single death records,
+// so the 16-bit length form is always enough.
+const encodeFrame = (text) => {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+const main = () => {
+  const options = parseArgs(process.argv.slice(2));
+  const records = options.file ? loadRecords(options.file) : null;
+  if (records && records.length === 0) throw new Error(`${options.file} has no deaths`);
+
+  const sockets = new Set();
+  const streams = new Set();
+
+  const server = http.createServer((request, response) => {
+    if (request.url.startsWith('/events')) {
+      response.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+      });
+      response.write(': connected\n\n');
+      streams.add(response);
+      request.on('close', () => streams.delete(response));
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'text/plain' });
+    response.end(`Mock live death feed. Connect to ws://localhost:${options.port} or http://localhost:${options.port}/events\n`);
+  });
+
+  server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key) {
+      socket.destroy();
+      return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', ''
+    ].join('\r\n'));
+    sockets.add(socket);
+    // Only a close frame (opcode 8) from the client matters here
+    socket.on('data', (data) => {
+      if ((data[0] & 0x0f) === 0x8) socket.end(Buffer.from([0x88, 0]));
+    });
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => sockets.delete(socket));
+  });
+
+  let next = 0;
+  const timer = setInterval(() => {
+    const record = records ? records[next++ % records.length] : syntheticRecord();
+    const message = JSON.stringify({ ...record, timestamp: new Date().toISOString() });
+    const frame = encodeFrame(message);
+    sockets.forEach(socket => socket.write(frame));
+    streams.forEach(stream => stream.write(`data: ${message}\n\n`));
+  }, 1000 / options.rate);
+
+  server.listen(options.port, () => {
+    const source = options.file ? `replaying ${records.length.toLocaleString()} deaths from ${options.file}` : 'sending synthetic deaths';
+    console.log(`Mock live feed ${source} at ${options.rate}/s`);
+    console.log(`  WebSocket: ws://localhost:${options.port}`);
+    console.log(`  SSE:       http://localhost:${options.port}/events`);
+  });
+
+  process.on('SIGINT', () => {
+    clearInterval(timer);
+    sockets.forEach(socket => socket.destroy());
+    streams.forEach(stream => stream.end());
+    server.close(() => process.exit(0));
+  });
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(`mock-live-server: ${error.message}`);
+  process.exit(1);
+}
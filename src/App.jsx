@@ -1,302 +1,645 @@
-import React, { useRef, useEffect, useState, useCallback } from 'react';
-
-// Wilderness map image URL
-const WILDERNESS_MAP_URL = 'https://oldschool.runescape.wiki/images/thumb/The_Wilderness.png/800px-The_Wilderness.png?48133';
-
-// Define some speculative "hotspot" regions on the map (pixel coordinates relative to 800x800 map)
-// These are rough estimates for demonstration purposes.
-const HOTSPOTS = [
-  // Edgeville Wilderness (low level PvP, common entry)
-  { x: 150, y: 700, radius: 80, density: 0.4, name: "Edgeville Wilderness (Lvl 1-5)" },
-  // Chaos Altar / Temple (prayer training, pkers)
-  { x: 650, y: 150, radius: 70, density: 0.3, name: "Chaos Altar / Temple" },
-  // Revenant Caves (high risk, high reward)
-  { x: 400, y: 400, radius: 90, density: 0.5, name: "Revenant Caves Entrance" },
-  // Wilderness Slayer Cave / Lava Dragons (PvM + PvP)
-  { x: 600, y: 550, radius: 60, density: 0.25, name: "Wilderness Slayer/Lava Dragons" },
-  // Deep Wilderness (multi-combat, bosses)
-  { x: 400, y: 100, radius: 100, density: 0.35, name: "Deep Wilderness Bosses" },
-];
-
-// Function to generate speculative death data with additional analytics
-const generateDeathData = (numDeaths = 2000) => {
-  const deaths = [];
-  const mapWidth = 800; // Assumed width of the base map image
-  const mapHeight = 800; // Assumed height of the base map image
-
-  // Add timestamps and additional data for analytics
-  const startDate = new Date('2024-01-01');
-  const endDate = new Date('2024-12-31');
-
-  for (let i = 0; i < numDeaths; i++) {
-    let x, y;
-    // Randomly pick a hotspot to generate a death around, or a general random spot
-    const hotspotChance = Math.random();
-    let chosenHotspot = null;
-
-    // Distribute deaths with higher density around hotspots
-    if (hotspotChance < 0.8) { // 80% chance to be near a hotspot
-      const hotspotIndex = Math.floor(Math.random() * HOTSPOTS.length);
-      chosenHotspot = HOTSPOTS[hotspotIndex];
-      // Generate coordinates within the hotspot's radius
-      const angle = Math.random() * 2 * Math.PI;
-      const r = chosenHotspot.radius * Math.sqrt(Math.random()); // For more even distribution within circle
-      x = chosenHotspot.x + r * Math.cos(angle);
-      y = chosenHotspot.y + r * Math.sin(angle);
-    } else { // 20% chance for a general random death anywhere
-      x = Math.random() * mapWidth;
-      y = Math.random() * mapHeight;
-    }
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
+import DatasetImporter from './components/DatasetImporter';
+import { OUTSIDE_WILDERNESS_LABEL, SURFACE_AREA, findArea, isInArea, groupByArea } from './utils/coordinates';
+import MapControls from './components/MapControls';
+import DeathMap from './components/DeathMap';
+import { DEFAULT_HEATMAP_OPTIONS } from './utils/heatmap';
+import { DEFAULT_VIEW, DEFAULT_MAP_SOURCE } from './utils/mapView';
+import FilterPanel from './components/FilterPanel';
+import { DEFAULT_FILTERS, DAY_NAMES, createFilterPredicate, describeActiveFilters, formatGp } from './utils/filters';
+import { generateInsights } from './utils/insights';
+import { HOTSPOTS } from './utils/hotspots';
+import ScenarioEditor from './components/ScenarioEditor';
+import RegionPanel from './components/RegionPanel';
+import { DEFAULT_REGIONS, prepareRegions, assignRegions } from './utils/regions';
+import TimelinePlayer from './components/TimelinePlayer';
+import ExportMenu from './components/ExportMenu';
+import { DEFAULT_TIMELAPSE, buildTimeline, getWindowDeaths, getWindowMs } from './utils/timeline';
+import { DEFAULT_SCENARIO } from './utils/simulation';
+import { createDataClient } from './utils/dataClient';
+import BusyIndicator from './components/BusyIndicator';
+import RiskMatrix from './components/RiskMatrix';
+import TimeZoneSelect from './components/TimeZoneSelect';
+import { LOCAL_TIME_ZONE, createTimePartsReader } from './utils/timezones';
+import RiskEstimator from './components/RiskEstimator';
+import { DEFAULT_RISK_QUERY, estimateRisk } from './utils/riskEstimator';
+import ComparisonPanel from './components/ComparisonPanel';
+import { DEFAULT_COMPARISON, getPeriodDays, isValidPeriod } from './utils/comparison';
+import { listDatasets, loadDatasetDeaths, saveDataset, renameDataset, deleteDataset, loadSetting, saveSetting } from './utils/storage';
+import { restoreSettings } from './utils/settings';
+import { parseUrlState, serializeUrlState } from './utils/urlState';
+import ShareLinkButton from './components/ShareLinkButton';
+import KillerPanel from './components/KillerPanel';
+import LivePanel from './components/LivePanel';
+import { DEFAULT_LIVE, connectLiveFeed, createLiveWindow } from './utils/liveFeed';
+import ClusterList from './components/ClusterList';
+import MapLayerSwitcher from './components/MapLayerSwitcher';
+import BarChart from './components/BarChart';
+import BarList from './components/BarList';
+import { EMPTY_BRUSH, hasBrush, toggleBrushValue, setBrushValues, describeBrush, calculateLinkedCharts } from './utils/brushing';
+import { WEALTH_RANGES } from './utils/analytics';
+import { DEFAULT_CLUSTER_OPTIONS, findClusters, getClusterView } from './utils/clustering';
+import WealthStatsPanel from './components/WealthStatsPanel';
+import { DEFAULT_WEALTH_OPTIONS, calculateWealthStats } from './utils/wealthStats';
 
-    // Ensure coordinates are within map bounds
-    x = Math.max(0, Math.min(mapWidth, x));
-    y = Math.max(0, Math.min(mapHeight, y));
-
-    // Generate random timestamp within the year
-    const timestamp = new Date(startDate.getTime() + Math.random() * (endDate.getTime() - startDate.getTime()));
-    
-    // Generate random player level (1-126)
-    const playerLevel = Math.floor(Math.random() * 126) + 1;
-    
-    // Generate random combat level (1-126)
-    const combatLevel = Math.floor(Math.random() * 126) + 1;
-    
-    // Generate random wealth lost (0-100M)
-    const wealthLost = Math.floor(Math.random() * 100000000);
-    
-    // Determine time of day (0-23 hours)
-    const hourOfDay = Math.floor(Math.random() * 24);
-    
-    // Determine day of week (0-6, Sunday-Saturday)
-    const dayOfWeek = Math.floor(Math.random() * 7);
-
-    deaths.push({ 
-      x, 
-      y, 
-      timestamp,
-      playerLevel,
-      combatLevel,
-      wealthLost,
-      hourOfDay,
-      dayOfWeek,
-      hotspot: chosenHotspot ? chosenHotspot.name : 'Random Location'
-    });
-  }
-  return deaths;
-};
+// Id of the built-in simulated dataset in the dataset switcher
+const SIMULATED_DATASET_ID = 'simulated';
 
-// Analytics functions
-const calculateAnalytics = (deaths) => {
-  if (deaths.length === 0) return {};
-
-  const totalDeaths = deaths.length;
-  const totalWealthLost = deaths.reduce((sum, death) => sum + death.wealthLost, 0);
-  const avgWealthLost = totalWealthLost / totalDeaths;
-  const avgPlayerLevel = deaths.reduce((sum, death) => sum + death.playerLevel, 0) / totalDeaths;
-  const avgCombatLevel = deaths.reduce((sum, death) => sum + death.combatLevel, 0) / totalDeaths;
-
-  // Time analysis
-  const hourDistribution = Array(24).fill(0);
-  const dayDistribution = Array(7).fill(0);
-  const monthDistribution = Array(12).fill(0);
-
-  deaths.forEach(death => {
-    hourDistribution[death.hourOfDay]++;
-    dayDistribution[death.dayOfWeek]++;
-    monthDistribution[death.timestamp.getMonth()]++;
-  });
-
-  // Hotspot analysis
-  const hotspotCounts = {};
-  deaths.forEach(death => {
-    hotspotCounts[death.hotspot] = (hotspotCounts[death.hotspot] || 0) + 1;
-  });
-
-  const topHotspots = Object.entries(hotspotCounts)
-    .sort(([,a], [,b]) => b - a)
-    .slice(0, 5);
-
-  // Wealth analysis
-  const wealthRanges = {
-    '0-10K': 0,
-    '10K-100K': 0,
-    '100K-1M': 0,
-    '1M-10M': 0,
-    '10M+': 0
-  };
-
-  deaths.forEach(death => {
-    if (death.wealthLost <= 10000) wealthRanges['0-10K']++;
-    else if (death.wealthLost <= 100000) wealthRanges['10K-100K']++;
-    else if (death.wealthLost <= 1000000) wealthRanges['100K-1M']++;
-    else if (death.wealthLost <= 10000000) wealthRanges['1M-10M']++;
-    else wealthRanges['10M+']++;
-  });
-
-  return {
-    totalDeaths,
-    totalWealthLost,
-    avgWealthLost,
-    avgPlayerLevel,
-    avgCombatLevel,
-    hourDistribution,
-    dayDistribution,
-    monthDistribution,
-    topHotspots,
-    wealthRanges
-  };
-};
+// Category labels of the hour of day chart
+const HOUR_LABELS = Array.from({ length: 24 }, (_, hour) => `${hour}:00`);
+
+// Filtered deaths and analytics before the first worker reply
+const EMPTY_RESULT = { deaths: [], analytics: {} };
+
+// Wait this long after the last change before saving settings
+const SAVE_DELAY_MS = 500;
+// Changes closer together than this (e.g. dragging the map) make a single browser history entry
+const HISTORY_DELAY_MS = 400;
+
+// Live mode: how often the panels catch up with new deaths, how often expired deaths are
+// dropped, and how often the map's base layer is rebuilt (new deaths show on an overlay until then)
+const LIVE_PUBLISH_MS = 250;
+const LIVE_EVICT_MS = 1000;
+const LIVE_MAP_REFRESH_MS = 5000;
+// Deaths listed in the live ticker
+const LIVE_TICKER_SIZE = 8;
 
 const App = () => {
-  const canvasRef = useRef(null);
-  const [mapLoaded, setMapLoaded] = useState(false);
-  const [deaths, setDeaths] = useState([]);
-  const [analytics, setAnalytics] = useState({});
-  const [canvasDimensions, setCanvasDimensions] = useState({ width: 0, height: 0 });
+  const mapCanvasRef = useRef(null);
+  // Each dataset is { id, name, count, deaths, builtIn }. The simulated set is always first.
+  // Saved datasets start with deaths: null and are loaded from IndexedDB when opened.
+  const [datasets, setDatasets] = useState([]);
+  const [activeDatasetId, setActiveDatasetId] = useState(SIMULATED_DATASET_ID);
+  const [scenario, setScenario] = useState(DEFAULT_SCENARIO);
+  const [heatmapOptions, setHeatmapOptions] = useState(DEFAULT_HEATMAP_OPTIONS);
+  // Peak value of the current density layer, shown in the legend
+  const [legendMax, setLegendMax] = useState(0);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [mapView, setMapView] = useState(DEFAULT_VIEW);
+  // Map area shown (surface or a cave) and where its image comes from
+  const [mapLayer, setMapLayer] = useState(SURFACE_AREA);
+  const [mapSource, setMapSource] = useState(DEFAULT_MAP_SOURCE);
+  const [regions, setRegions] = useState(DEFAULT_REGIONS);
+  const [showRegionOverlays, setShowRegionOverlays] = useState(true);
+  // Ids of regions hidden from the map
+  const [hiddenRegions, setHiddenRegions] = useState([]);
+  // Whether the ranking panel lists hotspot labels, polygon regions or discovered clusters
+  const [rankBy, setRankBy] = useState('hotspots');
+  const [clusterOptions, setClusterOptions] = useState(DEFAULT_CLUSTER_OPTIONS);
+  // Discovered clusters ({ clusters, minPoints }) while the panel shows them, otherwise null
+  const [clusterResult, setClusterResult] = useState(null);
+  // Histogram edges and breakdown grouping for the wealth statistics, and their result (null without deaths)
+  const [wealthOptions, setWealthOptions] = useState(DEFAULT_WEALTH_OPTIONS);
+  const [wealthStats, setWealthStats] = useState(null);
+  const [timelapse, setTimelapse] = useState(DEFAULT_TIMELAPSE);
+  // Zone that hours, weekdays and months are read in ('local' or an IANA name)
+  const [timeZone, setTimeZone] = useState(LOCAL_TIME_ZONE);
+  // Linked brushing selection on the hour, day, wealth and hotspot charts (see utils/brushing)
+  const [brush, setBrush] = useState(EMPTY_BRUSH);
+  // Risk matrix cell ({ day, hour }) whose deaths are highlighted on the map
+  const [selectedCell, setSelectedCell] = useState(null);
+  const [riskQuery, setRiskQuery] = useState(DEFAULT_RISK_QUERY);
+  // True while the next map click picks the risk estimator's location
+  const [pickingLocation, setPickingLocation] = useState(false);
+  const [comparison, setComparison] = useState(DEFAULT_COMPARISON);
+  // Filtered deaths and analytics for compare mode's two periods: { a, b } or null
+  const [comparisonResult, setComparisonResult] = useState(null);
+  // Generation progress (0-1) while a scenario is being generated, otherwise null
+  const [generationProgress, setGenerationProgress] = useState(null);
+  // Latest filter + analytics result from the worker, and whether a newer one is on its way
+  const [result, setResult] = useState(EMPTY_RESULT);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  // False until saved settings and datasets have been read back from IndexedDB
+  const [restored, setRestored] = useState(false);
+  const [live, setLive] = useState(DEFAULT_LIVE);
+  const [liveStatus, setLiveStatus] = useState('idle');
+  // Filtered live window ({ deaths, analytics, total, recent }) while live mode is on, otherwise null
+  const [liveResult, setLiveResult] = useState(null);
+  // Live map input: the deaths at the last base layer rebuild, and the matching deaths that arrived since
+  const [liveMap, setLiveMap] = useState({ deaths: [], arrivals: [] });
 
-  // Generate death data once on component mount
-  useEffect(() => {
-    const deathData = generateDeathData(5000); // Generate more deaths for a denser map
-    console.log(`Generated ${deathData.length} death points`);
-    setDeaths(deathData);
-    
-    // Calculate analytics
-    const analyticsData = calculateAnalytics(deathData);
-    setAnalytics(analyticsData);
-  }, []);
+  // Generation and analytics run in a Web Worker so large datasets don't freeze the page
+  const dataClientRef = useRef(null);
+  if (dataClientRef.current === null) dataClientRef.current = createDataClient();
+  useEffect(() => () => dataClientRef.current.terminate(), []);
 
-  // Function to draw the map and death points on the canvas
-  const drawMap = useCallback(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-
-    const ctx = canvas.getContext('2d');
-    
-    // Set default canvas dimensions if no image loads
-    const containerWidth = canvas.parentElement.offsetWidth;
-    const defaultWidth = containerWidth;
-    const defaultHeight = containerWidth; // Square aspect ratio
-    
-    canvas.width = defaultWidth;
-    canvas.height = defaultHeight;
-    setCanvasDimensions({ width: defaultWidth, height: defaultHeight });
-
-    const img = new Image();
-    img.src = WILDERNESS_MAP_URL;
-    
-    img.onload = () => {
-      setMapLoaded(true);
-      console.log("Map image loaded successfully!");
-      
-      // Set canvas dimensions based on the image's aspect ratio and container width
-      const aspectRatio = img.width / img.height;
-      const newWidth = containerWidth;
-      const newHeight = containerWidth / aspectRatio;
-
-      canvas.width = newWidth;
-      canvas.height = newHeight;
-      setCanvasDimensions({ width: newWidth, height: newHeight });
-
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-
-      // Scale factor to translate mock 800x800 coordinates to current canvas dimensions
-      const scaleX = newWidth / 800;
-      const scaleY = newHeight / 800;
-
-      console.log(`Drawing ${deaths.length} death points...`);
-      
-      // Draw death points
-      deaths.forEach(death => {
-        ctx.beginPath();
-        // Scale the death coordinates
-        ctx.arc(death.x * scaleX, death.y * scaleY, 2, 0, Math.PI * 2); // Small circles for each death
-        ctx.fillStyle = 'rgba(255, 0, 0, 0.5)'; // Red with transparency
-        ctx.fill();
+  // Apply dashboard state decoded from the URL hash (shared links, back/forward)
+  const applyUrlState = useCallback((urlState) => {
+    setFilters(urlState.filters);
+    setMapLayer(urlState.mapLayer);
+    setMapView(urlState.view);
+    setSelectedCell(urlState.selectedCell);
+    // The brush and a risk matrix cell don't go together; a hand-edited link keeps the cell
+    setBrush(urlState.selectedCell ? EMPTY_BRUSH : urlState.brush);
+    setRankBy(urlState.rankBy);
+    if (urlState.riskArea) setRiskQuery(current => ({ ...current, ...urlState.riskArea }));
+    setComparison(current => urlState.comparison || { ...current, enabled: false });
+    setTimeZone(urlState.timeZone);
+    if (urlState.seed !== null || urlState.count !== null) {
+      setScenario(current => {
+        const seed = urlState.seed !== null ? urlState.seed : current.seed;
+        const count = urlState.count !== null ? urlState.count : current.count;
+        return seed === current.seed && count === current.count ? current : { ...current, seed, count };
       });
+    }
+  }, []);
 
-      // Optionally, draw hotspot circles for visual reference (can be removed in final version)
-      HOTSPOTS.forEach(hotspot => {
-        ctx.beginPath();
-        ctx.arc(hotspot.x * scaleX, hotspot.y * scaleY, hotspot.radius * scaleX, 0, Math.PI * 2);
-        ctx.strokeStyle = 'rgba(0, 255, 255, 0.3)'; // Cyan outline for hotspots
-        ctx.lineWidth = 1;
-        ctx.stroke();
-      });
+  // Restore saved settings, regions and the dataset list, then reopen the last dataset.
+  // A link with state in its hash takes priority over the saved settings.
+  useEffect(() => {
+    Promise.all([loadSetting('dashboard'), loadSetting('regions'), listDatasets()]).then(([savedSettings, savedRegions, saved]) => {
+      const settings = restoreSettings(savedSettings);
+      setFilters(settings.filters);
+      setHeatmapOptions(settings.heatmapOptions);
+      setTimeZone(settings.timeZone);
+      setScenario(settings.scenario);
+      setShowRegionOverlays(settings.showRegionOverlays);
+      setHiddenRegions(settings.hiddenRegions);
+      setRankBy(settings.rankBy);
+      setClusterOptions(settings.clusterOptions);
+      setMapSource(settings.mapSource);
+      setWealthOptions(settings.wealthOptions);
+      setLive(current => ({ ...current, ...settings.live }));
+      if (Array.isArray(savedRegions) && savedRegions.length > 0) setRegions(savedRegions);
+      setDatasets(current => [...current, ...saved.map(dataset => ({ ...dataset, deaths: null }))]);
+      if (saved.some(dataset => dataset.id === settings.activeDatasetId)) setActiveDatasetId(settings.activeDatasetId);
+    }).catch(error => {
+      console.warn('Could not restore saved data, starting fresh', error);
+    }).finally(() => {
+      if (window.location.hash.length > 1) applyUrlState(parseUrlState(window.location.hash));
+      setRestored(true);
+    });
+  }, [applyUrlState]);
+
+  // Keep the URL hash in step with the view. The first sync replaces the entry the page
+  // was opened with; later changes add history entries so back/forward step through views.
+  const urlSyncedRef = useRef(false);
+  useEffect(() => {
+    if (!restored) return undefined;
+    const hash = serializeUrlState({
+      filters, brush, mapLayer, view: mapView, selectedCell, rankBy, riskQuery, comparison, timeZone, scenario
+    });
+    if (window.location.hash === `#${hash}`) {
+      urlSyncedRef.current = true;
+      return undefined;
+    }
+    const url = `${window.location.pathname}${window.location.search}#${hash}`;
+    if (!urlSyncedRef.current) {
+      urlSyncedRef.current = true;
+      window.history.replaceState(null, '', url);
+      return undefined;
+    }
+    const timer = setTimeout(() => window.history.pushState(null, '', url), HISTORY_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [restored, filters, brush, mapLayer, mapView, selectedCell, rankBy, riskQuery, comparison, timeZone, scenario]);
+
+  // Back/forward (and edits to the hash) restore the view stored in the URL
+  useEffect(() => {
+    const handlePopState = () => applyUrlState(parseUrlState(window.location.hash));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [applyUrlState]);
+
+  // Save settings shortly after they change
+  useEffect(() => {
+    if (!restored) return undefined;
+    const timer = setTimeout(() => {
+      saveSetting('dashboard', {
+        filters,
+        heatmapOptions,
+        timeZone,
+        scenario,
+        activeDatasetId,
+        showRegionOverlays,
+        hiddenRegions,
+        rankBy,
+        clusterOptions,
+        mapSource,
+        wealthOptions,
+        live: { url: live.url, windowMinutes: live.windowMinutes }
+      }).catch(error => console.warn('Failed to save settings', error));
+    }, SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [
+    restored, filters, heatmapOptions, timeZone, scenario, activeDatasetId, showRegionOverlays, hiddenRegions, rankBy,
+    clusterOptions, mapSource, wealthOptions, live.url, live.windowMinutes
+  ]);
+
+  useEffect(() => {
+    if (!restored) return;
+    saveSetting('regions', regions).catch(error => console.warn('Failed to save regions', error));
+  }, [restored, regions]);
 
+  // Regenerate the simulated dataset whenever a scenario is applied (after saved settings are restored)
+  useEffect(() => {
+    if (!restored) return undefined;
+    let cancelled = false;
+    setGenerationProgress(0);
+    dataClientRef.current.generate(scenario, (done, total) => {
+      if (!cancelled) setGenerationProgress(done / total);
+    }).then(deathData => {
+      if (cancelled) return;
+      setDatasets(current => [
+        { id: SIMULATED_DATASET_ID, name: `Simulated: ${scenario.name}`, count: deathData.length, deaths: deathData, builtIn: true },
+        ...current.filter(dataset => dataset.id !== SIMULATED_DATASET_ID)
+      ]);
+    }).catch(error => {
+      if (!cancelled) console.error('Failed to generate deaths', error);
+    }).finally(() => {
+      if (!cancelled) setGenerationProgress(null);
+    });
+    return () => {
+      cancelled = true;
     };
-    
-    img.onerror = () => {
-      console.error("Failed to load Wilderness map image. Drawing death points on fallback background.");
-      setMapLoaded(true);
-      
-      // Draw a dark background
-      ctx.fillStyle = '#1a1a1a';
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-      
-      // Draw a grid pattern to simulate a map
-      ctx.strokeStyle = '#333333';
-      ctx.lineWidth = 1;
-      for (let i = 0; i < canvas.width; i += 50) {
-        ctx.beginPath();
-        ctx.moveTo(i, 0);
-        ctx.lineTo(i, canvas.height);
-        ctx.stroke();
+  }, [scenario, restored]);
+
+  // Deaths and analytics always follow the active dataset
+  const activeDataset = useMemo(
+    () => datasets.find(dataset => dataset.id === activeDatasetId) || null,
+    [datasets, activeDatasetId]
+  );
+  const datasetDeaths = useMemo(() => (activeDataset && activeDataset.deaths ? activeDataset.deaths : []), [activeDataset]);
+  const isLoadingDataset = Boolean(activeDataset) && activeDataset.deaths === null;
+
+  // Load a saved dataset's deaths the first time it is opened
+  useEffect(() => {
+    if (!isLoadingDataset) return undefined;
+    let cancelled = false;
+    loadDatasetDeaths(activeDatasetId).then(loaded => {
+      if (cancelled) return;
+      if (loaded) {
+        setDatasets(current => current.map(dataset => (dataset.id === activeDatasetId ? { ...dataset, deaths: loaded } : dataset)));
+      } else {
+        // The stored deaths are gone; drop the dataset
+        setDatasets(current => current.filter(dataset => dataset.id !== activeDatasetId));
+        setActiveDatasetId(SIMULATED_DATASET_ID);
       }
-      for (let i = 0; i < canvas.height; i += 50) {
-        ctx.beginPath();
-        ctx.moveTo(0, i);
-        ctx.lineTo(canvas.width, i);
-        ctx.stroke();
+    }).catch(error => {
+      if (!cancelled) {
+        console.error('Failed to load dataset', error);
+        setActiveDatasetId(SIMULATED_DATASET_ID);
       }
-      
-      // Scale factor for 800x800 coordinates to current canvas dimensions
-      const scaleX = canvas.width / 800;
-      const scaleY = canvas.height / 800;
-
-      console.log(`Drawing ${deaths.length} death points on fallback background...`);
-      
-      // Draw death points
-      deaths.forEach(death => {
-        ctx.beginPath();
-        ctx.arc(death.x * scaleX, death.y * scaleY, 3, 0, Math.PI * 2); // Slightly larger circles
-        ctx.fillStyle = 'rgba(255, 0, 0, 0.7)'; // Brighter red
-        ctx.fill();
-      });
-
-      // Draw hotspot circles
-      HOTSPOTS.forEach(hotspot => {
-        ctx.beginPath();
-        ctx.arc(hotspot.x * scaleX, hotspot.y * scaleY, hotspot.radius * scaleX, 0, Math.PI * 2);
-        ctx.strokeStyle = 'rgba(0, 255, 255, 0.5)'; // Brighter cyan
-        ctx.lineWidth = 2;
-        ctx.stroke();
-      });
-      
-      // Add a message
-      ctx.fillStyle = 'white';
-      ctx.font = '16px Arial';
-      ctx.fillText('Map image unavailable - showing death data on grid background', 10, 30);
+    });
+    return () => {
+      cancelled = true;
     };
-  }, [deaths]); // Redraw if deaths data changes
+  }, [isLoadingDataset, activeDatasetId]);
 
-  // Redraw on window resize to maintain responsiveness
+  // Point-in-polygon pass: label every death with its region
+  const preparedRegions = useMemo(() => prepareRegions(regions), [regions]);
+  const deaths = useMemo(() => assignRegions(datasetDeaths, regions), [datasetDeaths, regions]);
+  const visibleRegions = useMemo(
+    () => (showRegionOverlays ? preparedRegions.filter(region => !hiddenRegions.includes(region.id)) : []),
+    [preparedRegions, showRegionOverlays, hiddenRegions]
+  );
+
+  // Every stat card, chart and the map are computed from the filtered subset.
+  // The worker keeps its own copy of the deaths, so it only needs them again when they change.
+  const sentDeathsRef = useRef(null);
   useEffect(() => {
-    const handleResize = () => {
-      // Trigger redraw by re-setting mapLoaded state, which will re-run drawMap
-      if (mapLoaded) {
-        drawMap();
+    const client = dataClientRef.current;
+    let cancelled = false;
+    setIsAnalyzing(true);
+    if (sentDeathsRef.current !== deaths) {
+      sentDeathsRef.current = deaths;
+      // A failure here also fails the analyze request below, which reports it
+      client.setDeaths(deaths).catch(() => {});
+    }
+    client.analyze(filters, timeZone).then(({ analytics, indices }) => {
+      if (cancelled) return;
+      setResult({ deaths: Array.from(indices, index => deaths[index]), analytics });
+      setIsAnalyzing(false);
+    }).catch(error => {
+      if (!cancelled) {
+        console.error('Failed to analyse deaths', error);
+        setIsAnalyzing(false);
       }
+    });
+    return () => {
+      cancelled = true;
     };
-    window.addEventListener('resize', handleResize);
-    return () => window.removeEventListener('resize', handleResize);
-  }, [mapLoaded, drawMap]);
+  }, [deaths, filters, timeZone]);
+
+  // Live mode keeps a rolling window of streamed deaths, counted as they arrive instead of
+  // going through the worker. The window outlives connections so filters can be set up front.
+  const liveWindowRef = useRef(null);
+  if (liveWindowRef.current === null) liveWindowRef.current = createLiveWindow();
+  // Matching deaths that arrived since the last map rebuild, and whether the window changed since
+  const liveArrivalsRef = useRef([]);
+  const liveChangedRef = useRef(false);
 
-  // Initial draw when component mounts
+  const publishLive = useCallback(() => {
+    const liveWindow = liveWindowRef.current;
+    setLiveResult({
+      deaths: liveWindow.getDeaths(),
+      analytics: liveWindow.getAnalytics(),
+      total: liveWindow.getTotal(),
+      recent: liveWindow.getRecent(LIVE_TICKER_SIZE)
+    });
+  }, []);
+  const refreshLiveMap = useCallback(() => {
+    liveArrivalsRef.current = [];
+    liveChangedRef.current = false;
+    setLiveMap({ deaths: liveWindowRef.current.getDeaths(), arrivals: [] });
+  }, []);
+
+  // Filters, time zone, window length and regions apply to the deaths already in the window too
+  useEffect(() => {
+    if (!live.enabled) return;
+    const liveWindow = liveWindowRef.current;
+    liveWindow.configure({
+      windowMs: live.windowMinutes * 60000,
+      timeZone,
+      matches: createFilterPredicate(filters, timeZone),
+      regions: preparedRegions
+    });
+    liveWindow.evict();
+    refreshLiveMap();
+    publishLive();
+  }, [live.enabled, live.windowMinutes, filters, timeZone, preparedRegions, refreshLiveMap, publishLive]);
+
+  useEffect(() => {
+    if (!live.enabled) {
+      setLiveResult(null);
+      setLiveStatus('idle');
+      return undefined;
+    }
+    const liveWindow = liveWindowRef.current;
+    liveWindow.clear();
+    refreshLiveMap();
+    publishLive();
+
+    // Batch bursts of deaths into one update
+    let publishTimer = null;
+    const schedulePublish = () => {
+      liveChangedRef.current = true;
+      if (publishTimer !== null) return;
+      publishTimer = setTimeout(() => {
+        publishTimer = null;
+        publishLive();
+        setLiveMap(current => ({ ...current, arrivals: liveArrivalsRef.current }));
+      }, LIVE_PUBLISH_MS);
+    };
+
+    const close = connectLiveFeed(live.url, {
+      onDeaths: (incoming) => {
+        const added = liveWindow.add(incoming);
+        liveArrivalsRef.current = liveArrivalsRef.current.concat(added);
+        schedulePublish();
+      },
+      onStatus: setLiveStatus
+    });
+    const evictTimer = setInterval(() => {
+      if (liveWindow.evict()) schedulePublish();
+    }, LIVE_EVICT_MS);
+    const mapTimer = setInterval(() => {
+      if (liveChangedRef.current) refreshLiveMap();
+    }, LIVE_MAP_REFRESH_MS);
+
+    return () => {
+      close();
+      clearTimeout(publishTimer);
+      clearInterval(evictTimer);
+      clearInterval(mapTimer);
+    };
+  }, [live.enabled, live.url, refreshLiveMap, publishLive]);
+
+  const { deaths: filteredDeaths, analytics } = liveResult || result;
+
+  // Cluster discovery over the filtered deaths, only while the clusters ranking is shown.
+  // Live windows are small enough to cluster here; datasets go to the worker.
+  const showClusters = rankBy === 'clusters';
   useEffect(() => {
-    drawMap();
-  }, [drawMap]);
+    if (!showClusters) {
+      setClusterResult(null);
+      return undefined;
+    }
+    if (liveResult) {
+      setClusterResult(findClusters(liveResult.deaths, clusterOptions));
+      return undefined;
+    }
+    let cancelled = false;
+    dataClientRef.current.findClusters(filters, timeZone, clusterOptions).then(found => {
+      if (!cancelled) setClusterResult(found);
+    }).catch(error => {
+      if (!cancelled) console.error('Failed to find clusters', error);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [showClusters, liveResult, deaths, filters, timeZone, clusterOptions]);
+
+  // Wealth statistics over the filtered deaths, worked out the same way as the clusters
+  useEffect(() => {
+    if (liveResult) {
+      setWealthStats(calculateWealthStats(liveResult.deaths, { ...wealthOptions, timeZone }));
+      return undefined;
+    }
+    let cancelled = false;
+    dataClientRef.current.getWealthStats(filters, timeZone, wealthOptions).then(stats => {
+      if (!cancelled) setWealthStats(stats);
+    }).catch(error => {
+      if (!cancelled) console.error('Failed to calculate wealth statistics', error);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [liveResult, deaths, filters, timeZone, wealthOptions]);
+
+  // Compare mode: the same filters, with each period as the date range (not available in live mode)
+  const comparing = comparison.enabled && isValidPeriod(comparison.a) && isValidPeriod(comparison.b) && !live.enabled;
+  useEffect(() => {
+    if (!comparing) {
+      setComparisonResult(null);
+      return undefined;
+    }
+    const client = dataClientRef.current;
+    let cancelled = false;
+    const analyzePeriod = (period) => client.analyze({ ...filters, dateFrom: period.from, dateTo: period.to }, timeZone)
+      .then(({ analytics: periodAnalytics, indices }) => ({
+        deaths: Array.from(indices, index => deaths[index]),
+        analytics: periodAnalytics
+      }));
+    setComparisonResult(null);
+    Promise.all([analyzePeriod(comparison.a), analyzePeriod(comparison.b)]).then(([a, b]) => {
+      if (!cancelled) setComparisonResult({ a, b });
+    }).catch(error => {
+      if (!cancelled) console.error('Failed to compare periods', error);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [comparing, comparison.a, comparison.b, deaths, filters, timeZone]);
+
+  // Difference heatmap input: each period weighted by its length so the map shows deaths per day
+  const mapDifference = useMemo(() => (comparisonResult ? {
+    before: comparisonResult.a.deaths,
+    after: comparisonResult.b.deaths,
+    beforeWeight: 1 / getPeriodDays(comparison.a),
+    afterWeight: 1 / getPeriodDays(comparison.b)
+  } : null), [comparisonResult, comparison.a, comparison.b]);
+  const comparisonDeaths = useMemo(
+    () => (comparisonResult ? comparisonResult.a.deaths.concat(comparisonResult.b.deaths) : null),
+    [comparisonResult]
+  );
+  const activeFilters = useMemo(() => describeActiveFilters(filters), [filters]);
+
+  // Time-lapse: the filtered deaths inside the window ending at the playhead.
+  // Sorting is only worth doing once the player is switched on.
+  const timeline = useMemo(
+    () => (timelapse.enabled ? buildTimeline(filteredDeaths) : null),
+    [timelapse.enabled, filteredDeaths]
+  );
+  const timeRange = analytics.timeRange || { start: 0, end: 0 };
+  const timelapseRange = useMemo(() => {
+    if (!timeline) return null;
+    const to = timelapse.playhead === null ? timeline.start : Math.min(timelapse.playhead, timeline.end);
+    return { from: to - getWindowMs(timelapse.window), to };
+  }, [timelapse.playhead, timelapse.window, timeline]);
+  const timelapseDeaths = useMemo(
+    () => (timeline ? getWindowDeaths(timeline, timelapseRange.from, timelapseRange.to) : []),
+    [timeline, timelapseRange]
+  );
+  const timelapseWealth = useMemo(
+    () => timelapseDeaths.reduce((sum, death) => sum + death.wealthLost, 0),
+    [timelapseDeaths]
+  );
+
+  // Deaths in the selected risk matrix cell
+  const highlightedDeaths = useMemo(() => {
+    if (!selectedCell) return null;
+    const readTimeParts = createTimePartsReader(timeZone);
+    return filteredDeaths.filter(death => {
+      const { day, hour } = readTimeParts(death.timestamp.getTime());
+      return day === selectedCell.day && hour === selectedCell.hour;
+    });
+  }, [filteredDeaths, selectedCell, timeZone]);
 
+  // Linked charts: with a brush, each chart is recounted over the deaths the other charts select
+  const linkedCharts = useMemo(
+    () => (hasBrush(brush) ? calculateLinkedCharts(filteredDeaths, brush, { timeZone }) : null),
+    [filteredDeaths, brush, timeZone]
+  );
+  const charts = linkedCharts || analytics;
+  // The map highlights either the brushed deaths or a risk matrix cell, so picking one clears the other
+  const handleToggleBrush = useCallback((dimension, value, additive) => {
+    setBrush(current => toggleBrushValue(current, dimension, value, additive));
+    setSelectedCell(null);
+  }, []);
+  const handleBrushRange = useCallback((dimension, values) => {
+    setBrush(current => setBrushValues(current, dimension, values));
+    setSelectedCell(null);
+  }, []);
+  const handleBrushHours = useCallback((hours) => handleBrushRange('hours', hours), [handleBrushRange]);
+  const handleBrushDays = useCallback((days) => handleBrushRange('days', days), [handleBrushRange]);
+  const handleSelectCell = useCallback((cell) => {
+    setSelectedCell(cell);
+    if (cell) setBrush(EMPTY_BRUSH);
+  }, []);
+
+  // Trip risk estimate, from every loaded death (filters narrow the charts, not the estimate)
+  const riskEstimate = useMemo(
+    () => estimateRisk(deaths, riskQuery, { regions: preparedRegions, timeZone }),
+    [deaths, riskQuery, preparedRegions, timeZone]
+  );
+  const riskMarker = riskQuery.areaType === 'location' && riskQuery.location
+    ? { ...riskQuery.location, radius: riskQuery.radius }
+    : null;
+
+  // The map only draws what is on the selected layer (surface or a cave)
+  const mapDeaths = comparisonDeaths || (timelapseRange ? timelapseDeaths : liveResult ? liveMap.deaths : filteredDeaths);
+  const mapDeathsByArea = useMemo(() => groupByArea(mapDeaths), [mapDeaths]);
+  const layerCounts = useMemo(
+    () => Object.fromEntries(Object.entries(mapDeathsByArea).map(([area, areaDeaths]) => [area, areaDeaths.length])),
+    [mapDeathsByArea]
+  );
+  const layerDifference = useMemo(() => (mapDifference ? {
+    ...mapDifference,
+    before: mapDifference.before.filter(death => isInArea(death, mapLayer)),
+    after: mapDifference.after.filter(death => isInArea(death, mapLayer))
+  } : null), [mapDifference, mapLayer]);
+  // The brushed selection takes over the map highlight from the risk matrix cell
+  const mapHighlighted = linkedCharts ? linkedCharts.selected : highlightedDeaths;
+  const layerHighlighted = useMemo(
+    () => (mapHighlighted ? mapHighlighted.filter(death => isInArea(death, mapLayer)) : null),
+    [mapHighlighted, mapLayer]
+  );
+  const layerArrivals = useMemo(
+    () => liveMap.arrivals.filter(death => isInArea(death, mapLayer)),
+    [liveMap.arrivals, mapLayer]
+  );
+  const layerHotspots = useMemo(() => HOTSPOTS.filter(hotspot => isInArea(hotspot, mapLayer)), [mapLayer]);
+  const layerRegions = useMemo(
+    () => visibleRegions.filter(region => findArea(region.bounds.minX, region.bounds.minY) === mapLayer),
+    [visibleRegions, mapLayer]
+  );
+  const layerMarker = riskMarker && findArea(riskMarker.x, riskMarker.y) === mapLayer ? riskMarker : null;
+
+  // Switching layers starts from the whole map
+  const handleMapLayerChange = useCallback((layer) => {
+    setMapLayer(layer);
+    setMapView(DEFAULT_VIEW);
+  }, []);
+
+  // Key findings written from the analytics numbers
+  const insights = useMemo(() => generateInsights(analytics), [analytics]);
+
+  // Hotspot names for the filter multi-select, taken from the active dataset
+  const hotspotNames = useMemo(
+    () => Array.from(new Set(deaths.map(death => death.hotspot))).sort(),
+    [deaths]
+  );
+
+  const regionNames = useMemo(() => preparedRegions.map(region => region.name), [preparedRegions]);
+
+  // Shown instead of a chart when nothing is there to draw
+  const emptyMessage = liveResult
+    ? (liveResult.total > 0 ? 'No live deaths match the current filters.' : 'Waiting for live deaths...')
+    : deaths.length > 0 ? 'No deaths match the current filters.' : 'Loading...';
+
+  // Apply a scenario from the editor and show the simulated dataset it produces
+  const handleApplyScenario = useCallback((newScenario) => {
+    setScenario(newScenario);
+    setActiveDatasetId(SIMULATED_DATASET_ID);
+  }, []);
+
+  const handlePickLocation = useCallback((location) => {
+    setRiskQuery(current => ({ ...current, areaType: 'location', location }));
+    setPickingLocation(false);
+  }, []);
+
+  const handleToggleRegion = useCallback((id) => {
+    setHiddenRegions(current => (current.includes(id) ? current.filter(hidden => hidden !== id) : [...current, id]));
+  }, []);
+
+  // Clicking a killer on a leaderboard shows only their kills; clicking again clears it
+  const handleToggleKiller = useCallback((name) => {
+    setFilters(current => ({
+      ...current,
+      killers: current.killers.includes(name) ? current.killers.filter(killer => killer !== name) : [...current.killers, name]
+    }));
+  }, []);
+
+  // Add an imported file as a new dataset, save it in the browser and switch to it
+  const handleImportDataset = useCallback((name, importedDeaths) => {
+    const id = `import-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const createdAt = Date.now();
+    setDatasets(current => [...current, { id, name, count: importedDeaths.length, createdAt, deaths: importedDeaths }]);
+    setActiveDatasetId(id);
+    saveDataset({ id, name, deaths: importedDeaths, createdAt })
+      .catch(error => console.warn(`Failed to save ${name}; it will be lost on reload`, error));
+  }, []);
+
+  const handleRenameDataset = useCallback((id, name) => {
+    setDatasets(current => current.map(dataset => (dataset.id === id ? { ...dataset, name } : dataset)));
+    renameDataset(id, name).catch(error => console.warn('Failed to rename dataset', error));
+  }, []);
+
+  const handleDeleteDataset = useCallback((id) => {
+    setDatasets(current => current.filter(dataset => dataset.id !== id));
+    setActiveDatasetId(current => (current === id ? SIMULATED_DATASET_ID : current));
+    deleteDataset(id).catch(error => console.warn('Failed to delete dataset', error));
+  }, []);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 text-gray-100 font-inter p-4 sm:p-6 md:p-8">
@@ -341,8 +684,65 @@ const App = () => {
         <div className="text-sm text-gray-400">
           Data Analyst Portfolio Project | Created by Shakirudeen Adefuwa
         </div>
+        {(generationProgress !== null || isLoadingDataset || isAnalyzing) && (
+          <div className="mt-4">
+            {generationProgress !== null ? (
+              <BusyIndicator label={`Generating deaths… ${Math.round(generationProgress * 100)}%`} progress={generationProgress} />
+            ) : isLoadingDataset ? (
+              <BusyIndicator label="Loading saved dataset…" />
+            ) : (
+              <BusyIndicator label="Updating analytics…" />
+            )}
+          </div>
+        )}
+        <div className="mt-4 flex flex-wrap items-center justify-center gap-4">
+          <TimeZoneSelect value={timeZone} onChange={setTimeZone} />
+          <ShareLinkButton />
+          <ExportMenu
+            deaths={filteredDeaths}
+            analytics={analytics}
+            insights={insights}
+            datasetName={activeDataset ? activeDataset.name : ''}
+            activeFilters={activeFilters}
+            getMapCanvas={() => mapCanvasRef.current}
+          />
+        </div>
       </header>
 
+      {/* Dataset import and switching */}
+      <DatasetImporter
+        datasets={datasets}
+        activeDatasetId={activeDatasetId}
+        onSelectDataset={setActiveDatasetId}
+        onImportDataset={handleImportDataset}
+        onRenameDataset={handleRenameDataset}
+        onDeleteDataset={handleDeleteDataset}
+      />
+
+      {/* Simulation scenario */}
+      <ScenarioEditor scenario={scenario} onApply={handleApplyScenario} />
+
+      {/* Live death feed */}
+      <LivePanel
+        live={live}
+        onChange={setLive}
+        status={liveStatus}
+        analytics={liveResult ? liveResult.analytics : {}}
+        windowTotal={liveResult ? liveResult.total : 0}
+        recent={liveResult ? liveResult.recent : []}
+        timeZone={timeZone}
+      />
+
+      {/* Filters */}
+      <FilterPanel
+        filters={filters}
+        onChange={setFilters}
+        hotspotNames={hotspotNames}
+        regionNames={regionNames}
+        matchCount={filteredDeaths.length}
+        totalCount={liveResult ? liveResult.total : deaths.length}
+      />
+
       {/* Key Statistics Cards */}
       <section className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
         <div className="stat-card p-6 rounded-xl">
@@ -386,6 +786,7 @@ const App = () => {
               <p className="text-3xl font-bold text-purple-400">
                 {analytics.avgWealthLost ? `${(analytics.avgWealthLost / 1000).toFixed(0)}K` : '0K'}
               </p>
+              {wealthStats && <p className="text-gray-400 text-xs mt-1">Median {formatGp(wealthStats.overall.median)}</p>}
             </div>
             <div className="text-purple-400 text-2xl">📊</div>
           </div>
@@ -398,126 +799,266 @@ const App = () => {
         <div className="lg:col-span-2">
           <div className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700">
             <h2 className="text-2xl font-semibold text-blue-300 mb-4">Death Location Heatmap</h2>
-            <div className="relative w-full">
-              {!mapLoaded && (
-                <div className="absolute inset-0 flex items-center justify-center bg-gray-700 bg-opacity-75 rounded-xl text-gray-300 text-xl z-10">
-                  Loading Wilderness map...
-                </div>
-              )}
-              <canvas ref={canvasRef} className="w-full h-auto"></canvas>
-            </div>
+            <MapLayerSwitcher
+              layer={mapLayer}
+              onLayerChange={handleMapLayerChange}
+              counts={layerCounts}
+              mapSource={mapSource}
+              onMapSourceChange={setMapSource}
+            />
+            <MapControls options={heatmapOptions} onChange={setHeatmapOptions} legendMax={legendMax} isDifference={Boolean(mapDifference)} />
+            <DeathMap
+              ref={mapCanvasRef}
+              deaths={mapDeathsByArea[mapLayer]}
+              options={heatmapOptions}
+              hotspots={layerHotspots}
+              regions={layerRegions}
+              view={mapView}
+              onViewChange={setMapView}
+              onLegendMaxChange={setLegendMax}
+              timelapse={comparisonDeaths ? null : timelapseRange}
+              difference={layerDifference}
+              highlighted={layerHighlighted}
+              arrivals={liveResult && !timelapseRange ? layerArrivals : null}
+              clusters={clusterResult && mapLayer === SURFACE_AREA ? clusterResult.clusters : null}
+              timeZone={timeZone}
+              onLocationPick={pickingLocation ? handlePickLocation : undefined}
+              marker={layerMarker}
+              layer={mapLayer}
+              mapSource={mapSource}
+            />
+            {linkedCharts ? (
+              <div className="flex flex-wrap items-center justify-between gap-2 mt-3 p-3 bg-gray-700 rounded-lg text-sm" role="status">
+                <span className="text-gray-300">
+                  <span className="text-yellow-400 font-semibold">Selected: {describeBrush(brush, DAY_NAMES)}</span>
+                  {' '}— {linkedCharts.selected.length.toLocaleString()} of {filteredDeaths.length.toLocaleString()} deaths,{' '}
+                  {formatGp(linkedCharts.totalWealthLost)} gp lost, highlighted on the map
+                </span>
+                <button type="button" className="text-blue-300 underline" onClick={() => setBrush(EMPTY_BRUSH)}>Clear selection</button>
+              </div>
+            ) : (
+              <p className="text-xs text-gray-400 mt-3">
+                Click or drag across the hour, day, wealth and hotspot charts to select deaths; the other charts and the map follow the selection.
+              </p>
+            )}
+            <TimelinePlayer
+              state={timelapse}
+              onChange={setTimelapse}
+              start={timeRange.start}
+              end={timeRange.end}
+              monthDistribution={analytics.monthDistribution}
+              windowCount={timelapseDeaths.length}
+              windowWealth={timelapseWealth}
+              timeZone={timeZone}
+            />
           </div>
         </div>
 
         {/* Top Hotspots */}
         <div className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700">
-          <h2 className="text-2xl font-semibold text-blue-300 mb-4">Top Death Hotspots</h2>
-          <div className="space-y-4">
-            {analytics.topHotspots?.map(([hotspot, count], index) => (
-              <div key={hotspot} className="flex items-center justify-between p-3 bg-gray-700 rounded-lg">
-                <div className="flex items-center">
-                  <span className="text-yellow-400 font-bold mr-3">#{index + 1}</span>
-                  <span className="text-gray-300">{hotspot}</span>
-                </div>
-                <span className="text-red-400 font-bold">{count.toLocaleString()}</span>
-              </div>
-            )) || <p className="text-gray-400">Loading...</p>}
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-2xl font-semibold text-blue-300">Top Death Hotspots</h2>
+            <div className="flex rounded-lg overflow-hidden border border-gray-600 text-xs">
+              {[['hotspots', 'Hotspots'], ['regions', 'Regions'], ['clusters', 'Clusters']].map(([id, label]) => (
+                <button
+                  key={id}
+                  type="button"
+                  className={`px-2 py-1 ${rankBy === id ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                  onClick={() => setRankBy(id)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
           </div>
+          {showClusters ? (
+            <ClusterList
+              result={clusterResult}
+              options={clusterOptions}
+              onOptionsChange={setClusterOptions}
+              onSelectCluster={(cluster) => {
+                setMapLayer(SURFACE_AREA);
+                setMapView(getClusterView(cluster));
+              }}
+              emptyMessage={filteredDeaths.length > 0 ? 'No clusters at these settings. Try a lower density or min deaths.' : emptyMessage}
+            />
+          ) : (
+            <div className="space-y-4" role="group" aria-label={rankBy === 'regions' ? 'Top regions' : 'Top hotspots'}>
+              {(rankBy === 'regions' ? charts.topRegions : charts.topHotspots)?.map(([hotspot, count], index) => {
+                const dimension = rankBy === 'regions' ? 'regions' : 'hotspots';
+                const selected = brush[dimension].includes(hotspot);
+                return (
+                  <button
+                    key={hotspot}
+                    type="button"
+                    className={`w-full flex items-center justify-between p-3 rounded-lg text-left focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-300 ${
+                      selected ? 'bg-gray-600 ring-2 ring-yellow-300' : 'bg-gray-700 hover:bg-gray-600'
+                    } ${brush[dimension].length > 0 && !selected ? 'opacity-50' : ''}`}
+                    aria-pressed={selected}
+                    title={`${hotspot}: ${count.toLocaleString()} deaths. ${selected ? 'Click to clear the selection' : 'Click to select, Shift-click to add'}`}
+                    onClick={(event) => handleToggleBrush(dimension, hotspot, event.shiftKey || event.ctrlKey || event.metaKey)}
+                  >
+                    <span className="flex items-center">
+                      <span className="text-yellow-400 font-bold mr-3">#{index + 1}</span>
+                      <span className="text-gray-300">{hotspot}</span>
+                    </span>
+                    <span className="text-red-400 font-bold">{count.toLocaleString()}</span>
+                  </button>
+                );
+              }) || <p className="text-gray-400">{emptyMessage}</p>}
+            </div>
+          )}
         </div>
       </div>
 
+      {/* Before/after comparison (the map switches to a difference heatmap) */}
+      <ComparisonPanel
+        comparison={comparison}
+        onChange={setComparison}
+        timeRange={analytics.timeRange || null}
+        result={comparisonResult && { a: comparisonResult.a.analytics, b: comparisonResult.b.analytics }}
+        unavailable={live.enabled}
+      />
+
+      {/* Region definitions and overlays */}
+      <RegionPanel
+        regions={preparedRegions}
+        regionCounts={analytics.regionCounts || {}}
+        hiddenRegions={hiddenRegions}
+        showOverlays={showRegionOverlays}
+        onToggleOverlays={setShowRegionOverlays}
+        onToggleRegion={handleToggleRegion}
+        onRegionsChange={setRegions}
+      />
+
+      {/* Attackers and clans */}
+      <KillerPanel
+        analytics={analytics}
+        selectedKillers={filters.killers}
+        onToggleKiller={handleToggleKiller}
+        emptyMessage={emptyMessage}
+      />
+
       {/* Charts Section */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
         {/* Hourly Distribution */}
         <div className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700">
           <h2 className="text-2xl font-semibold text-blue-300 mb-4">Deaths by Hour of Day</h2>
-          <div className="flex items-end justify-between h-48 space-x-1">
-            {analytics.hourDistribution?.map((count, hour) => {
-              const maxCount = Math.max(...analytics.hourDistribution);
-              const height = (count / maxCount) * 100;
-              return (
-                <div key={hour} className="flex flex-col items-center flex-1">
-                  <div 
-                    className="chart-bar w-full rounded-t"
-                    style={{ height: `${height}%` }}
-                  ></div>
-                  <span className="text-xs text-gray-400 mt-2">{hour}:00</span>
-                </div>
-              );
-            }) || <p className="text-gray-400">Loading...</p>}
-          </div>
+          {charts.hourDistribution ? (
+            <BarChart
+              label="Deaths by hour of day"
+              values={charts.hourDistribution}
+              labels={HOUR_LABELS}
+              labelEvery={3}
+              selected={brush.hours}
+              onToggle={(hour, additive) => handleToggleBrush('hours', hour, additive)}
+              onSelectRange={handleBrushHours}
+              describe={(hour) => `${HOUR_LABELS[hour]}–${HOUR_LABELS[(hour + 1) % 24]}: ${charts.hourDistribution[hour].toLocaleString()} deaths`}
+            />
+          ) : <p className="text-gray-400">{emptyMessage}</p>}
         </div>
 
         {/* Wealth Distribution */}
         <div className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700">
           <h2 className="text-2xl font-semibold text-blue-300 mb-4">Wealth Lost Distribution</h2>
-          <div className="space-y-3">
-            {analytics.wealthRanges && Object.entries(analytics.wealthRanges).map(([range, count]) => {
-              const percentage = (count / analytics.totalDeaths * 100).toFixed(1);
-              return (
-                <div key={range} className="flex items-center justify-between">
-                  <span className="text-gray-300">{range}</span>
-                  <div className="flex items-center space-x-3">
-                    <div className="w-32 bg-gray-700 rounded-full h-2">
-                      <div 
-                        className="bg-green-400 h-2 rounded-full"
-                        style={{ width: `${percentage}%` }}
-                      ></div>
-                    </div>
-                    <span className="text-green-400 font-bold text-sm">{percentage}%</span>
-                  </div>
-                </div>
-              );
-            })}
-          </div>
+          {charts.wealthRanges ? (
+            <BarList
+              label="Wealth lost distribution"
+              rows={WEALTH_RANGES.map(range => ({ key: range, label: range, value: charts.wealthRanges[range] }))}
+              selected={brush.wealthRanges}
+              onToggle={(range, additive) => handleToggleBrush('wealthRanges', range, additive)}
+              describe={(row, share) => `${row.label} gp: ${row.value.toLocaleString()} deaths (${share.toFixed(1)}%)`}
+            />
+          ) : <p className="text-gray-400">{emptyMessage}</p>}
         </div>
       </div>
 
+      <WealthStatsPanel stats={wealthStats} options={wealthOptions} onOptionsChange={setWealthOptions} emptyMessage={emptyMessage} />
+
       {/* Day of Week Distribution */}
       <div className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700 mb-8">
         <h2 className="text-2xl font-semibold text-blue-300 mb-4">Deaths by Day of Week</h2>
-        <div className="grid grid-cols-7 gap-4">
-          {/* Calculate the maximum count for scaling the bar heights */}
-          {(() => {
-            const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-            const counts = analytics.dayDistribution || [0,0,0,0,0,0,0];
-            const maxCount = Math.max(...counts, 1); // Avoid division by zero
-            return days.map((day, index) => {
-              const count = counts[index] || 0;
-              // Calculate bar height as a percentage of the max
-              const heightPercent = (count / maxCount) * 100;
+        <BarChart
+          label="Deaths by day of week"
+          values={charts.dayDistribution || [0, 0, 0, 0, 0, 0, 0]}
+          labels={DAY_NAMES}
+          showValues
+          heightClass="h-40"
+          selected={brush.days}
+          onToggle={(day, additive) => handleToggleBrush('days', day, additive)}
+          onSelectRange={handleBrushDays}
+          describe={(day) => `${DAY_NAMES[day]}: ${(charts.dayDistribution ? charts.dayDistribution[day] : 0).toLocaleString()} deaths`}
+        />
+      </div>
+
+      {/* Hour x day risk matrix */}
+      <div className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700 mb-8">
+        <h2 className="text-2xl font-semibold text-blue-300 mb-4">Risk Matrix: Hour of Day × Day of Week</h2>
+        <RiskMatrix
+          matrix={analytics.hourDayMatrix}
+          total={analytics.totalDeaths || 0}
+          ramp={heatmapOptions.ramp}
+          selectedCell={selectedCell}
+          onSelectCell={handleSelectCell}
+          highlightedCount={highlightedDeaths ? highlightedDeaths.length : 0}
+          emptyMessage={emptyMessage}
+        />
+      </div>
+
+      {/* Wilderness Level Distribution */}
+      <div className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700 mb-8">
+        <h2 className="text-2xl font-semibold text-blue-300 mb-4">Deaths by Wilderness Level</h2>
+        <div className="space-y-3">
+          {analytics.levelBrackets && Object.entries(analytics.levelBrackets)
+            // Only list "Outside Wilderness" when a dataset actually has such deaths
+            .filter(([bracket, count]) => bracket !== OUTSIDE_WILDERNESS_LABEL || count > 0)
+            .map(([bracket, count]) => {
+              const percentage = (count / analytics.totalDeaths * 100).toFixed(1);
               return (
-                <div key={day} className="flex flex-col items-center">
-                  <div className="text-center mb-2">
-                    <div className="text-lg font-bold text-purple-400">{count.toLocaleString()}</div>
-                    <div className="text-sm text-gray-400">{day}</div>
-                  </div>
-                  {/* Bar height is now proportional to the count */}
-                  <div className="w-full bg-gray-700 rounded-full h-32 flex items-end">
-                    <div 
-                      className="chart-bar w-full rounded-t"
-                      style={{ height: `${heightPercent}%` }}
-                    ></div>
+                <div key={bracket} className="flex items-center justify-between">
+                  <span className="text-gray-300 w-40">{bracket}</span>
+                  <div className="flex items-center space-x-3 flex-1 justify-end">
+                    <div className="flex-1 max-w-md bg-gray-700 rounded-full h-2">
+                      <div
+                        className="bg-yellow-400 h-2 rounded-full"
+                        style={{ width: `${percentage}%` }}
+                      ></div>
+                    </div>
+                    <span className="text-yellow-400 font-bold text-sm w-28 text-right">
+                      {count.toLocaleString()} ({percentage}%)
+                    </span>
                   </div>
                 </div>
               );
-            });
-          })()}
+            })}
         </div>
       </div>
 
+      {/* Personal trip risk */}
+      <RiskEstimator
+        query={riskQuery}
+        onChange={setRiskQuery}
+        estimate={riskEstimate}
+        regionNames={regionNames}
+        picking={pickingLocation}
+        onTogglePicking={() => setPickingLocation(current => !current)}
+      />
+
       {/* Analysis Insights */}
       <section className="bg-gray-800 p-6 rounded-xl shadow-inner mb-8 border border-gray-700">
         <h2 className="text-2xl font-semibold text-blue-300 mb-4">Data Analysis Insights</h2>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           <div>
             <h3 className="text-lg font-semibold text-yellow-400 mb-3">Key Findings</h3>
-            <ul className="text-gray-300 space-y-2">
-              <li>• <strong>Peak Hours:</strong> Most deaths occur during evening hours (6-10 PM)</li>
-              <li>• <strong>Weekend Effect:</strong> Higher death rates on weekends due to increased player activity</li>
-              <li>• <strong>Wealth Distribution:</strong> Majority of losses are in the 10K-100K range</li>
-              <li>• <strong>Hotspot Concentration:</strong> 80% of deaths occur within 5 major hotspots</li>
-            </ul>
+            {insights.length > 0 ? (
+              <ul className="text-gray-300 space-y-2">
+                {insights.map(insight => (
+                  <li key={insight.id}>• <strong>{insight.title}:</strong> {insight.text}</li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-gray-400">{emptyMessage}</p>
+            )}
           </div>
           <div>
             <h3 className="text-lg font-semibold text-yellow-400 mb-3">Strategic Implications</h3>
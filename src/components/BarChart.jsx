@@ -0,0 +1,137 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { getAxisTicks } from '../utils/chartAxis';
+import { formatGp } from '../utils/filters';
+import { dragRange } from '../utils/brushing';
+
+// Bar under the pointer, which may not be the element that got the event (touch captures the pointer)
+const barIndexAt = (event) => {
+  const element = document.elementFromPoint(event.clientX, event.clientY);
+  const bar = element && element.closest('[data-bar-index]');
+  return bar ? Number(bar.dataset.barIndex) : null;
+};
+
+// Vertical bar chart with a value axis, used for the linked hour and day charts. Each bar is a
+// button: click (or Enter) selects it, Shift/Ctrl-click adds it to the selection, clicking a selected
+// bar clears the selection, and dragging across bars selects the whole range. Arrow keys move between
+// bars. describe(index) is the tooltip shown on hover and keyboard focus; showValues prints the counts.
+const BarChart = ({
+  label, values, labels, selected, onToggle, onSelectRange, describe, labelEvery = 1, showValues = false, heightClass = 'h-48'
+}) => {
+  const [active, setActive] = useState(null); // Bar showing its tooltip
+  const [drag, setDrag] = useState(null); // { start, end } while dragging
+  const dragRef = useRef(null);
+  dragRef.current = drag;
+  const buttonsRef = useRef([]);
+
+  // Finish a drag wherever the pointer is released
+  const dragging = drag !== null;
+  useEffect(() => {
+    if (!dragging) return undefined;
+    const handlePointerUp = () => {
+      const { start, end } = dragRef.current;
+      setDrag(null);
+      if (start !== end) onSelectRange(dragRange(start, end));
+    };
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointercancel', handlePointerUp);
+    return () => {
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('pointercancel', handlePointerUp);
+    };
+  }, [dragging, onSelectRange]);
+
+  const ticks = getAxisTicks(Math.max(...values, 0));
+  const top = ticks[ticks.length - 1];
+  const dragged = drag ? new Set(dragRange(drag.start, drag.end)) : null;
+  const isSelected = (index) => (dragged && drag.start !== drag.end ? dragged.has(index) : selected.includes(index));
+  const hasSelection = selected.length > 0 || Boolean(dragged && drag.start !== drag.end);
+
+  const handleKeyDown = (event, index) => {
+    const step = { ArrowRight: 1, ArrowLeft: -1, Home: -index, End: values.length - 1 - index }[event.key];
+    if (step === undefined) return;
+    event.preventDefault();
+    const next = Math.max(0, Math.min(values.length - 1, index + step));
+    if (buttonsRef.current[next]) buttonsRef.current[next].focus();
+  };
+
+  return (
+    <div className="flex select-none" role="group" aria-label={label}>
+      {/* Value axis */}
+      <div className={`relative w-10 ${heightClass} mr-1`} aria-hidden="true">
+        {ticks.map(tick => (
+          <span key={tick} className="absolute right-0 text-xs text-gray-400 translate-y-1/2" style={{ bottom: `${(tick / top) * 100}%` }}>
+            {formatGp(tick)}
+          </span>
+        ))}
+      </div>
+
+      <div className="flex-1 min-w-0">
+        <div
+          className={`relative ${heightClass} border-l border-b border-gray-600`}
+          style={{ touchAction: 'pan-y' }}
+          onPointerDown={(event) => {
+            const index = barIndexAt(event);
+            if (index !== null && event.button === 0) setDrag({ start: index, end: index });
+          }}
+          onPointerMove={(event) => {
+            if (!drag) return;
+            const index = barIndexAt(event);
+            if (index !== null && index !== drag.end) setDrag({ ...drag, end: index });
+          }}
+        >
+          {/* Grid lines */}
+          {ticks.slice(1).map(tick => (
+            <div key={tick} className="absolute left-0 right-0 border-t border-gray-700" style={{ bottom: `${(tick / top) * 100}%` }}></div>
+          ))}
+
+          <div className="absolute inset-0 flex items-end space-x-1 px-1">
+            {values.map((value, index) => {
+              const height = (value / top) * 100;
+              return (
+                <button
+                  key={labels[index]}
+                  ref={(element) => { buttonsRef.current[index] = element; }}
+                  type="button"
+                  data-bar-index={index}
+                  className="relative flex-1 h-full flex items-end justify-center rounded-t focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-300"
+                  aria-pressed={selected.includes(index)}
+                  aria-label={describe(index)}
+                  onClick={(event) => onToggle(index, event.shiftKey || event.ctrlKey || event.metaKey)}
+                  onKeyDown={(event) => handleKeyDown(event, index)}
+                  onPointerEnter={() => setActive(index)}
+                  onPointerLeave={() => setActive(current => (current === index ? null : current))}
+                  onFocus={() => setActive(index)}
+                  onBlur={() => setActive(current => (current === index ? null : current))}
+                >
+                  {showValues && (
+                    <span className="absolute text-xs font-bold text-purple-400 pointer-events-none" style={{ bottom: `calc(${height}% + 2px)` }}>
+                      {formatGp(value)}
+                    </span>
+                  )}
+                  <span
+                    className={`chart-bar block w-full rounded-t ${hasSelection && !isSelected(index) ? 'opacity-30' : ''} ${isSelected(index) ? 'ring-2 ring-yellow-300' : ''}`}
+                    style={{ height: `${height}%` }}
+                  ></span>
+                  {active === index && !drag && (
+                    <span className="absolute z-10 bottom-full mb-1 px-2 py-1 rounded bg-gray-900 border border-gray-600 text-xs text-gray-100 whitespace-nowrap pointer-events-none">
+                      {describe(index)}
+                    </span>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Category axis */}
+        <div className="flex space-x-1 px-1 mt-1" aria-hidden="true">
+          {labels.map((text, index) => (
+            <span key={text} className="flex-1 text-center text-xs text-gray-400">{index % labelEvery === 0 ? text : ''}</span>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,80 @@
+import React, { useRef, useState } from 'react';
+import { getAxisTicks } from '../utils/chartAxis';
+
+// Horizontal bars with a percentage axis, used for the linked wealth bracket chart. rows are
+// { key, label, value } and each bar shows the row's share of their total. Rows are buttons that
+// select like BarChart's bars (click, Shift/Ctrl-click to add, click a selected row to clear), and
+// arrow keys move between rows.
+// describe(row, share) is the tooltip shown on hover and keyboard focus.
+const BarList = ({ label, rows, selected, onToggle, describe }) => {
+  const [active, setActive] = useState(null);
+  const total = rows.reduce((sum, row) => sum + row.value, 0);
+  const shares = rows.map(row => (total > 0 ? (row.value / total) * 100 : 0));
+  const ticks = getAxisTicks(Math.max(...shares, 0), { integer: false });
+  const top = ticks[ticks.length - 1];
+  const hasSelection = selected.length > 0;
+  const buttonsRef = useRef([]);
+
+  const handleKeyDown = (event, index) => {
+    const step = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1, Home: -index, End: rows.length - 1 - index }[event.key];
+    if (step === undefined) return;
+    event.preventDefault();
+    const next = Math.max(0, Math.min(rows.length - 1, index + step));
+    if (buttonsRef.current[next]) buttonsRef.current[next].focus();
+  };
+
+  return (
+    <div role="group" aria-label={label}>
+      <div className="space-y-2">
+        {rows.map((row, index) => {
+          const isSelected = selected.includes(row.key);
+          const tooltip = describe(row, shares[index]);
+          return (
+            <button
+              key={row.key}
+              ref={(element) => { buttonsRef.current[index] = element; }}
+              type="button"
+              className={`relative w-full flex items-center p-1 rounded-lg text-left focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-300 ${
+                isSelected ? 'bg-gray-600' : 'hover:bg-gray-700'
+              } ${hasSelection && !isSelected ? 'opacity-40' : ''}`}
+              aria-pressed={isSelected}
+              aria-label={tooltip}
+              onClick={(event) => onToggle(row.key, event.shiftKey || event.ctrlKey || event.metaKey)}
+              onKeyDown={(event) => handleKeyDown(event, index)}
+              onPointerEnter={() => setActive(row.key)}
+              onPointerLeave={() => setActive(current => (current === row.key ? null : current))}
+              onFocus={() => setActive(row.key)}
+              onBlur={() => setActive(current => (current === row.key ? null : current))}
+            >
+              <span className="w-24 text-gray-300 text-sm">{row.label}</span>
+              <span className="relative flex-1 h-3 bg-gray-700 rounded-full">
+                <span className="absolute left-0 top-0 h-3 bg-green-400 rounded-full" style={{ width: `${(shares[index] / top) * 100}%` }}></span>
+              </span>
+              <span className="w-14 text-right text-green-400 font-bold text-sm">{shares[index].toFixed(1)}%</span>
+              {active === row.key && (
+                <span className="absolute z-10 right-0 bottom-full mb-1 px-2 py-1 rounded bg-gray-900 border border-gray-600 text-xs text-gray-100 whitespace-nowrap pointer-events-none">
+                  {tooltip}
+                </span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Share axis, lined up with the bars */}
+      <div className="flex px-1 mt-1" aria-hidden="true">
+        <span className="w-24"></span>
+        <span className="relative flex-1 h-4 border-t border-gray-600">
+          {ticks.map(tick => (
+            <span key={tick} className="absolute top-0 text-xs text-gray-400 -translate-x-1/2" style={{ left: `${(tick / top) * 100}%` }}>
+              {tick}%
+            </span>
+          ))}
+        </span>
+        <span className="w-14"></span>
+      </div>
+    </div>
+  );
+};
+
+export default BarList;
@@ -0,0 +1,18 @@
+import React from 'react';
+
+// Small status pill for background work: a progress bar when progress is known,
+// otherwise a pulsing dot.
+const BusyIndicator = ({ label, progress = null }) => (
+  <div className="inline-flex items-center space-x-3 bg-gray-800 border border-gray-700 rounded-full px-4 py-2 text-sm text-gray-300" role="status">
+    {progress === null ? (
+      <span className="w-2 h-2 rounded-full bg-yellow-400 animate-pulse"></span>
+    ) : (
+      <span className="w-32 bg-gray-700 rounded-full h-2">
+        <span className="block bg-yellow-400 h-2 rounded-full" style={{ width: `${Math.round(progress * 100)}%` }}></span>
+      </span>
+    )}
+    <span>{label}</span>
+  </div>
+);
+
+export default BusyIndicator;
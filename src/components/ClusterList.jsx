@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { formatGp } from '../utils/filters';
+import { CLUSTER_OPTION_LIMITS } from '../utils/clustering';
+import { NO_REGION_LABEL } from '../utils/regions';
+
+const PARAMETERS = [
+  { key: 'cellSize', label: 'Cell size', format: (value) => `${value} tiles` },
+  { key: 'densityMultiple', label: 'Density', format: (value) => `${value}× average` },
+  { key: 'minDeaths', label: 'Min deaths', format: (value) => value.toLocaleString() }
+];
+
+// How a cluster lines up with the named regions, e.g. "84% in Edgeville Ditch"
+const describeRegions = (cluster) => {
+  const named = cluster.regions.filter(([name]) => name !== NO_REGION_LABEL);
+  if (named.length === 0) return { text: 'Outside every named region', unnamed: true };
+  const [name, count] = named[0];
+  const share = count / cluster.deaths;
+  const others = named.length > 1 ? ` + ${named.length - 1} more` : '';
+  return { text: `${Math.round(share * 100)}% in ${name}${others}`, unnamed: share < 0.5 };
+};
+
+// Discovered death clusters for the Top Death Hotspots panel, ranked by deaths or GP lost,
+// with the clustering parameters. result is findClusters' { clusters, minPoints } or null while loading.
+// Clicking a cluster zooms the map to it.
+const ClusterList = ({ result, options, onOptionsChange, onSelectCluster, emptyMessage }) => {
+  const [sortBy, setSortBy] = useState('deaths'); // 'deaths' or 'wealthLost'
+  const clusters = result ? [...result.clusters].sort((a, b) => b[sortBy] - a[sortBy]) : [];
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-3 gap-2 text-xs text-gray-400">
+        {PARAMETERS.map(({ key, label, format }) => (
+          <label key={key} className="block">
+            <span className="block mb-1">{label}: <span className="text-gray-200">{format(options[key])}</span></span>
+            <input
+              type="range"
+              className="w-full"
+              {...CLUSTER_OPTION_LIMITS[key]}
+              value={options[key]}
+              onChange={(event) => onOptionsChange(current => ({ ...current, [key]: Number(event.target.value) }))}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between text-xs text-gray-400">
+        <span>{result ? `${clusters.length} clusters · core cells need ${result.minPoints.toLocaleString()} nearby deaths` : 'Finding clusters…'}</span>
+        <div className="flex rounded-lg overflow-hidden border border-gray-600">
+          {[['deaths', 'Deaths'], ['wealthLost', 'GP lost']].map(([id, label]) => (
+            <button
+              key={id}
+              type="button"
+              className={`px-2 py-1 ${sortBy === id ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+              onClick={() => setSortBy(id)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {result && clusters.length === 0 && <p className="text-gray-400">{emptyMessage}</p>}
+      <ol className="space-y-2 max-h-96 overflow-y-auto">
+        {clusters.map((cluster, index) => {
+          const regions = describeRegions(cluster);
+          return (
+            <li key={cluster.id}>
+              <button
+                type="button"
+                className="w-full text-left p-3 bg-gray-700 hover:bg-gray-600 rounded-lg"
+                onClick={() => onSelectCluster(cluster)}
+                title="Zoom the map to this cluster"
+              >
+                <div className="flex items-center justify-between">
+                  <span className="flex items-center">
+                    <span className="text-yellow-400 font-bold mr-3">#{index + 1}</span>
+                    <span className="inline-block w-3 h-3 rounded-sm mr-2" style={{ backgroundColor: cluster.color }}></span>
+                    <span className="text-gray-300">{cluster.name}</span>
+                  </span>
+                  <span className="text-right">
+                    <span className="text-red-400 font-bold">{cluster.deaths.toLocaleString()}</span>
+                    <span className="block text-xs text-green-400">{formatGp(cluster.wealthLost)} gp</span>
+                  </span>
+                </div>
+                <p className={`text-xs mt-1 ${regions.unnamed ? 'text-orange-300' : 'text-gray-400'}`}>{regions.text}</p>
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default ClusterList;
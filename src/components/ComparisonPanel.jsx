@@ -0,0 +1,165 @@
+import React from 'react';
+import { COMPARISON_PRESETS, compareStats, getPeriodDays, isValidPeriod, toShares } from '../utils/comparison';
+import { DAY_NAMES } from '../utils/filters';
+
+const inputClass = 'bg-gray-700 text-gray-100 rounded p-1 border border-gray-600 text-sm';
+
+// Bar colors for period A and B
+const PERIOD_COLORS = { a: '#3b82f6', b: '#f97316' };
+
+// Paired bars per label, each period as a share of its own deaths
+const ComparisonChart = ({ labels, valuesA, valuesB }) => {
+  const sharesA = toShares(valuesA);
+  const sharesB = toShares(valuesB);
+  const max = Math.max(...sharesA, ...sharesB, 0.0001);
+
+  return (
+    <div>
+      <div className="flex items-end justify-between h-40 space-x-1">
+        {labels.map((label, index) => (
+          <div key={label} className="flex-1 h-full flex items-end space-x-px"
+            title={`${label}: A ${(valuesA[index] || 0).toLocaleString()} (${(sharesA[index] * 100).toFixed(1)}%) · ` +
+              `B ${(valuesB[index] || 0).toLocaleString()} (${(sharesB[index] * 100).toFixed(1)}%)`}>
+            <div className="flex-1 rounded-t" style={{ height: `${(sharesA[index] / max) * 100}%`, backgroundColor: PERIOD_COLORS.a }}></div>
+            <div className="flex-1 rounded-t" style={{ height: `${(sharesB[index] / max) * 100}%`, backgroundColor: PERIOD_COLORS.b }}></div>
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between space-x-1 mt-1">
+        {labels.map(label => <span key={label} className="flex-1 text-center text-xs text-gray-400">{label}</span>)}
+      </div>
+    </div>
+  );
+};
+
+const formatChange = (row) => {
+  const sign = row.delta > 0 ? '+' : row.delta < 0 ? '−' : '';
+  return `${sign}${row.format(Math.abs(row.delta))}`;
+};
+
+// Compare mode: two date ranges side by side with deltas and overlaid hour/day charts.
+// While it is on, the death map draws a difference heatmap.
+// comparison follows DEFAULT_COMPARISON; result is { a, b } analytics or null while loading.
+// unavailable is true in live mode, where there are no periods to compare.
+const ComparisonPanel = ({ comparison, onChange, timeRange, result, unavailable }) => {
+  const update = (changes) => onChange(current => ({ ...current, ...changes }));
+  const updatePeriod = (key, changes) => onChange(current => ({ ...current, [key]: { ...current[key], ...changes } }));
+  const applyPreset = (id) => {
+    const preset = COMPARISON_PRESETS.find(option => option.id === id);
+    if (preset && timeRange) update(preset.build(timeRange));
+  };
+
+  const enable = (enabled) => {
+    // Start from the first preset the first time compare mode is switched on
+    if (enabled && !comparison.a.from && !comparison.b.from && timeRange) {
+      update({ enabled, ...COMPARISON_PRESETS[0].build(timeRange) });
+    } else {
+      update({ enabled });
+    }
+  };
+
+  const valid = isValidPeriod(comparison.a) && isValidPeriod(comparison.b);
+  const rows = valid && result
+    ? compareStats(result.a, result.b, getPeriodDays(comparison.a), getPeriodDays(comparison.b))
+    : [];
+
+  return (
+    <section className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700 mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-2xl font-semibold text-blue-300">Period Comparison</h2>
+        <label className="flex items-center space-x-2 text-gray-200">
+          <input type="checkbox" checked={comparison.enabled} onChange={(event) => enable(event.target.checked)} />
+          <span>Compare two periods</span>
+        </label>
+      </div>
+
+      {comparison.enabled && (
+        <div className="mt-4 space-y-6">
+          {/* Periods */}
+          <div className="flex flex-wrap items-end gap-6 text-sm">
+            {[['a', 'Period A (before)'], ['b', 'Period B (after)']].map(([key, label]) => (
+              <div key={key}>
+                <p className="font-semibold mb-1" style={{ color: PERIOD_COLORS[key] }}>{label}</p>
+                <div className="flex items-center space-x-2">
+                  <input type="date" className={inputClass} value={comparison[key].from}
+                    onChange={(event) => updatePeriod(key, { from: event.target.value })} aria-label={`${label} from`} />
+                  <span className="text-gray-400">to</span>
+                  <input type="date" className={inputClass} value={comparison[key].to}
+                    onChange={(event) => updatePeriod(key, { to: event.target.value })} aria-label={`${label} to`} />
+                </div>
+              </div>
+            ))}
+            <div className="flex items-center space-x-2">
+              <select className={inputClass} value="" onChange={(event) => applyPreset(event.target.value)} disabled={!timeRange}>
+                <option value="">Presets…</option>
+                {COMPARISON_PRESETS.map(preset => <option key={preset.id} value={preset.id}>{preset.name}</option>)}
+              </select>
+              <button type="button" className="bg-gray-700 hover:bg-gray-600 text-gray-100 rounded-lg px-3 py-1"
+                onClick={() => update({ a: comparison.b, b: comparison.a })}>
+                ⇄ Swap
+              </button>
+            </div>
+          </div>
+
+          {unavailable ? (
+            <p className="text-gray-400 text-sm">Compare mode works on the loaded dataset. Disconnect the live feed to compare periods.</p>
+          ) : !valid ? (
+            <p className="text-red-300 text-sm">Both periods need a start date on or before their end date.</p>
+          ) : !result ? (
+            <p className="text-gray-400">Comparing periods…</p>
+          ) : (
+            <>
+              {/* Stat cards with deltas */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {rows.map(row => (
+                  <div key={row.key} className="stat-card p-4 rounded-xl">
+                    <p className="text-gray-400 text-sm font-medium mb-2">{row.label}</p>
+                    <div className="flex items-baseline justify-between text-sm">
+                      <span style={{ color: PERIOD_COLORS.a }}>A {row.format(row.a)}</span>
+                      <span style={{ color: PERIOD_COLORS.b }}>B {row.format(row.b)}</span>
+                    </div>
+                    <p className={`text-xl font-bold mt-1 ${row.delta > 0 ? 'text-red-400' : row.delta < 0 ? 'text-blue-400' : 'text-gray-300'}`}>
+                      {formatChange(row)}
+                      <span className="text-sm font-normal ml-2">
+                        {row.percent === null ? 'n/a' : `${row.percent > 0 ? '+' : ''}${row.percent.toFixed(1)}%`}
+                      </span>
+                    </p>
+                  </div>
+                ))}
+              </div>
+
+              {/* Overlaid time charts */}
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                <div>
+                  <h3 className="text-lg font-semibold text-yellow-400 mb-2">Deaths by Hour of Day</h3>
+                  <ComparisonChart
+                    labels={Array.from({ length: 24 }, (_, hour) => `${hour}`)}
+                    valuesA={result.a.hourDistribution || Array(24).fill(0)}
+                    valuesB={result.b.hourDistribution || Array(24).fill(0)}
+                  />
+                </div>
+                <div>
+                  <h3 className="text-lg font-semibold text-yellow-400 mb-2">Deaths by Day of Week</h3>
+                  <ComparisonChart
+                    labels={DAY_NAMES}
+                    valuesA={result.a.dayDistribution || Array(7).fill(0)}
+                    valuesB={result.b.dayDistribution || Array(7).fill(0)}
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-400">
+                Bars show each period's share of its own deaths, so periods of different length compare fairly.
+              </p>
+
+              <p className="text-sm text-gray-300">
+                The death map shows where deaths per day rose (red) or fell (blue) from period A to period B.
+              </p>
+            </>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ComparisonPanel;
@@ -0,0 +1,137 @@
+import React, { useRef, useState } from 'react';
+import { importDeathFile, REQUIRED_FIELDS, OPTIONAL_FIELDS } from '../utils/deathImport';
+import DatasetManager from './DatasetManager';
+
+// Only show the first few bad rows so a broken file doesn't flood the page
+const MAX_ERRORS_SHOWN = 50;
+
+// Drag-and-drop / file picker for CSV and JSON death datasets, plus a dataset switcher
+// and the manager for saved datasets. Datasets are { id, name, count, builtIn }.
+const DatasetImporter = ({
+  datasets, activeDatasetId, onSelectDataset, onImportDataset, onRenameDataset, onDeleteDataset
+}) => {
+  const fileInputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [reports, setReports] = useState([]);
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    const newReports = [];
+
+    for (const file of files) {
+      try {
+        const { deaths, errors } = await importDeathFile(file);
+        if (deaths.length > 0) onImportDataset(file.name, deaths);
+        newReports.push({ fileName: file.name, imported: deaths.length, errors });
+      } catch (error) {
+        newReports.push({ fileName: file.name, imported: 0, errors: [{ row: 0, message: error.message }] });
+      }
+    }
+
+    setReports(newReports);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    handleFiles(event.dataTransfer.files);
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    setIsDragging(true);
+  };
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700 mb-8">
+      <h2 className="text-2xl font-semibold text-blue-300 mb-4">Death Datasets</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Dataset switcher */}
+        <div>
+          <label className="block text-gray-400 text-sm font-medium mb-2" htmlFor="dataset-select">
+            Active dataset
+          </label>
+          <select
+            id="dataset-select"
+            className="w-full bg-gray-700 text-gray-100 rounded-lg p-2 border border-gray-600"
+            value={activeDatasetId}
+            onChange={(event) => onSelectDataset(event.target.value)}
+          >
+            {datasets.map(dataset => (
+              <option key={dataset.id} value={dataset.id}>
+                {dataset.name} ({dataset.count.toLocaleString()} deaths)
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-400 mt-2">
+            Required columns: {REQUIRED_FIELDS.join(', ')}. Optional: {OPTIONAL_FIELDS.join(', ')}. x and y are OSRS world tiles.
+          </p>
+        </div>
+
+        {/* Drop zone and file picker */}
+        <div
+          className={`border-2 border-dashed rounded-lg p-6 text-center cursor-pointer transition ${
+            isDragging ? 'border-yellow-400 bg-gray-700' : 'border-gray-600'
+          }`}
+          onDrop={handleDrop}
+          onDragOver={handleDragOver}
+          onDragLeave={() => setIsDragging(false)}
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+        >
+          <p className="text-gray-300">Drop CSV or JSON files here, or click to choose files</p>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            multiple
+            className="hidden"
+            onChange={(event) => {
+              handleFiles(event.target.files);
+              event.target.value = ''; // Allow re-importing the same file
+            }}
+          />
+        </div>
+      </div>
+
+      {/* Saved datasets */}
+      <div className="mt-6">
+        <DatasetManager
+          datasets={datasets.filter(dataset => !dataset.builtIn)}
+          activeDatasetId={activeDatasetId}
+          onSelectDataset={onSelectDataset}
+          onRenameDataset={onRenameDataset}
+          onDeleteDataset={onDeleteDataset}
+        />
+      </div>
+
+      {/* Per-file import report */}
+      {reports.map(report => (
+        <div key={report.fileName} className="mt-4 p-3 bg-gray-700 rounded-lg">
+          <p className="text-gray-300">
+            <strong>{report.fileName}:</strong>{' '}
+            <span className="text-green-400">{report.imported.toLocaleString()} imported</span>
+            {report.errors.length > 0 && (
+              <span className="text-red-400">, {report.errors.length.toLocaleString()} rejected</span>
+            )}
+          </p>
+          {report.errors.length > 0 && (
+            <ul className="text-sm text-red-300 mt-2 max-h-48 overflow-y-auto space-y-1">
+              {report.errors.slice(0, MAX_ERRORS_SHOWN).map((error, index) => (
+                <li key={index}>
+                  {error.row > 0 ? `Row ${error.row}: ` : ''}{error.message}
+                </li>
+              ))}
+              {report.errors.length > MAX_ERRORS_SHOWN && (
+                <li className="text-gray-400">
+                  ...and {(report.errors.length - MAX_ERRORS_SHOWN).toLocaleString()} more
+                </li>
+              )}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default DatasetImporter;
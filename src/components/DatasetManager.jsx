@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+
+const formatCreated = (time) => new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// Saved (imported) datasets: open, rename or delete them. The simulated dataset isn't listed.
+const DatasetManager = ({ datasets, activeDatasetId, onSelectDataset, onRenameDataset, onDeleteDataset }) => {
+  // Dataset being renamed and the name typed so far
+  const [editing, setEditing] = useState(null); // { id, name }
+
+  if (datasets.length === 0) {
+    return <p className="text-sm text-gray-400">Imported datasets are saved in this browser and listed here.</p>;
+  }
+
+  const finishRename = () => {
+    if (editing && editing.name.trim()) onRenameDataset(editing.id, editing.name.trim());
+    setEditing(null);
+  };
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold text-yellow-400 mb-2">Saved datasets</h3>
+      <ul className="space-y-2">
+        {datasets.map(dataset => (
+          <li key={dataset.id} className="flex flex-wrap items-center justify-between gap-2 p-2 bg-gray-700 rounded-lg text-sm">
+            {editing && editing.id === dataset.id ? (
+              <input
+                type="text"
+                autoFocus
+                className="flex-1 bg-gray-800 text-gray-100 rounded p-1 border border-gray-600"
+                value={editing.name}
+                onChange={(event) => setEditing({ ...editing, name: event.target.value })}
+                onBlur={finishRename}
+                onKeyDown={(event) => {
+                  if (event.key === 'Enter') finishRename();
+                  if (event.key === 'Escape') setEditing(null);
+                }}
+                aria-label="Dataset name"
+              />
+            ) : (
+              <span className="text-gray-300">
+                {dataset.name}
+                {dataset.id === activeDatasetId && <span className="ml-2 text-xs text-green-400">active</span>}
+                <span className="text-gray-400">
+                  {' '}· {dataset.count.toLocaleString()} deaths
+                  {dataset.createdAt ? ` · saved ${formatCreated(dataset.createdAt)}` : ''}
+                </span>
+              </span>
+            )}
+            <span className="space-x-3">
+              {dataset.id !== activeDatasetId && (
+                <button type="button" className="text-blue-300 underline" onClick={() => onSelectDataset(dataset.id)}>Open</button>
+              )}
+              <button type="button" className="text-blue-300 underline"
+                onClick={() => setEditing({ id: dataset.id, name: dataset.name })}>Rename</button>
+              <button type="button" className="text-red-300 underline"
+                onClick={() => {
+                  if (window.confirm(`Delete "${dataset.name}"? This can't be undone.`)) onDeleteDataset(dataset.id);
+                }}>Delete</button>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DatasetManager;
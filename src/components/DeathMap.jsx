@@ -0,0 +1,642 @@
+import React, { useRef, useEffect, useState, useCallback, useMemo, forwardRef, useImperativeHandle } from 'react';
+import { SURFACE_AREA, getMapArea, worldToMap, mapToWorld, tilesToPixels } from '../utils/coordinates';
+import { drawHeatmap, drawHexbin, drawDifferenceHeatmap } from '../utils/heatmap';
+import { createSpatialIndex } from '../utils/spatialIndex';
+import { DEFAULT_VIEW, getViewTransform, screenToBase, zoomViewAt, panView } from '../utils/mapView';
+import { formatGp } from '../utils/filters';
+import { formatDateTime } from '../utils/timezones';
+import { getAttackStyleName, getCombatTypeName } from '../utils/killers';
+import surfaceMapUrl from '../assets/maps/surface.svg';
+import revenantCavesMapUrl from '../assets/maps/revenant-caves.svg';
+import slayerCaveMapUrl from '../assets/maps/slayer-cave.svg';
+
+// Bundled map image for each area, covering exactly the area's bounds
+const BUNDLED_MAP_URLS = {
+  [SURFACE_AREA]: surfaceMapUrl,
+  'revenant-caves': revenantCavesMapUrl,
+  'slayer-cave': slayerCaveMapUrl
+};
+
+// Optional online surface map from the OSRS Wiki
+const WIKI_MAP_URL = 'https://oldschool.runescape.wiki/images/thumb/The_Wilderness.png/800px-The_Wilderness.png?48133';
+
+// Hover and click pick radii in screen pixels
+const HOVER_RADIUS = 6;
+const CLICK_RADIUS = 12;
+// Pointer movement (in pixels) before a press counts as a drag instead of a click
+const DRAG_THRESHOLD = 3;
+// Only list this many deaths for a clicked cluster
+const MAX_CLUSTER_LIST = 50;
+// Share of the time-lapse window over which a new death fades in
+const FADE_IN_SHARE = 0.05;
+// Above this many points, points mode draws squares instead of circles
+const SQUARE_POINTS_THRESHOLD = 20000;
+
+// Render the heatmap or hex-bin layer once into an offscreen canvas at unzoomed size.
+// Pan and zoom then only scale this bitmap instead of recomputing the density.
+const renderDensityLayer = (points, width, height, options, bounds) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const radius = tilesToPixels(options.radius, width, bounds);
+
+  const { max } = options.mode === 'hexbin'
+    ? drawHexbin(ctx, points, { radius, ramp: options.ramp })
+    : drawHeatmap(ctx, points, width, height, { radius, ramp: options.ramp });
+
+  return { canvas, max };
+};
+
+// Same as renderDensityLayer, for the compare mode difference heatmap
+const renderDifferenceLayer = (before, after, width, height, bounds, { radius, beforeWeight, afterWeight }) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const { max } = drawDifferenceHeatmap(canvas.getContext('2d'), before, after, width, height, {
+    radius: tilesToPixels(radius, width, bounds),
+    beforeWeight,
+    afterWeight
+  });
+  return { canvas, max };
+};
+
+// Dark background with a grid, used when the map image can't be loaded
+const drawFallbackBackground = (ctx, width, height, zoom) => {
+  ctx.fillStyle = '#1a1a1a';
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.strokeStyle = '#333333';
+  ctx.lineWidth = 1 / zoom; // Keep grid lines 1px wide on screen
+  for (let i = 0; i < width; i += 50) {
+    ctx.beginPath();
+    ctx.moveTo(i, 0);
+    ctx.lineTo(i, height);
+    ctx.stroke();
+  }
+  for (let i = 0; i < height; i += 50) {
+    ctx.beginPath();
+    ctx.moveTo(0, i);
+    ctx.lineTo(width, i);
+    ctx.stroke();
+  }
+};
+
+// Pointer position in canvas pixels (the canvas may be scaled by CSS)
+const getCanvasPosition = (canvas, event) => {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: (event.clientX - rect.left) * (canvas.width / rect.width),
+    y: (event.clientY - rect.top) * (canvas.height / rect.height)
+  };
+};
+
+// Opacity of a time-lapse death by its age within the window: a quick fade in, then a slow fade out
+const getTimelapseAlpha = (time, timelapse) => {
+  const length = timelapse.to - timelapse.from;
+  const age = timelapse.to - time;
+  const fadeIn = length * FADE_IN_SHARE;
+  if (age < fadeIn) return age / fadeIn;
+  return 1 - 0.7 * ((age - fadeIn) / (length - fadeIn));
+};
+
+// Interactive death map: wheel/pinch zoom, drag to pan, hover tooltip and click-to-list.
+// view/onViewChange are controlled by the parent; onViewChange also accepts an updater function.
+// When timelapse ({ from, to }) is set, deaths are drawn as points fading with their age in that window.
+// difference ({ before, after, beforeWeight, afterWeight } death lists) replaces the density layer
+// with a rose/fell heatmap. highlighted is an optional list of deaths to mark on top (e.g. a risk matrix cell).
+// When onLocationPick is set, a click reports the world tile under the cursor instead of listing deaths;
+// marker ({ x, y, radius } in tiles) draws a picked location.
+// arrivals lists live deaths that came in since deaths was last updated. They are drawn on an overlay
+// canvas, adding only the new ones, so a busy feed doesn't redraw the whole map for every death.
+// clusters (from findClusters) are outlined in their colors.
+// layer is the map area shown (all world positions are projected onto its bounds) and mapSource
+// picks its image: the bundled map, or for the surface the OSRS Wiki image with the bundled one as backup.
+// Dates in tooltips are shown in timeZone. The forwarded ref points at the canvas element, for exporting the map.
+const DeathMap = forwardRef(({
+  deaths, options, hotspots, regions, view, onViewChange, onLegendMaxChange, timelapse, difference, highlighted, timeZone,
+  onLocationPick, marker, arrivals, clusters, layer = SURFACE_AREA, mapSource = 'bundled'
+}, ref) => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const overlayRef = useRef(null);
+  // What the overlay already shows: { first, count, view, size, bounds }
+  const overlayStateRef = useRef(null);
+  useImperativeHandle(ref, () => canvasRef.current);
+  const imageRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef({ moved: false });
+  const [imageStatus, setImageStatus] = useState('loading');
+  const [containerWidth, setContainerWidth] = useState(0);
+  const [hovered, setHovered] = useState(null); // { index, sx, sy }
+  const [cluster, setCluster] = useState(null); // { indices, base: { x, y } }
+
+  const { bounds } = getMapArea(layer);
+
+  // Load the layer's map image when it changes instead of on every redraw.
+  // Each URL is tried in turn; the grid background is the last resort.
+  useEffect(() => {
+    const urls = mapSource === 'wiki' && layer === SURFACE_AREA
+      ? [WIKI_MAP_URL, BUNDLED_MAP_URLS[layer]]
+      : [BUNDLED_MAP_URLS[layer]];
+    let img = null;
+    const load = (index) => {
+      img = new Image();
+      img.onload = () => {
+        imageRef.current = img;
+        setImageStatus('loaded');
+      };
+      img.onerror = () => {
+        if (index + 1 < urls.length) {
+          console.warn(`Failed to load map image ${urls[index]}, falling back to the bundled map.`);
+          load(index + 1);
+          return;
+        }
+        console.error("Failed to load the map image. Drawing death points on fallback background.");
+        imageRef.current = null;
+        setImageStatus('error');
+      };
+      // Request the image with CORS so the canvas can still be exported as PNG
+      img.crossOrigin = 'anonymous';
+      img.src = urls[index];
+    };
+    setImageStatus('loading');
+    load(0);
+    return () => {
+      img.onload = null;
+      img.onerror = null;
+    };
+  }, [layer, mapSource]);
+
+  // Track the container width, at most once per animation frame while resizing
+  useEffect(() => {
+    let frame = null;
+    const measure = () => {
+      frame = null;
+      if (containerRef.current) setContainerWidth(containerRef.current.offsetWidth);
+    };
+    const handleResize = () => {
+      if (frame === null) frame = requestAnimationFrame(measure);
+    };
+    measure();
+    window.addEventListener('resize', handleResize);
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, []);
+
+  // Canvas size follows the image's aspect ratio, or the area's while loading or when it failed to load
+  const size = useMemo(() => {
+    const img = imageRef.current;
+    const aspectRatio = imageStatus === 'loaded' && img
+      ? img.width / img.height
+      : (bounds.maxX - bounds.minX) / (bounds.maxY - bounds.minY);
+    return { width: containerWidth, height: Math.round(containerWidth / aspectRatio) };
+  }, [containerWidth, imageStatus, bounds]);
+
+  // Deaths projected to unzoomed canvas pixels, plus a lookup index for picking
+  const points = useMemo(
+    () => deaths.map(death => worldToMap(death.x, death.y, size.width, size.height, bounds)),
+    [deaths, size, bounds]
+  );
+  const spatialIndex = useMemo(() => createSpatialIndex(points, CLICK_RADIUS * 2), [points]);
+  const highlightedPoints = useMemo(
+    () => (highlighted ? highlighted.map(death => worldToMap(death.x, death.y, size.width, size.height, bounds)) : []),
+    [highlighted, size, bounds]
+  );
+
+  // Density layers only rebuild when the data, options or canvas size change
+  const isTimelapse = Boolean(timelapse);
+  const differencePoints = useMemo(() => (difference ? {
+    before: difference.before.map(death => worldToMap(death.x, death.y, size.width, size.height, bounds)),
+    after: difference.after.map(death => worldToMap(death.x, death.y, size.width, size.height, bounds))
+  } : null), [difference, size, bounds]);
+  const densityLayer = useMemo(() => {
+    if (size.width === 0) return null;
+    if (differencePoints) {
+      return renderDifferenceLayer(differencePoints.before, differencePoints.after, size.width, size.height, bounds, {
+        radius: options.radius,
+        beforeWeight: difference.beforeWeight,
+        afterWeight: difference.afterWeight
+      });
+    }
+    if (options.mode === 'points' || isTimelapse) return null;
+    return renderDensityLayer(points, size.width, size.height, options, bounds);
+  }, [points, size, options, isTimelapse, differencePoints, difference, bounds]);
+
+  useEffect(() => {
+    onLegendMaxChange(densityLayer ? densityLayer.max : 0);
+  }, [densityLayer, onLegendMaxChange]);
+
+  // Hover and cluster selections refer to point indices, so drop them when the data changes
+  useEffect(() => {
+    setHovered(null);
+    setCluster(null);
+  }, [points]);
+
+  // Resizing the canvas clears it, so only do it when the size really changes
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    canvas.width = size.width;
+    canvas.height = size.height;
+  }, [size]);
+
+  const drawMap = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || size.width === 0 || imageStatus === 'loading') return;
+
+    const ctx = canvas.getContext('2d');
+    const { width, height } = size;
+    const { zoom, offsetX, offsetY } = getViewTransform(view, width, height);
+    const isFallback = imageStatus === 'error';
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    // Background and cached density layer are drawn in zoomed map space
+    ctx.save();
+    ctx.setTransform(zoom, 0, 0, zoom, offsetX, offsetY);
+    if (isFallback) drawFallbackBackground(ctx, width, height, zoom);
+    else ctx.drawImage(imageRef.current, 0, 0, width, height);
+    if (densityLayer) ctx.drawImage(densityLayer.canvas, 0, 0, width, height);
+    ctx.restore();
+
+    const toScreen = (point) => ({ x: point.x * zoom + offsetX, y: point.y * zoom + offsetY });
+
+    if (timelapse) {
+      // Time-lapse: only the current window's deaths, each faded by its age
+      points.forEach((point, index) => {
+        const screen = toScreen(point);
+        ctx.globalAlpha = Math.max(0, Math.min(1, getTimelapseAlpha(deaths[index].timestamp.getTime(), timelapse)));
+        ctx.beginPath();
+        ctx.arc(screen.x, screen.y, 4, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgb(255, 60, 60)';
+        ctx.fill();
+      });
+      ctx.globalAlpha = 1;
+    } else if (options.mode === 'points' && !difference) {
+      // Raw points stay the same size on screen. One batched path keeps this fast at 5,000+ deaths,
+      // and very large datasets draw squares, which are far cheaper than arcs.
+      const pointRadius = isFallback ? 3 : 2;
+      const useSquares = points.length > SQUARE_POINTS_THRESHOLD;
+      ctx.beginPath();
+      points.forEach(point => {
+        const screen = toScreen(point);
+        if (screen.x < -pointRadius || screen.y < -pointRadius || screen.x > width + pointRadius || screen.y > height + pointRadius) return;
+        if (useSquares) {
+          ctx.rect(screen.x - pointRadius, screen.y - pointRadius, pointRadius * 2, pointRadius * 2);
+        } else {
+          ctx.moveTo(screen.x + pointRadius, screen.y);
+          ctx.arc(screen.x, screen.y, pointRadius, 0, Math.PI * 2);
+        }
+      });
+      ctx.fillStyle = isFallback ? 'rgba(255, 0, 0, 0.7)' : 'rgba(255, 0, 0, 0.5)';
+      ctx.fill();
+    }
+
+    // Hotspot circles for visual reference
+    hotspots.forEach(hotspot => {
+      const center = toScreen(worldToMap(hotspot.x, hotspot.y, width, height, bounds));
+      ctx.beginPath();
+      ctx.arc(center.x, center.y, tilesToPixels(hotspot.radius, width, bounds) * zoom, 0, Math.PI * 2);
+      ctx.strokeStyle = isFallback ? 'rgba(0, 255, 255, 0.5)' : 'rgba(0, 255, 255, 0.3)';
+      ctx.lineWidth = isFallback ? 2 : 1;
+      ctx.stroke();
+    });
+
+    // Region overlays (multi-combat zones are dashed)
+    regions.forEach(region => {
+      ctx.beginPath();
+      region.polygon.forEach(([x, y], index) => {
+        const corner = toScreen(worldToMap(x, y, width, height, bounds));
+        if (index === 0) ctx.moveTo(corner.x, corner.y);
+        else ctx.lineTo(corner.x, corner.y);
+      });
+      ctx.closePath();
+      ctx.globalAlpha = 0.15;
+      ctx.fillStyle = region.color;
+      ctx.fill();
+      ctx.globalAlpha = 1;
+      ctx.setLineDash(region.category === 'multi-combat' ? [6, 4] : []);
+      ctx.strokeStyle = region.color;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      // Names only once zoomed in far enough to read them
+      if (zoom >= 2) {
+        const label = toScreen(worldToMap(region.bounds.minX, region.bounds.maxY, width, height, bounds));
+        ctx.fillStyle = 'white';
+        ctx.font = '12px Arial';
+        ctx.fillText(region.name, label.x + 4, label.y + 14);
+      }
+    });
+
+    // Discovered cluster outlines
+    if (clusters) {
+      clusters.forEach(cluster => {
+        ctx.beginPath();
+        cluster.outline.forEach(([x1, y1, x2, y2]) => {
+          const start = toScreen(worldToMap(x1, y1, width, height, bounds));
+          const end = toScreen(worldToMap(x2, y2, width, height, bounds));
+          ctx.moveTo(start.x, start.y);
+          ctx.lineTo(end.x, end.y);
+        });
+        ctx.strokeStyle = cluster.color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      });
+    }
+
+    // Highlighted deaths, e.g. from a risk matrix cell
+    if (highlightedPoints.length > 0) {
+      ctx.beginPath();
+      highlightedPoints.forEach(point => {
+        const screen = toScreen(point);
+        if (screen.x < -4 || screen.y < -4 || screen.x > width + 4 || screen.y > height + 4) return;
+        ctx.moveTo(screen.x + 3, screen.y);
+        ctx.arc(screen.x, screen.y, 3, 0, Math.PI * 2);
+      });
+      ctx.fillStyle = 'rgba(250, 204, 21, 0.9)';
+      ctx.fill();
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+
+    // Picked location, e.g. for the risk estimator
+    if (marker) {
+      const center = toScreen(worldToMap(marker.x, marker.y, width, height, bounds));
+      const radius = Math.max(4, tilesToPixels(marker.radius, width, bounds) * zoom);
+      ctx.beginPath();
+      ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+      ctx.moveTo(center.x - 6, center.y);
+      ctx.lineTo(center.x + 6, center.y);
+      ctx.moveTo(center.x, center.y - 6);
+      ctx.lineTo(center.x, center.y + 6);
+      ctx.strokeStyle = 'rgba(56, 189, 248, 0.95)';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+
+    // Clicked cluster area
+    if (cluster) {
+      const center = toScreen(cluster.base);
+      ctx.beginPath();
+      ctx.arc(center.x, center.y, CLICK_RADIUS, 0, Math.PI * 2);
+      ctx.strokeStyle = 'rgba(250, 204, 21, 0.9)';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+
+    // Hovered death
+    if (hovered && points[hovered.index]) {
+      const center = toScreen(points[hovered.index]);
+      ctx.beginPath();
+      ctx.arc(center.x, center.y, 5, 0, Math.PI * 2);
+      ctx.strokeStyle = 'white';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+
+    if (isFallback) {
+      ctx.fillStyle = 'white';
+      ctx.font = '16px Arial';
+      ctx.fillText('Map image unavailable - showing death data on grid background', 10, 30);
+    }
+  }, [size, view, imageStatus, densityLayer, options.mode, difference, points, deaths, timelapse, hotspots, regions, clusters, highlightedPoints, marker, cluster, hovered, bounds]);
+
+  // Coalesce redraws into one per animation frame
+  useEffect(() => {
+    const frame = requestAnimationFrame(drawMap);
+    return () => cancelAnimationFrame(frame);
+  }, [drawMap]);
+
+  // Live arrivals: draw just the new ones, or start over when the view, size or list changed
+  useEffect(() => {
+    const canvas = overlayRef.current;
+    if (!canvas || size.width === 0) return;
+    const list = arrivals || [];
+    const drawn = overlayStateRef.current;
+    const ctx = canvas.getContext('2d');
+    const resized = canvas.width !== size.width || canvas.height !== size.height;
+    let from = drawn ? drawn.count : 0;
+    if (resized || !drawn || drawn.view !== view || drawn.size !== size || drawn.bounds !== bounds || drawn.first !== list[0] || list.length < drawn.count) {
+      if (resized) {
+        canvas.width = size.width;
+        canvas.height = size.height;
+      }
+      ctx.clearRect(0, 0, size.width, size.height);
+      from = 0;
+    }
+
+    const { zoom, offsetX, offsetY } = getViewTransform(view, size.width, size.height);
+    for (let i = from; i < list.length; i++) {
+      const point = worldToMap(list[i].x, list[i].y, size.width, size.height, bounds);
+      const x = point.x * zoom + offsetX;
+      const y = point.y * zoom + offsetY;
+      ctx.beginPath();
+      ctx.arc(x, y, 7, 0, Math.PI * 2);
+      ctx.strokeStyle = 'rgba(250, 204, 21, 0.8)';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(x, y, 3, 0, Math.PI * 2);
+      ctx.fillStyle = 'rgb(255, 255, 255)';
+      ctx.fill();
+    }
+    overlayStateRef.current = { first: list[0], count: list.length, view, size, bounds };
+  }, [arrivals, view, size, bounds]);
+
+  // Wheel zoom needs a non-passive listener so the page doesn't scroll
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return undefined;
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const position = getCanvasPosition(canvas, event);
+      const factor = Math.exp(-event.deltaY * 0.002);
+      onViewChange(current => zoomViewAt(current, factor, position.x, position.y, size.width, size.height));
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, [size, onViewChange]);
+
+  const handlePointerDown = (event) => {
+    canvasRef.current.setPointerCapture(event.pointerId);
+    const position = getCanvasPosition(canvasRef.current, event);
+    pointersRef.current.set(event.pointerId, position);
+    gestureRef.current = { moved: false, startX: position.x, startY: position.y };
+    setHovered(null);
+  };
+
+  const handlePointerMove = (event) => {
+    const position = getCanvasPosition(canvasRef.current, event);
+    const pointers = pointersRef.current;
+
+    if (!pointers.has(event.pointerId)) {
+      // Plain hover: show the closest death under the cursor
+      const base = screenToBase(view, size.width, size.height, position.x, position.y);
+      const index = spatialIndex.nearest(base.x, base.y, HOVER_RADIUS / view.zoom);
+      setHovered(index === -1 ? null : { index, sx: position.x, sy: position.y });
+      return;
+    }
+
+    const previous = pointers.get(event.pointerId);
+    const gesture = gestureRef.current;
+    if (Math.hypot(position.x - gesture.startX, position.y - gesture.startY) > DRAG_THRESHOLD) {
+      gesture.moved = true;
+    }
+
+    if (pointers.size === 1) {
+      // Drag to pan
+      onViewChange(current => panView(current, position.x - previous.x, position.y - previous.y, size.width, size.height));
+    } else if (pointers.size === 2) {
+      // Pinch: zoom by the change in finger distance around their midpoint
+      const other = Array.from(pointers.entries()).find(([id]) => id !== event.pointerId)[1];
+      const previousDistance = Math.hypot(previous.x - other.x, previous.y - other.y);
+      const distance = Math.hypot(position.x - other.x, position.y - other.y);
+      const midX = (position.x + other.x) / 2;
+      const midY = (position.y + other.y) / 2;
+      if (previousDistance > 0) {
+        onViewChange(current => zoomViewAt(current, distance / previousDistance, midX, midY, size.width, size.height));
+      }
+      gesture.moved = true;
+    }
+
+    pointers.set(event.pointerId, position);
+  };
+
+  const handlePointerUp = (event) => {
+    const pointers = pointersRef.current;
+    if (!pointers.has(event.pointerId)) return;
+
+    // A press without dragging is a click: pick the location, or list the deaths under the cursor
+    if (!gestureRef.current.moved && pointers.size === 1) {
+      const position = getCanvasPosition(canvasRef.current, event);
+      const base = screenToBase(view, size.width, size.height, position.x, position.y);
+      if (onLocationPick) {
+        const world = mapToWorld(base.x, base.y, size.width, size.height, bounds);
+        onLocationPick({ x: Math.floor(world.x), y: Math.floor(world.y) });
+        pointers.delete(event.pointerId);
+        return;
+      }
+      const indices = spatialIndex.query(base.x, base.y, CLICK_RADIUS / view.zoom);
+      setCluster(indices.length > 0 ? { indices, base } : null);
+    }
+
+    pointers.delete(event.pointerId);
+  };
+
+  const hoveredDeath = hovered ? deaths[hovered.index] : null;
+  const clusterDeaths = cluster
+    ? cluster.indices.map(index => deaths[index]).filter(Boolean).sort((a, b) => b.timestamp - a.timestamp)
+    : [];
+  // Tooltip position in CSS pixels (the canvas may be scaled by CSS)
+  const cssScale = canvasRef.current && canvasRef.current.width
+    ? canvasRef.current.getBoundingClientRect().width / canvasRef.current.width
+    : 1;
+
+  return (
+    <div>
+      <div ref={containerRef} className="relative w-full">
+        {imageStatus === 'loading' && (
+          <div className="absolute inset-0 flex items-center justify-center bg-gray-700 bg-opacity-75 rounded-xl text-gray-300 text-xl z-10">
+            Loading {getMapArea(layer).name} map...
+          </div>
+        )}
+        <canvas
+          ref={canvasRef}
+          className="w-full h-auto"
+          style={{ touchAction: 'none', cursor: onLocationPick ? 'crosshair' : hoveredDeath ? 'pointer' : 'grab' }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          onPointerLeave={() => setHovered(null)}
+        ></canvas>
+        {arrivals && (
+          <canvas ref={overlayRef} className="absolute top-0 left-0 w-full h-auto pointer-events-none"
+            style={{ border: '1px solid transparent', boxShadow: 'none' }} aria-hidden="true"></canvas>
+        )}
+
+        {/* Zoom controls */}
+        <div className="absolute top-2 right-2 flex items-center space-x-1 z-10">
+          <span className="bg-gray-900 bg-opacity-75 text-gray-300 text-xs rounded px-2 py-1">
+            {Math.round(view.zoom * 100)}%
+          </span>
+          <button type="button" className="bg-gray-900 bg-opacity-75 hover:bg-gray-700 text-gray-100 rounded w-7 h-7"
+            onClick={() => onViewChange(current => zoomViewAt(current, 1.5, size.width / 2, size.height / 2, size.width, size.height))}
+            aria-label="Zoom in">+</button>
+          <button type="button" className="bg-gray-900 bg-opacity-75 hover:bg-gray-700 text-gray-100 rounded w-7 h-7"
+            onClick={() => onViewChange(current => zoomViewAt(current, 1 / 1.5, size.width / 2, size.height / 2, size.width, size.height))}
+            aria-label="Zoom out">−</button>
+          <button type="button" className="bg-gray-900 bg-opacity-75 hover:bg-gray-700 text-gray-100 rounded px-2 h-7 text-xs"
+            onClick={() => onViewChange(DEFAULT_VIEW)}>
+            Reset
+          </button>
+        </div>
+
+        {/* Hover tooltip */}
+        {hoveredDeath && (
+          <div
+            className="absolute z-20 pointer-events-none bg-gray-900 bg-opacity-90 border border-gray-600 rounded-lg p-2 text-xs text-gray-200 shadow-lg"
+            style={{ left: hovered.sx * cssScale + 12, top: hovered.sy * cssScale + 12 }}
+          >
+            <div className="font-semibold text-yellow-400">{hoveredDeath.hotspot}</div>
+            {hoveredDeath.region && hoveredDeath.region !== hoveredDeath.hotspot && (
+              <div className="text-gray-400">Region: {hoveredDeath.region}</div>
+            )}
+            <div>{formatDateTime(hoveredDeath.timestamp, timeZone)}</div>
+            <div>Combat level: {hoveredDeath.combatLevel}</div>
+            <div>Wealth lost: {formatGp(hoveredDeath.wealthLost)} gp</div>
+            {hoveredDeath.killerName && (
+              <div className="mt-1 text-red-300">
+                Killed by {hoveredDeath.killerName}
+                {hoveredDeath.killerCombatLevel ? ` (cb ${hoveredDeath.killerCombatLevel})` : ''}
+                {hoveredDeath.killerClan ? ` · ${hoveredDeath.killerClan}` : ''}
+              </div>
+            )}
+            {(hoveredDeath.killerWeapon || hoveredDeath.attackStyle || hoveredDeath.combatType) && (
+              <div className="text-gray-400">
+                {[hoveredDeath.killerWeapon, hoveredDeath.attackStyle && getAttackStyleName(hoveredDeath.attackStyle),
+                  hoveredDeath.combatType && getCombatTypeName(hoveredDeath.combatType)].filter(Boolean).join(' · ')}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Deaths under the last click */}
+      {cluster && (
+        <div className="mt-4 p-3 bg-gray-700 rounded-lg">
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-gray-200 font-semibold">
+              {clusterDeaths.length.toLocaleString()} {clusterDeaths.length === 1 ? 'death' : 'deaths'} at this spot
+            </p>
+            <button type="button" className="text-xs text-gray-400 underline hover:text-gray-200" onClick={() => setCluster(null)}>
+              Close
+            </button>
+          </div>
+          <ul className="text-sm text-gray-300 max-h-48 overflow-y-auto space-y-1">
+            {clusterDeaths.slice(0, MAX_CLUSTER_LIST).map((death, index) => (
+              <li key={index} className="flex justify-between">
+                <span>{formatDateTime(death.timestamp, timeZone)}</span>
+                <span>Cb {death.combatLevel}</span>
+                <span className="text-green-400">{formatGp(death.wealthLost)} gp</span>
+                <span className="text-gray-400 truncate ml-2">{death.hotspot}</span>
+              </li>
+            ))}
+            {clusterDeaths.length > MAX_CLUSTER_LIST && (
+              <li className="text-gray-400">...and {(clusterDeaths.length - MAX_CLUSTER_LIST).toLocaleString()} more</li>
+            )}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default DeathMap;
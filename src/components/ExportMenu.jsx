@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { downloadFile } from '../utils/download';
+import { deathsToCSV, deathsToJSON, analyticsToJSON, buildHtmlReport, fileTimestamp } from '../utils/exporters';
+
+// PNG data URL of the map canvas. Throws if the canvas is tainted by a cross-origin map image.
+const captureMap = (canvas) => {
+  if (!canvas || canvas.width === 0) throw new Error('The map has not been drawn yet');
+  try {
+    return canvas.toDataURL('image/png');
+  } catch (error) {
+    throw new Error('The map image host does not allow exporting the canvas');
+  }
+};
+
+// Export menu for the current (filtered) view: records, map image, analytics and an HTML report
+const ExportMenu = ({ deaths, analytics, insights, datasetName, activeFilters, getMapCanvas }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  const metadata = { dataset: datasetName, filters: activeFilters.map(filter => filter.label) };
+  const stamp = () => fileTimestamp();
+
+  // Run an export and show any failure instead of letting it disappear in the console
+  const run = (exporter) => () => {
+    setIsOpen(false);
+    setError(null);
+    try {
+      exporter();
+    } catch (exportError) {
+      console.error('Export failed', exportError);
+      setError(exportError.message);
+    }
+  };
+
+  const exports = [
+    {
+      label: 'Deaths as CSV',
+      action: () => downloadFile(`wilderness-deaths-${stamp()}.csv`, deathsToCSV(deaths), 'text/csv')
+    },
+    {
+      label: 'Deaths as JSON',
+      action: () => downloadFile(`wilderness-deaths-${stamp()}.json`, deathsToJSON(deaths, metadata))
+    },
+    {
+      label: 'Map as PNG',
+      action: () => {
+        const dataUrl = captureMap(getMapCanvas());
+        const link = document.createElement('a');
+        link.href = dataUrl;
+        link.download = `wilderness-map-${stamp()}.png`;
+        link.click();
+      }
+    },
+    {
+      label: 'Analytics summary (JSON)',
+      action: () => downloadFile(`wilderness-analytics-${stamp()}.json`, analyticsToJSON(analytics, metadata))
+    },
+    {
+      label: 'Shareable HTML report',
+      action: () => {
+        // The report still works without the map if the canvas can't be captured
+        let mapImage = null;
+        try {
+          mapImage = captureMap(getMapCanvas());
+        } catch (captureError) {
+          console.error('Map not included in report', captureError);
+        }
+        const html = buildHtmlReport({ datasetName, analytics, insights, mapImage, activeFilters });
+        downloadFile(`wilderness-report-${stamp()}.html`, html, 'text/html');
+      }
+    }
+  ];
+
+  return (
+    <div className="relative inline-block text-left">
+      <button
+        type="button"
+        className="bg-blue-600 hover:bg-blue-500 text-white rounded-lg px-4 py-2 text-sm disabled:opacity-50"
+        disabled={deaths.length === 0}
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+      >
+        Export ▾
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-64 bg-gray-800 border border-gray-600 rounded-lg shadow-lg z-30">
+          <p className="px-4 pt-3 pb-1 text-xs text-gray-400">{deaths.length.toLocaleString()} deaths in the current view</p>
+          {exports.map(item => (
+            <button
+              key={item.label}
+              type="button"
+              className="block w-full text-left px-4 py-2 text-sm text-gray-200 hover:bg-gray-700 last:rounded-b-lg"
+              onClick={run(item.action)}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+      )}
+      {error && <p className="text-red-400 text-xs mt-2">Export failed: {error}</p>}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,172 @@
+import React from 'react';
+import { WILDERNESS_LEVEL_BRACKETS } from '../utils/coordinates';
+import { DEFAULT_FILTERS, DAY_NAMES, describeActiveFilters } from '../utils/filters';
+
+const inputClass = 'w-full bg-gray-700 text-gray-100 rounded p-1 border border-gray-600 text-sm';
+
+// Add or remove a value from a multi-select list
+const toggleValue = (list, value) =>
+  list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+
+// Small toggle button used by the multi-selects
+const ToggleButton = ({ active, onClick, children }) => (
+  <button
+    type="button"
+    className={`px-2 py-1 rounded text-xs ${
+      active ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+    }`}
+    onClick={onClick}
+  >
+    {children}
+  </button>
+);
+
+// Filter panel: every stat card, chart and the map are computed from the deaths it lets through
+const FilterPanel = ({ filters, onChange, hotspotNames, regionNames, matchCount, totalCount }) => {
+  const update = (changes) => onChange({ ...filters, ...changes });
+  const activeFilters = describeActiveFilters(filters);
+
+  // Reset the given filter fields to their defaults
+  const clearFilter = (keys) => {
+    const changes = {};
+    keys.forEach(key => {
+      changes[key] = DEFAULT_FILTERS[key];
+    });
+    update(changes);
+  };
+
+  return (
+    <section className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700 mb-8">
+      <div className="flex flex-wrap items-center justify-between mb-4 gap-2">
+        <h2 className="text-2xl font-semibold text-blue-300">Filters</h2>
+        <div className="text-gray-300">
+          <span className="text-yellow-400 font-bold">{matchCount.toLocaleString()}</span>
+          {' '}of {totalCount.toLocaleString()} deaths match
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        {/* Ranges */}
+        <div className="space-y-3">
+          <div>
+            <p className="text-gray-400 text-sm font-medium mb-1">Date range</p>
+            <div className="flex space-x-2">
+              <input type="date" className={inputClass} value={filters.dateFrom}
+                onChange={(event) => update({ dateFrom: event.target.value })} aria-label="From date" />
+              <input type="date" className={inputClass} value={filters.dateTo}
+                onChange={(event) => update({ dateTo: event.target.value })} aria-label="To date" />
+            </div>
+          </div>
+          <div>
+            <p className="text-gray-400 text-sm font-medium mb-1">Combat level</p>
+            <div className="flex space-x-2">
+              <input type="number" min="1" max="126" placeholder="Min" className={inputClass}
+                value={filters.combatMin} onChange={(event) => update({ combatMin: event.target.value })} />
+              <input type="number" min="1" max="126" placeholder="Max" className={inputClass}
+                value={filters.combatMax} onChange={(event) => update({ combatMax: event.target.value })} />
+            </div>
+          </div>
+          <div>
+            <p className="text-gray-400 text-sm font-medium mb-1">Wealth lost (e.g. 500k, 10m)</p>
+            <div className="flex space-x-2">
+              <input type="text" placeholder="Min" className={inputClass}
+                value={filters.wealthMin} onChange={(event) => update({ wealthMin: event.target.value })} />
+              <input type="text" placeholder="Max" className={inputClass}
+                value={filters.wealthMax} onChange={(event) => update({ wealthMax: event.target.value })} />
+            </div>
+          </div>
+        </div>
+
+        {/* Locations */}
+        <div className="space-y-3">
+          <div>
+            <p className="text-gray-400 text-sm font-medium mb-1">Hotspots</p>
+            <div className="flex flex-wrap gap-1">
+              {hotspotNames.map(name => (
+                <ToggleButton key={name} active={filters.hotspots.includes(name)}
+                  onClick={() => update({ hotspots: toggleValue(filters.hotspots, name) })}>
+                  {name}
+                </ToggleButton>
+              ))}
+            </div>
+          </div>
+          <div>
+            <p className="text-gray-400 text-sm font-medium mb-1">Regions</p>
+            <div className="flex flex-wrap gap-1">
+              {regionNames.map(name => (
+                <ToggleButton key={name} active={filters.regions.includes(name)}
+                  onClick={() => update({ regions: toggleValue(filters.regions, name) })}>
+                  {name}
+                </ToggleButton>
+              ))}
+            </div>
+          </div>
+          <div>
+            <p className="text-gray-400 text-sm font-medium mb-1">Wilderness level</p>
+            <div className="flex flex-wrap gap-1">
+              {WILDERNESS_LEVEL_BRACKETS.map(bracket => (
+                <ToggleButton key={bracket.label} active={filters.levelBrackets.includes(bracket.label)}
+                  onClick={() => update({ levelBrackets: toggleValue(filters.levelBrackets, bracket.label) })}>
+                  {bracket.label}
+                </ToggleButton>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* Time */}
+        <div className="space-y-3">
+          <div>
+            <p className="text-gray-400 text-sm font-medium mb-1">Hour of day</p>
+            <div className="grid grid-cols-8 gap-1">
+              {Array.from({ length: 24 }, (_, hour) => (
+                <ToggleButton key={hour} active={filters.hours.includes(hour)}
+                  onClick={() => update({ hours: toggleValue(filters.hours, hour) })}>
+                  {hour}
+                </ToggleButton>
+              ))}
+            </div>
+          </div>
+          <div>
+            <p className="text-gray-400 text-sm font-medium mb-1">Day of week</p>
+            <div className="flex flex-wrap gap-1">
+              {DAY_NAMES.map((day, index) => (
+                <ToggleButton key={day} active={filters.days.includes(index)}
+                  onClick={() => update({ days: toggleValue(filters.days, index) })}>
+                  {day}
+                </ToggleButton>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Active filter chips */}
+      {activeFilters.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mt-4 pt-4 border-t border-gray-700">
+          <span className="text-gray-400 text-sm">Active:</span>
+          {activeFilters.map(filter => (
+            <button
+              key={filter.label}
+              type="button"
+              className="bg-yellow-500 bg-opacity-20 text-yellow-300 text-xs rounded-full px-3 py-1 hover:bg-opacity-30"
+              onClick={() => clearFilter(filter.keys)}
+              title="Remove this filter"
+            >
+              {filter.label} ✕
+            </button>
+          ))}
+          <button
+            type="button"
+            className="text-xs text-gray-400 underline hover:text-gray-200"
+            onClick={() => onChange(DEFAULT_FILTERS)}
+          >
+            Clear all
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default FilterPanel;
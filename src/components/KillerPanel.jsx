@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { formatGp } from '../utils/filters';
+import { COMBAT_TYPES, NO_CLAN_LABEL } from '../utils/killers';
+
+// Hotspot columns in the clan table
+const CLAN_TABLE_HOTSPOTS = 6;
+
+const Leaderboard = ({ killers, value, selectedKillers, onToggleKiller }) => (
+  <ol className="space-y-1">
+    {killers.map((killer, index) => {
+      const selected = selectedKillers.includes(killer.name);
+      return (
+        <li key={killer.name}>
+          <button
+            type="button"
+            className={`w-full flex items-center justify-between p-2 rounded-lg text-sm text-left ${selected ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+            onClick={() => onToggleKiller(killer.name)}
+            aria-pressed={selected}
+            title={selected ? 'Show every killer again' : `Show ${killer.name}'s kills on the map`}
+          >
+            <span>
+              <span className="text-yellow-400 font-bold mr-2">#{index + 1}</span>
+              {killer.name}
+              {killer.clan && <span className="text-xs text-gray-400 ml-2">{killer.clan}</span>}
+            </span>
+            <span className="text-red-400 font-bold">{value(killer)}</span>
+          </button>
+        </li>
+      );
+    })}
+  </ol>
+);
+
+// Attackers: leaderboards by kills and GP taken, clan activity per hotspot and the
+// single/multi-combat split. Clicking a killer filters the dashboard (and map) to their kills.
+const KillerPanel = ({ analytics, selectedKillers, onToggleKiller, emptyMessage }) => {
+  const [board, setBoard] = useState('kills'); // 'kills' or 'gp'
+
+  const killers = board === 'gp' ? analytics.topKillersByGp : analytics.topKillersByKills;
+  const hasKillers = analytics.deathsWithKiller > 0;
+
+  const clans = Object.entries(analytics.clanCounts || {}).sort(([, a], [, b]) => b - a).map(([clan]) => clan);
+  const hotspots = Object.entries(analytics.hotspotCounts || {})
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, CLAN_TABLE_HOTSPOTS)
+    .map(([hotspot]) => hotspot);
+  const clanHotspotCounts = analytics.clanHotspotCounts || {};
+  const maxClanCount = Math.max(1, ...clans.flatMap(clan => hotspots.map(hotspot => (clanHotspotCounts[clan] || {})[hotspot] || 0)));
+
+  const combatTypeCounts = analytics.combatTypeCounts || {};
+  const combatTypeTotal = COMBAT_TYPES.reduce((sum, type) => sum + (combatTypeCounts[type.id] || 0), 0);
+
+  return (
+    <section className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700 mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-2xl font-semibold text-blue-300">Killers &amp; Clans</h2>
+        {selectedKillers.length > 0 && (
+          <button type="button" className="text-sm text-blue-300 underline" onClick={() => selectedKillers.forEach(onToggleKiller)}>
+            Clear killer filter ({selectedKillers.join(', ')})
+          </button>
+        )}
+      </div>
+
+      {!hasKillers ? (
+        <p className="text-gray-400">
+          {analytics.totalDeaths
+            ? 'This dataset has no killer details. Import files with killerName, killerClan and related columns to fill this in.'
+            : emptyMessage}
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          {/* Leaderboards */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-lg font-semibold text-yellow-400">Top Killers</h3>
+              <div className="flex rounded-lg overflow-hidden border border-gray-600 text-xs">
+                {[['kills', 'By kills'], ['gp', 'By GP taken']].map(([id, label]) => (
+                  <button
+                    key={id}
+                    type="button"
+                    className={`px-2 py-1 ${board === id ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                    onClick={() => setBoard(id)}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <Leaderboard
+              killers={killers}
+              value={board === 'gp' ? (killer) => `${formatGp(killer.gpTaken)} gp` : (killer) => `${killer.kills.toLocaleString()} kills`}
+              selectedKillers={selectedKillers}
+              onToggleKiller={onToggleKiller}
+            />
+            <p className="text-xs text-gray-400 mt-2">
+              {analytics.killerCount.toLocaleString()} killers · {analytics.deathsWithKiller.toLocaleString()} of{' '}
+              {analytics.totalDeaths.toLocaleString()} deaths have a known killer. Click a killer to see their kills on the map.
+            </p>
+          </div>
+
+          <div className="space-y-6">
+            {/* Single vs multi-combat */}
+            {combatTypeTotal > 0 && (
+              <div>
+                <h3 className="text-lg font-semibold text-yellow-400 mb-2">Single vs Multi-combat</h3>
+                <div className="flex h-6 rounded-lg overflow-hidden text-xs font-semibold">
+                  {COMBAT_TYPES.map((type, index) => {
+                    const share = (combatTypeCounts[type.id] || 0) / combatTypeTotal;
+                    return share > 0 && (
+                      <div key={type.id} className={`flex items-center justify-center text-white ${index === 0 ? 'bg-blue-600' : 'bg-red-600'}`}
+                        style={{ width: `${share * 100}%` }} title={`${type.name}: ${(combatTypeCounts[type.id] || 0).toLocaleString()} deaths`}>
+                        {share >= 0.15 && `${type.name} ${(share * 100).toFixed(0)}%`}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            {/* Clan kills per hotspot */}
+            {clans.length > 0 && (
+              <div className="overflow-x-auto">
+                <h3 className="text-lg font-semibold text-yellow-400 mb-2">Clan Activity by Hotspot</h3>
+                <table className="w-full text-xs text-gray-300">
+                  <thead>
+                    <tr>
+                      <th className="text-left p-1">Clan</th>
+                      {hotspots.map(hotspot => <th key={hotspot} className="p-1 font-normal text-gray-400">{hotspot}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {clans.map(clan => (
+                      <tr key={clan}>
+                        <td className={`p-1 whitespace-nowrap ${clan === NO_CLAN_LABEL ? 'text-gray-400 italic' : ''}`}>{clan}</td>
+                        {hotspots.map(hotspot => {
+                          const count = (clanHotspotCounts[clan] || {})[hotspot] || 0;
+                          return (
+                            <td key={hotspot} className="p-1 text-center"
+                              style={{ backgroundColor: `rgba(239, 68, 68, ${(count / maxClanCount) * 0.8})` }}
+                              title={`${clan} at ${hotspot}: ${count.toLocaleString()} kills`}>
+                              {count.toLocaleString()}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default KillerPanel;
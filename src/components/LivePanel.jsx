@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from 'react';
+import { formatGp } from '../utils/filters';
+import { formatDateTime } from '../utils/timezones';
+import { LIVE_WINDOW_OPTIONS, isLiveUrl } from '../utils/liveFeed';
+
+const inputClass = 'bg-gray-700 text-gray-100 rounded p-1 border border-gray-600 text-sm';
+
+const STATUS_LABELS = {
+  idle: { label: 'Off', color: 'bg-gray-500' },
+  connecting: { label: 'Connecting…', color: 'bg-yellow-400 animate-pulse' },
+  open: { label: 'Live', color: 'bg-green-400 animate-pulse' },
+  reconnecting: { label: 'Reconnecting…', color: 'bg-orange-400 animate-pulse' },
+  error: { label: 'Connection failed', color: 'bg-red-500' }
+};
+
+// Live mode: connect to a death feed and follow a rolling window of recent deaths.
+// live follows DEFAULT_LIVE; analytics and recent cover the filtered deaths in the window.
+const LivePanel = ({ live, onChange, status, analytics, windowTotal, recent, timeZone }) => {
+  // The URL is edited here and only used once Connect is pressed
+  const [url, setUrl] = useState(live.url);
+  useEffect(() => setUrl(live.url), [live.url]);
+  const validUrl = isLiveUrl(url);
+  const statusInfo = STATUS_LABELS[live.enabled ? status : 'idle'];
+  const count = analytics.totalDeaths || 0;
+
+  return (
+    <section className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700 mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-2xl font-semibold text-blue-300">Live Feed</h2>
+        <span className="inline-flex items-center space-x-2 text-sm text-gray-300" role="status">
+          <span className={`w-2 h-2 rounded-full ${statusInfo.color}`}></span>
+          <span>{statusInfo.label}</span>
+        </span>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-4 text-sm">
+        <label className="flex-1 min-w-[16rem]">
+          <span className="block text-gray-400 font-medium mb-1">WebSocket or SSE endpoint</span>
+          <input
+            type="text"
+            className={`${inputClass} w-full`}
+            value={url}
+            disabled={live.enabled}
+            onChange={(event) => setUrl(event.target.value)}
+            placeholder="ws://localhost:8787 or http://localhost:8787/events"
+          />
+        </label>
+        <label>
+          <span className="block text-gray-400 font-medium mb-1">Show the last</span>
+          <select className={inputClass} value={live.windowMinutes}
+            onChange={(event) => onChange(current => ({ ...current, windowMinutes: Number(event.target.value) }))}>
+            {LIVE_WINDOW_OPTIONS.map(minutes => <option key={minutes} value={minutes}>{minutes} minutes</option>)}
+          </select>
+        </label>
+        <button
+          type="button"
+          className={`rounded-lg px-4 py-1 font-semibold ${live.enabled ? 'bg-red-600 hover:bg-red-500 text-white' : 'bg-blue-600 hover:bg-blue-500 text-white disabled:opacity-50'}`}
+          disabled={!live.enabled && !validUrl}
+          onClick={() => onChange(current => (current.enabled
+            ? { ...current, enabled: false }
+            : { ...current, enabled: true, url: url.trim() }))}
+        >
+          {live.enabled ? 'Disconnect' : 'Connect'}
+        </button>
+      </div>
+      {!validUrl && !live.enabled && (
+        <p className="text-red-300 text-sm mt-2">Use a ws://, wss://, http:// or https:// address.</p>
+      )}
+
+      {live.enabled ? (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mt-6">
+          <div className="space-y-2 text-sm">
+            <p className="text-gray-300">
+              <span className="text-3xl font-bold text-red-400">{count.toLocaleString()}</span> deaths in the last {live.windowMinutes} minutes
+              {windowTotal !== count && <span className="text-gray-400"> ({windowTotal.toLocaleString()} before filters)</span>}
+            </p>
+            <p className="text-gray-300">{(count / live.windowMinutes).toFixed(1)} deaths per minute</p>
+            <p className="text-gray-300">{formatGp(analytics.totalWealthLost || 0)} gp lost</p>
+            <p className="text-xs text-gray-400">
+              The dashboard below follows this window. New deaths flash on the map as they arrive.
+            </p>
+          </div>
+
+          {/* Ticker */}
+          <div className="lg:col-span-2">
+            <h3 className="text-lg font-semibold text-yellow-400 mb-2">Recent Deaths</h3>
+            {recent.length === 0 ? (
+              <p className="text-gray-400 text-sm">Waiting for deaths…</p>
+            ) : (
+              <ul className="text-sm text-gray-300 space-y-1" aria-live="polite">
+                {recent.map((death, index) => (
+                  <li key={`${death.timestamp.getTime()}-${death.x}-${death.y}-${index}`}
+                    className={`flex flex-wrap justify-between gap-2 p-2 rounded-lg ${index === 0 ? 'bg-gray-600' : 'bg-gray-700'}`}>
+                    <span className="text-gray-400">{formatDateTime(death.timestamp, timeZone)}</span>
+                    <span>{death.hotspot}</span>
+                    <span>Cb {death.combatLevel}</span>
+                    {death.killerName && <span className="text-red-300">by {death.killerName}</span>}
+                    <span className="text-green-400">{formatGp(death.wealthLost)} gp</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      ) : (
+        <p className="text-gray-400 text-sm mt-4">
+          Connect to a feed that sends deaths as JSON (the same fields as imported files). To try it offline, run{' '}
+          <code className="text-gray-200">npm run mock-live</code> (optionally with an exported dataset file) and connect to{' '}
+          <code className="text-gray-200">ws://localhost:8787</code>.
+        </p>
+      )}
+    </section>
+  );
+};
+
+export default LivePanel;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { MAP_MODES, COLOR_RAMPS, rampToCssGradient } from '../utils/heatmap';
+
+// Display mode toggle, bandwidth slider, color ramp picker and legend for the death map.
+// isDifference switches the legend to compare mode's rose/fell scale.
+const MapControls = ({ options, onChange, legendMax, isDifference = false }) => {
+  const update = (changes) => onChange({ ...options, ...changes });
+  const showsDensity = options.mode !== 'points' || isDifference;
+
+  return (
+    <div className="mb-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-4">
+        {/* Mode toggle */}
+        <div className="flex rounded-lg overflow-hidden border border-gray-600">
+          {MAP_MODES.map(mode => (
+            <button
+              key={mode.id}
+              type="button"
+              className={`px-3 py-1 text-sm ${
+                options.mode === mode.id ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+              }`}
+              onClick={() => update({ mode: mode.id })}
+            >
+              {mode.name}
+            </button>
+          ))}
+        </div>
+
+        {showsDensity && (
+          <>
+            <label className="flex items-center text-sm text-gray-300 space-x-2">
+              <span>{options.mode === 'hexbin' ? 'Hex size' : 'Radius'}</span>
+              <input
+                type="range"
+                min="2"
+                max="40"
+                value={options.radius}
+                onChange={(event) => update({ radius: Number(event.target.value) })}
+              />
+              <span className="text-gray-400 w-16">{options.radius} tiles</span>
+            </label>
+
+            <label className="flex items-center text-sm text-gray-300 space-x-2">
+              <span>Colors</span>
+              <select
+                className="bg-gray-700 text-gray-100 rounded p-1 border border-gray-600"
+                value={options.ramp}
+                onChange={(event) => update({ ramp: event.target.value })}
+              >
+                {Object.entries(COLOR_RAMPS).map(([id, ramp]) => (
+                  <option key={id} value={id}>{ramp.name}</option>
+                ))}
+              </select>
+            </label>
+          </>
+        )}
+      </div>
+
+      {/* Legend */}
+      {isDifference ? (
+        <div className="flex items-center space-x-3 text-xs text-gray-400">
+          <span>Fewer deaths/day in B</span>
+          <div className="h-3 w-48 rounded" style={{ background: rampToCssGradient('diverging') }}></div>
+          <span>More deaths/day in B</span>
+        </div>
+      ) : showsDensity && (
+        <div className="flex items-center space-x-3 text-xs text-gray-400">
+          <span>{options.mode === 'hexbin' ? '1 death' : 'Low density'}</span>
+          <div className="h-3 w-48 rounded" style={{ background: rampToCssGradient(options.ramp) }}></div>
+          <span>
+            {options.mode === 'hexbin' ? `${(legendMax || 0).toLocaleString()} deaths per hex` : 'High density'}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MapControls;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { MAP_AREAS, SURFACE_AREA } from '../utils/coordinates';
+import { MAP_SOURCES } from '../utils/mapView';
+
+// Tabs for the map layer (surface or a cave) with the number of deaths drawn on each,
+// and the choice of map image source. counts maps area ids to death counts.
+const MapLayerSwitcher = ({ layer, onLayerChange, counts, mapSource, onMapSourceChange }) => (
+  <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+    <div className="flex rounded-lg overflow-hidden border border-gray-600" role="tablist" aria-label="Map layer">
+      {MAP_AREAS.map(area => (
+        <button
+          key={area.id}
+          type="button"
+          role="tab"
+          aria-selected={layer === area.id}
+          className={`px-3 py-1 text-sm ${
+            layer === area.id ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+          }`}
+          onClick={() => onLayerChange(area.id)}
+        >
+          {area.name}
+          <span className={`ml-2 text-xs ${layer === area.id ? 'text-blue-100' : 'text-gray-400'}`}>
+            {(counts[area.id] || 0).toLocaleString()}
+          </span>
+        </button>
+      ))}
+    </div>
+
+    <label className="flex items-center text-sm text-gray-300 space-x-2">
+      <span>Map image</span>
+      <select
+        className="bg-gray-700 text-gray-100 rounded p-1 border border-gray-600 disabled:opacity-50"
+        value={mapSource}
+        disabled={layer !== SURFACE_AREA}
+        title={layer !== SURFACE_AREA ? 'Caves always use the bundled maps' : undefined}
+        onChange={(event) => onMapSourceChange(event.target.value)}
+      >
+        {MAP_SOURCES.map(source => <option key={source.id} value={source.id}>{source.name}</option>)}
+      </select>
+    </label>
+  </div>
+);
+
+export default MapLayerSwitcher;
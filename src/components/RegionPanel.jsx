@@ -0,0 +1,85 @@
+import React, { useRef, useState } from 'react';
+import { DEFAULT_REGIONS, REGION_CATEGORIES, parseRegionsJSON, regionsToJSON } from '../utils/regions';
+import { downloadFile } from '../utils/download';
+
+// Region overlays: toggle visibility, see death counts, and import/export definitions as JSON
+const RegionPanel = ({ regions, regionCounts, hiddenRegions, showOverlays, onToggleOverlays, onToggleRegion, onRegionsChange }) => {
+  const fileInputRef = useRef(null);
+  const [importReport, setImportReport] = useState(null);
+
+  const handleImport = async (file) => {
+    if (!file) return;
+    const { regions: imported, errors } = parseRegionsJSON(await file.text());
+    if (imported.length > 0) onRegionsChange(imported);
+    setImportReport({ fileName: file.name, imported: imported.length, errors });
+  };
+
+  const categoryName = (id) => (REGION_CATEGORIES.find(category => category.id === id) || {}).name || id;
+
+  return (
+    <section className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700 mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-2xl font-semibold text-blue-300">Regions</h2>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="flex items-center space-x-2 text-gray-300 mr-2">
+            <input type="checkbox" checked={showOverlays} onChange={(event) => onToggleOverlays(event.target.checked)} />
+            <span>Show region overlays</span>
+          </label>
+          <button type="button" className="bg-gray-700 hover:bg-gray-600 text-gray-100 rounded-lg px-3 py-1"
+            onClick={() => fileInputRef.current && fileInputRef.current.click()}>
+            Import JSON
+          </button>
+          <button type="button" className="bg-gray-700 hover:bg-gray-600 text-gray-100 rounded-lg px-3 py-1"
+            onClick={() => downloadFile('wilderness-regions.json', regionsToJSON(regions))}>
+            Export JSON
+          </button>
+          <button type="button" className="bg-gray-700 hover:bg-gray-600 text-gray-100 rounded-lg px-3 py-1"
+            onClick={() => onRegionsChange(DEFAULT_REGIONS)}>
+            Reset to defaults
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(event) => {
+              handleImport(event.target.files[0]);
+              event.target.value = '';
+            }}
+          />
+        </div>
+      </div>
+
+      {importReport && (
+        <div className="mb-4 p-3 bg-gray-700 rounded-lg text-sm">
+          <p className="text-gray-300">
+            <strong>{importReport.fileName}:</strong>{' '}
+            <span className="text-green-400">{importReport.imported} regions imported</span>
+            {importReport.imported === 0 && <span className="text-gray-400"> (kept the current regions)</span>}
+          </p>
+          {importReport.errors.length > 0 && (
+            <ul className="text-red-300 mt-2 space-y-1">
+              {importReport.errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2">
+        {regions.map(region => (
+          <label key={region.id} className="flex items-center justify-between p-2 bg-gray-700 rounded-lg text-sm cursor-pointer">
+            <span className="flex items-center space-x-2">
+              <input type="checkbox" checked={!hiddenRegions.includes(region.id)} onChange={() => onToggleRegion(region.id)} />
+              <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: region.color }}></span>
+              <span className="text-gray-300">{region.name}</span>
+              <span className="text-gray-500 text-xs">{categoryName(region.category)}</span>
+            </span>
+            <span className="text-red-400 font-bold">{(regionCounts[region.name] || 0).toLocaleString()}</span>
+          </label>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default RegionPanel;
@@ -0,0 +1,150 @@
+import React from 'react';
+import { DAY_NAMES, formatGp } from '../utils/filters';
+
+const inputClass = 'w-full bg-gray-700 text-gray-100 rounded p-1 border border-gray-600 text-sm';
+const labelClass = 'block text-gray-400 text-sm font-medium mb-1';
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+const formatFactor = (factor) => `×${factor >= 10 ? factor.toFixed(0) : factor.toFixed(2)}`;
+
+// "How dangerous is this trip?" form and result. query follows DEFAULT_RISK_QUERY;
+// estimate is the estimateRisk result (null until an area is chosen).
+// picking is true while the next map click sets the location.
+const RiskEstimator = ({ query, onChange, estimate, regionNames, picking, onTogglePicking }) => {
+  const update = (changes) => onChange(current => ({ ...current, ...changes }));
+
+  return (
+    <section className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700 mb-8">
+      <h2 className="text-2xl font-semibold text-blue-300 mb-4">Trip Risk Estimator</h2>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Trip details */}
+        <div className="space-y-4">
+          <div className="flex rounded-lg overflow-hidden border border-gray-600 text-sm w-max">
+            {[['region', 'Region'], ['location', 'Map location']].map(([id, label]) => (
+              <button
+                key={id}
+                type="button"
+                className={`px-3 py-1 ${query.areaType === id ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                onClick={() => update({ areaType: id })}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {query.areaType === 'region' ? (
+            <div>
+              <label className={labelClass}>Region</label>
+              <select className={inputClass} value={query.region} onChange={(event) => update({ region: event.target.value })}>
+                <option value="">Choose a region…</option>
+                {regionNames.map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className={labelClass}>Location</label>
+                <button type="button"
+                  className={`w-full rounded-lg px-3 py-1 text-sm ${picking ? 'bg-blue-500 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-100'}`}
+                  onClick={onTogglePicking}>
+                  {picking ? 'Click the map…' : query.location ? `(${query.location.x}, ${query.location.y}) · pick again` : 'Pick on map'}
+                </button>
+              </div>
+              <div>
+                <label className={labelClass}>Radius (tiles)</label>
+                <input type="number" min="1" max="100" className={inputClass} value={query.radius}
+                  onChange={(event) => update({ radius: Number(event.target.value) })} />
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className={labelClass}>Day</label>
+              <select className={inputClass} value={query.day} onChange={(event) => update({ day: Number(event.target.value) })}>
+                {DAY_NAMES.map((name, day) => <option key={name} value={day}>{name}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Hour</label>
+              <select className={inputClass} value={query.hour} onChange={(event) => update({ hour: Number(event.target.value) })}>
+                {Array.from({ length: 24 }, (_, hour) => <option key={hour} value={hour}>{formatHour(hour)}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Combat level</label>
+              <input type="number" min="3" max="126" className={inputClass} value={query.combatLevel}
+                onChange={(event) => update({ combatLevel: Number(event.target.value) })} />
+            </div>
+            <div>
+              <label className={labelClass}>GP at risk (e.g. 10m)</label>
+              <input type="text" className={inputClass} value={query.wealth}
+                onChange={(event) => update({ wealth: event.target.value })} />
+            </div>
+            <div className="col-span-2">
+              <label className={labelClass}>Baseline death chance per hour at an average spot (%)</label>
+              <input type="number" min="0" max="100" step="0.5" className={inputClass} value={query.baselineChance}
+                onChange={(event) => update({ baselineChance: Number(event.target.value) })} />
+            </div>
+          </div>
+        </div>
+
+        {/* Estimate */}
+        {estimate ? (
+          <div className="space-y-4">
+            <div className="flex items-end space-x-4">
+              <div className={`text-5xl font-bold ${estimate.level.color}`}>{estimate.score}</div>
+              <div>
+                <div className={`text-xl font-semibold ${estimate.level.color}`}>{estimate.level.label} risk</div>
+                <div className="text-sm text-gray-400">
+                  {formatFactor(estimate.relativeRisk)} the Wilderness average · {estimate.areaLabel}, {DAY_NAMES[query.day]} {formatHour(query.hour)}
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3 text-sm">
+              <div className="p-3 bg-gray-700 rounded-lg">
+                <p className="text-gray-400">Expected loss per hour</p>
+                <p className="text-lg font-bold text-green-400">{formatGp(estimate.expectedLoss)} gp</p>
+                <p className="text-xs text-gray-400">{(estimate.deathChance * 100).toFixed(1)}% chance of dying</p>
+              </div>
+              <div className="p-3 bg-gray-700 rounded-lg">
+                <p className="text-gray-400">Deaths here at this time</p>
+                <p className="text-lg font-bold text-red-400">{estimate.deathsPerHour.toFixed(2)} / hour</p>
+                <p className="text-xs text-gray-400">
+                  {estimate.areaDeaths.toLocaleString()} deaths in the area · median loss {formatGp(estimate.typicalLoss)} gp
+                </p>
+              </div>
+            </div>
+
+            <ul className="text-sm text-gray-300 space-y-1">
+              <li>• <strong>Location:</strong> {formatFactor(estimate.spatialFactor)} the average death density</li>
+              <li>• <strong>Time:</strong> {formatFactor(estimate.timeFactor)} this area's average hour</li>
+              <li>• <strong>Combat level:</strong> {formatFactor(estimate.combatFactor)} how often players within 10 levels die</li>
+            </ul>
+
+            <div>
+              <h3 className="text-lg font-semibold text-yellow-400 mb-2">Safest nearby hours</h3>
+              <div className="flex flex-wrap gap-2">
+                {estimate.safestHours.map(option => (
+                  <button key={option.hour} type="button"
+                    className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm text-gray-200"
+                    title="Use this hour"
+                    onClick={() => update({ hour: option.hour })}>
+                    {formatHour(option.hour)} · score {option.score}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+        ) : (
+          <p className="text-gray-400">
+            {query.areaType === 'region' ? 'Choose a region' : 'Pick a location on the map'} to estimate the risk of a trip.
+          </p>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default RiskEstimator;
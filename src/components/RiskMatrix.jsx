@@ -0,0 +1,81 @@
+import React from 'react';
+import { DAY_NAMES } from '../utils/filters';
+import { sampleRamp } from '../utils/heatmap';
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// 24×7 grid of deaths by hour of day and day of week. Clicking a cell selects it
+// (clicking it again clears the selection); the parent highlights those deaths on the map.
+const RiskMatrix = ({ matrix, total, ramp, selectedCell, onSelectCell, highlightedCount, emptyMessage }) => {
+  if (!matrix) return <p className="text-gray-400">{emptyMessage}</p>;
+
+  const max = Math.max(...matrix.map(row => Math.max(...row)), 1);
+  // Deaths per cell if they were spread evenly over the week
+  const average = total / (7 * 24);
+  const isSelected = (day, hour) => selectedCell && selectedCell.day === day && selectedCell.hour === hour;
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <table className="w-full border-separate" style={{ borderSpacing: 2 }}>
+          <thead>
+            <tr>
+              <th></th>
+              {matrix[0].map((_, hour) => (
+                <th key={hour} className="text-xs font-normal text-gray-400">{hour % 3 === 0 ? hour : ''}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {matrix.map((row, day) => (
+              <tr key={DAY_NAMES[day]}>
+                <th className="text-xs font-normal text-gray-400 text-right pr-2">{DAY_NAMES[day]}</th>
+                {row.map((count, hour) => {
+                  const [r, g, b] = sampleRamp(ramp, count / max);
+                  return (
+                    <td key={hour} className="p-0">
+                      <button
+                        type="button"
+                        className={`block w-full h-6 rounded-sm ${isSelected(day, hour) ? 'ring-2 ring-yellow-300' : ''}`}
+                        style={{ backgroundColor: `rgb(${r}, ${g}, ${b})`, minWidth: 12 }}
+                        title={`${DAY_NAMES[day]} ${formatHour(hour)}: ${count.toLocaleString()} deaths` +
+                          (average > 0 ? ` (${(count / average).toFixed(1)}× the average hour)` : '')}
+                        aria-label={`${DAY_NAMES[day]} ${formatHour(hour)}, ${count} deaths`}
+                        aria-pressed={isSelected(day, hour)}
+                        onClick={() => onSelectCell(isSelected(day, hour) ? null : { day, hour })}
+                      ></button>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 mt-3 text-sm">
+        <div className="flex items-center space-x-2 text-gray-400">
+          <span>0</span>
+          <span className="w-32 h-2 rounded-full" style={{
+            background: `linear-gradient(to right, ${[0, 0.25, 0.5, 0.75, 1].map(t => `rgb(${sampleRamp(ramp, t).join(', ')})`).join(', ')})`
+          }}></span>
+          <span>{max.toLocaleString()} deaths</span>
+        </div>
+        {selectedCell ? (
+          <div className="text-gray-300">
+            <span className="text-yellow-400 font-semibold">
+              {DAY_NAMES[selectedCell.day]} {formatHour(selectedCell.hour)}–{formatHour((selectedCell.hour + 1) % 24)}
+            </span>
+            : {highlightedCount.toLocaleString()} deaths highlighted on the map
+            {average > 0 && ` (${(highlightedCount / average).toFixed(1)}× the average hour)`}
+            <button type="button" className="ml-3 text-blue-300 underline" onClick={() => onSelectCell(null)}>Clear</button>
+          </div>
+        ) : (
+          <span className="text-gray-400">Click a cell to highlight its deaths on the map</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RiskMatrix;
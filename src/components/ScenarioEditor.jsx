@@ -0,0 +1,252 @@
+import React, { useEffect, useState } from 'react';
+import {
+  DEFAULT_SCENARIO,
+  WEALTH_DISTRIBUTIONS,
+  MAX_SCENARIO_COUNT,
+  validateScenario,
+  loadSavedScenarios,
+  saveScenario,
+  deleteSavedScenario
+} from '../utils/simulation';
+import { randomSeed } from '../utils/random';
+import { parseGp, formatGp } from '../utils/filters';
+
+const inputClass = 'w-full bg-gray-700 text-gray-100 rounded p-1 border border-gray-600 text-sm';
+const labelClass = 'block text-gray-400 text-sm font-medium mb-1';
+
+// Number input that keeps what the user typed while editing and reports parsed numbers upwards
+const NumberField = ({ value, onChange, parse = Number, format = String, ...props }) => {
+  const [text, setText] = useState(format(value));
+
+  // Follow outside changes (loading a scenario, reset) without rewriting what is being typed
+  useEffect(() => {
+    setText(current => {
+      const parsed = current.trim() === '' ? NaN : parse(current);
+      const unchanged = parsed === value || (Number.isNaN(value) && (parsed === null || Number.isNaN(parsed)));
+      return unchanged ? current : format(value);
+    });
+  }, [value, format, parse]);
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      className={inputClass}
+      value={text}
+      onChange={(event) => {
+        setText(event.target.value);
+        const parsed = parse(event.target.value);
+        onChange(parsed === null || event.target.value.trim() === '' ? NaN : parsed);
+      }}
+      {...props}
+    />
+  );
+};
+
+// Editor for the simulated dataset: seed, count, date range, hotspot weights and radii,
+// time-of-day activity and wealth distribution. Scenarios can be saved and reloaded by name.
+const ScenarioEditor = ({ scenario, onApply }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(scenario);
+  const [savedScenarios, setSavedScenarios] = useState(loadSavedScenarios);
+
+  // Keep the draft in sync when the applied scenario changes from outside
+  useEffect(() => {
+    setDraft(scenario);
+  }, [scenario]);
+
+  const errors = validateScenario(draft);
+  const update = (changes) => setDraft(current => ({ ...current, ...changes }));
+  const updateWealth = (changes) => setDraft(current => ({ ...current, wealth: { ...current.wealth, ...changes } }));
+  const updateHotspot = (index, changes) => setDraft(current => ({
+    ...current,
+    hotspots: current.hotspots.map((hotspot, i) => (i === index ? { ...hotspot, ...changes } : hotspot))
+  }));
+  const updateHour = (hour, value) => setDraft(current => ({
+    ...current,
+    hourlyActivity: current.hourlyActivity.map((activity, i) => (i === hour ? value : activity))
+  }));
+  const maxActivity = Math.max(...draft.hourlyActivity.filter(value => value >= 0), 1);
+
+  return (
+    <section className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700 mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-2xl font-semibold text-blue-300">Simulation Scenario</h2>
+        <div className="flex items-center space-x-3 text-sm">
+          <span className="text-gray-400">
+            Active: <span className="text-gray-200">{scenario.name}</span> · seed{' '}
+            <code className="text-yellow-400">{scenario.seed}</code> · {scenario.count.toLocaleString()} deaths
+          </span>
+          <button type="button" className="text-blue-300 underline" onClick={() => setIsOpen(!isOpen)}>
+            {isOpen ? 'Hide editor' : 'Edit scenario'}
+          </button>
+        </div>
+      </div>
+
+      {isOpen && (
+        <div className="mt-4 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className={labelClass}>Name</label>
+              <input type="text" className={inputClass} value={draft.name} onChange={(event) => update({ name: event.target.value })} />
+            </div>
+            <div>
+              <label className={labelClass}>Seed</label>
+              <div className="flex space-x-1">
+                <input type="text" className={inputClass} value={draft.seed} onChange={(event) => update({ seed: event.target.value })} />
+                <button type="button" className="bg-gray-700 hover:bg-gray-600 rounded px-2 text-sm" title="New random seed"
+                  onClick={() => update({ seed: randomSeed() })}>🎲</button>
+              </div>
+            </div>
+            <div>
+              <label className={labelClass}>Deaths (max {MAX_SCENARIO_COUNT.toLocaleString()})</label>
+              <NumberField value={draft.count} onChange={(count) => update({ count })} />
+            </div>
+            <div>
+              <label className={labelClass}>Share near hotspots (0-1)</label>
+              <NumberField value={draft.hotspotShare} onChange={(hotspotShare) => update({ hotspotShare })} />
+            </div>
+            <div>
+              <label className={labelClass}>Start date</label>
+              <input type="date" className={inputClass} value={draft.startDate} onChange={(event) => update({ startDate: event.target.value })} />
+            </div>
+            <div>
+              <label className={labelClass}>End date</label>
+              <input type="date" className={inputClass} value={draft.endDate} onChange={(event) => update({ endDate: event.target.value })} />
+            </div>
+          </div>
+
+          {/* Hotspots */}
+          <div>
+            <h3 className="text-lg font-semibold text-yellow-400 mb-2">Hotspots</h3>
+            <div className="space-y-2">
+              {draft.hotspots.map((hotspot, index) => (
+                <div key={hotspot.name} className="grid grid-cols-3 gap-3 items-center">
+                  <span className="text-gray-300 text-sm">{hotspot.name}</span>
+                  <label className="flex items-center space-x-2 text-sm text-gray-400">
+                    <span>Weight</span>
+                    <NumberField value={hotspot.weight} onChange={(weight) => updateHotspot(index, { weight })} />
+                  </label>
+                  <label className="flex items-center space-x-2 text-sm text-gray-400">
+                    <span>Radius (tiles)</span>
+                    <NumberField value={hotspot.radius} onChange={(radius) => updateHotspot(index, { radius })} />
+                  </label>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Time-of-day activity curve */}
+          <div>
+            <h3 className="text-lg font-semibold text-yellow-400 mb-2">Activity by hour of day (UTC)</h3>
+            <div className="flex items-end justify-between h-24 space-x-1 mb-1">
+              {draft.hourlyActivity.map((activity, hour) => (
+                <div key={hour} className="flex-1 bg-gray-700 h-full flex items-end rounded-t">
+                  <div className="chart-bar w-full rounded-t" style={{ height: `${((activity >= 0 ? activity : 0) / maxActivity) * 100}%` }}></div>
+                </div>
+              ))}
+            </div>
+            <div className="grid grid-cols-12 gap-1">
+              {draft.hourlyActivity.map((activity, hour) => (
+                <label key={hour} className="text-xs text-gray-400">
+                  {hour}:00
+                  <NumberField value={activity} onChange={(value) => updateHour(hour, value)} aria-label={`Activity at ${hour}:00`} />
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {/* Wealth distribution */}
+          <div>
+            <h3 className="text-lg font-semibold text-yellow-400 mb-2">Wealth lost</h3>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <label className={labelClass}>Distribution</label>
+                <select className={inputClass} value={draft.wealth.distribution}
+                  onChange={(event) => updateWealth({ distribution: event.target.value })}>
+                  {WEALTH_DISTRIBUTIONS.map(distribution => (
+                    <option key={distribution.id} value={distribution.id}>{distribution.name}</option>
+                  ))}
+                </select>
+              </div>
+              {draft.wealth.distribution === 'lognormal' ? (
+                <>
+                  <div>
+                    <label className={labelClass}>Median (e.g. 500k)</label>
+                    <NumberField value={draft.wealth.median} parse={parseGp} format={formatGp}
+                      onChange={(median) => updateWealth({ median })} />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Spread (sigma)</label>
+                    <NumberField value={draft.wealth.sigma} onChange={(sigma) => updateWealth({ sigma })} />
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div>
+                    <label className={labelClass}>Min (e.g. 0)</label>
+                    <NumberField value={draft.wealth.min} parse={parseGp} format={formatGp}
+                      onChange={(min) => updateWealth({ min })} />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Max (e.g. 100m)</label>
+                    <NumberField value={draft.wealth.max} parse={parseGp} format={formatGp}
+                      onChange={(max) => updateWealth({ max })} />
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="text-sm text-red-300 space-y-1">
+              {errors.map(error => <li key={error}>• {error}</li>)}
+            </ul>
+          )}
+
+          {/* Actions */}
+          <div className="flex flex-wrap items-center gap-2">
+            <button type="button" disabled={errors.length > 0}
+              className="bg-blue-600 hover:bg-blue-500 disabled:opacity-50 text-white rounded-lg px-4 py-2 text-sm"
+              onClick={() => onApply(draft)}>
+              Generate
+            </button>
+            <button type="button" disabled={errors.length > 0}
+              className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-gray-100 rounded-lg px-4 py-2 text-sm"
+              onClick={() => setSavedScenarios(saveScenario(draft))}>
+              Save scenario
+            </button>
+            <button type="button" className="bg-gray-700 hover:bg-gray-600 text-gray-100 rounded-lg px-4 py-2 text-sm"
+              onClick={() => setDraft(DEFAULT_SCENARIO)}>
+              Reset to default
+            </button>
+          </div>
+
+          {/* Saved scenarios */}
+          {savedScenarios.length > 0 && (
+            <div>
+              <h3 className="text-lg font-semibold text-yellow-400 mb-2">Saved scenarios</h3>
+              <ul className="space-y-2">
+                {savedScenarios.map(saved => (
+                  <li key={saved.name} className="flex items-center justify-between p-2 bg-gray-700 rounded-lg text-sm">
+                    <span className="text-gray-300">
+                      {saved.name} <span className="text-gray-400">· seed {saved.seed} · {saved.count.toLocaleString()} deaths</span>
+                    </span>
+                    <span className="space-x-3">
+                      <button type="button" className="text-blue-300 underline" onClick={() => setDraft(saved)}>Load</button>
+                      <button type="button" className="text-blue-300 underline" onClick={() => onApply(saved)}>Generate</button>
+                      <button type="button" className="text-red-300 underline"
+                        onClick={() => setSavedScenarios(deleteSavedScenario(saved.name))}>Delete</button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ScenarioEditor;
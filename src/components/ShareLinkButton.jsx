@@ -0,0 +1,31 @@
+import React, { useEffect, useState } from 'react';
+
+// Copies the current URL (which carries the dashboard state in its hash) to the clipboard
+const ShareLinkButton = () => {
+  const [status, setStatus] = useState(null); // 'copied' | 'failed' | null
+
+  // Reset the label a moment after copying
+  useEffect(() => {
+    if (!status) return undefined;
+    const timer = setTimeout(() => setStatus(null), 2000);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  const copyLink = () => {
+    if (!navigator.clipboard) {
+      setStatus('failed');
+      return;
+    }
+    navigator.clipboard.writeText(window.location.href)
+      .then(() => setStatus('copied'))
+      .catch(() => setStatus('failed'));
+  };
+
+  return (
+    <button type="button" className="bg-gray-700 hover:bg-gray-600 text-gray-100 rounded-lg px-4 py-2 text-sm" onClick={copyLink}>
+      {status === 'copied' ? '✓ Link copied' : status === 'failed' ? 'Copy the address bar instead' : '🔗 Copy link to this view'}
+    </button>
+  );
+};
+
+export default ShareLinkButton;
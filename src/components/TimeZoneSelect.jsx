@@ -0,0 +1,22 @@
+import React, { useMemo } from 'react';
+import { getTimeZoneOptions } from '../utils/timezones';
+
+// Time zone used by every time-based chart, filter and tooltip
+const TimeZoneSelect = ({ value, onChange }) => {
+  const options = useMemo(getTimeZoneOptions, []);
+
+  return (
+    <label className="inline-flex items-center space-x-2 text-sm text-gray-300">
+      <span>Time zone</span>
+      <select
+        className="bg-gray-700 text-gray-100 rounded-lg px-2 py-2 border border-gray-600 text-sm"
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+      >
+        {options.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+      </select>
+    </label>
+  );
+};
+
+export default TimeZoneSelect;
@@ -0,0 +1,151 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { TIMELAPSE_WINDOWS, PLAYBACK_SPEEDS, getWindowMs, getSpeedMs } from '../utils/timeline';
+import { formatGp } from '../utils/filters';
+import { LOCAL_TIME_ZONE, createTimePartsReader } from '../utils/timezones';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const selectClass = 'bg-gray-700 text-gray-100 rounded p-1 border border-gray-600 text-sm';
+
+// How often (ms) a playing playhead is passed up to onChange. The player itself moves every frame,
+// but each change recounts the window's deaths and redraws the map.
+const COMMIT_INTERVAL_MS = 100;
+
+const formatDate = (time, timeZone) => new Date(time).toLocaleDateString(undefined, {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  ...(timeZone === LOCAL_TIME_ZONE ? {} : { timeZone })
+});
+
+// Timeline scrubber under the map: play/pause, speed, window size and a live counter.
+// state/onChange follow the DEFAULT_TIMELAPSE shape; onChange also accepts an updater function.
+// Dates and the highlighted month are shown in timeZone.
+const TimelinePlayer = ({ state, onChange, start, end, monthDistribution, windowCount, windowWealth, timeZone = LOCAL_TIME_ZONE }) => {
+  // While playing, the playhead moves here and only reaches state every COMMIT_INTERVAL_MS
+  const [livePlayhead, setLivePlayhead] = useState(null);
+  const committedPlayhead = state.playhead === null ? start : state.playhead;
+  const playhead = livePlayhead === null ? committedPlayhead : livePlayhead;
+  const playheadRef = useRef(playhead);
+  playheadRef.current = playhead;
+  const windowMs = getWindowMs(state.window);
+  const update = (changes) => onChange(current => ({ ...current, ...changes }));
+
+  const seek = (time) => {
+    setLivePlayhead(current => (current === null ? null : time));
+    update({ playhead: time });
+  };
+
+  // Advance the playhead every animation frame while playing, stopping at the end of the data
+  useEffect(() => {
+    if (!state.enabled || !state.playing) return undefined;
+    const speedMs = getSpeedMs(state.speed);
+    let last = performance.now();
+    let lastCommit = last;
+    let frame = requestAnimationFrame(function tick(now) {
+      const next = playheadRef.current + ((now - last) / 1000) * speedMs;
+      last = now;
+      if (next >= end) {
+        playheadRef.current = end;
+        setLivePlayhead(end);
+        onChange(current => ({ ...current, playhead: end, playing: false }));
+        return;
+      }
+      playheadRef.current = next;
+      setLivePlayhead(next);
+      if (now - lastCommit >= COMMIT_INTERVAL_MS) {
+        lastCommit = now;
+        onChange(current => ({ ...current, playhead: next }));
+      }
+      frame = requestAnimationFrame(tick);
+    });
+    // Leave state where the player stopped, not at the last commit
+    return () => {
+      cancelAnimationFrame(frame);
+      const stoppedAt = playheadRef.current;
+      onChange(current => ({ ...current, playhead: stoppedAt }));
+      setLivePlayhead(null);
+    };
+  }, [state.enabled, state.playing, state.speed, start, end, onChange]);
+
+  const months = monthDistribution || Array(12).fill(0);
+  const maxMonth = Math.max(...months, 1);
+  const playheadMonth = createTimePartsReader(timeZone)(playhead).month;
+
+  return (
+    <div className="mt-4 p-4 bg-gray-700 rounded-lg">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <label className="flex items-center space-x-2 text-gray-200 font-semibold">
+          <input type="checkbox" checked={state.enabled}
+            onChange={(event) => update({ enabled: event.target.checked, playing: false })} />
+          <span>Time-lapse</span>
+        </label>
+        {state.enabled && (
+          <div className="text-sm text-gray-300">
+            <span className="text-red-400 font-bold">{windowCount.toLocaleString()}</span> deaths ·{' '}
+            <span className="text-green-400 font-bold">{formatGp(windowWealth)}</span> gp lost in this window
+          </div>
+        )}
+      </div>
+
+      {/* Deaths by month, with the playhead's month highlighted */}
+      <div className="flex items-end h-12 space-x-1 mb-1">
+        {months.map((count, month) => (
+          <div key={month} className="flex-1 h-full flex items-end" title={`${MONTH_NAMES[month]}: ${count.toLocaleString()} deaths`}>
+            <div
+              className={`w-full rounded-t ${state.enabled && month === playheadMonth ? 'bg-yellow-400' : 'bg-blue-500'}`}
+              style={{ height: `${(count / maxMonth) * 100}%` }}
+            ></div>
+          </div>
+        ))}
+      </div>
+      <div className="flex space-x-1 mb-3">
+        {MONTH_NAMES.map(name => (
+          <span key={name} className="flex-1 text-center text-xs text-gray-400">{name}</span>
+        ))}
+      </div>
+
+      {state.enabled && (
+        <>
+          <input
+            type="range"
+            className="w-full"
+            min={start}
+            max={end}
+            step={3600000}
+            value={playhead}
+            onChange={(event) => seek(Number(event.target.value))}
+            aria-label="Playhead"
+          />
+          <div className="flex flex-wrap items-center justify-between gap-3 mt-2 text-sm">
+            <div className="flex items-center space-x-2">
+              <button type="button" className="bg-blue-600 hover:bg-blue-500 text-white rounded-lg px-3 py-1"
+                onClick={() => update({ playing: !state.playing, playhead: playhead >= end ? start : playhead })}>
+                {state.playing ? '⏸ Pause' : '▶ Play'}
+              </button>
+              <span className="text-gray-300">
+                {formatDate(Math.max(start, playhead - windowMs), timeZone)} – {formatDate(playhead, timeZone)}
+              </span>
+            </div>
+            <div className="flex items-center space-x-3">
+              <label className="flex items-center space-x-1 text-gray-300">
+                <span>Window</span>
+                <select className={selectClass} value={state.window} onChange={(event) => update({ window: event.target.value })}>
+                  {TIMELAPSE_WINDOWS.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+                </select>
+              </label>
+              <label className="flex items-center space-x-1 text-gray-300">
+                <span>Speed</span>
+                <select className={selectClass} value={state.speed} onChange={(event) => update({ speed: event.target.value })}>
+                  {PLAYBACK_SPEEDS.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+                </select>
+              </label>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TimelinePlayer;
@@ -0,0 +1,244 @@
+import React, { useEffect, useState } from 'react';
+import { formatGp } from '../utils/filters';
+import { getAxisTicks } from '../utils/chartAxis';
+import { DEFAULT_WEALTH_OPTIONS, WEALTH_GROUPINGS, PARETO_TARGET, formatWealthEdges, parseWealthEdges } from '../utils/wealthStats';
+
+const inputClass = 'bg-gray-700 text-gray-100 rounded p-1 border border-gray-600 text-sm';
+
+const formatShare = (share) => `${(share * 100).toFixed(1)}%`;
+
+const describeBucket = (bucket) => {
+  if (bucket.min === 0) return `Under ${formatGp(bucket.max)} gp`;
+  if (bucket.max === Infinity) return `${formatGp(bucket.min)} gp and up`;
+  return `${formatGp(bucket.min)}–${formatGp(bucket.max)} gp`;
+};
+
+// Value axis with grid lines, shared by both charts. ticks are values, format labels them.
+const ValueAxis = ({ ticks, format }) => {
+  const top = ticks[ticks.length - 1];
+  return ticks.map(tick => (
+    <div key={tick} className="absolute left-0 right-0 border-t border-gray-700" style={{ bottom: `${(tick / top) * 100}%` }} aria-hidden="true">
+      <span className="absolute right-full mr-1 text-xs text-gray-400 -translate-y-1/2">{format(tick)}</span>
+    </div>
+  ));
+};
+
+// Deaths per bucket on a log gp axis. The open-ended first and last buckets are drawn one decade wide.
+// Bars are focusable and show their bucket, deaths and GP lost on hover or focus.
+const LogHistogram = ({ buckets, total }) => {
+  const [active, setActive] = useState(null);
+  const low = Math.log10(buckets[0].max) - 1;
+  const high = Math.log10(buckets[buckets.length - 1].min) + 1;
+  const position = (gp) => ((Math.log10(gp) - low) / (high - low)) * 100;
+  const ticks = getAxisTicks(Math.max(...buckets.map(bucket => bucket.count)));
+  const top = ticks[ticks.length - 1];
+
+  return (
+    <div className="pl-10">
+      <div className="relative h-48 border-l border-b border-gray-600" role="group" aria-label="Deaths by wealth lost, log scale">
+        <ValueAxis ticks={ticks} format={formatGp} />
+        {buckets.map((bucket, index) => {
+          const left = bucket.min === 0 ? 0 : position(bucket.min);
+          const right = bucket.max === Infinity ? 100 : position(bucket.max);
+          const label = `${describeBucket(bucket)}: ${bucket.count.toLocaleString()} deaths, ${formatShare(total > 0 ? bucket.total / total : 0)} of GP lost`;
+          return (
+            <div
+              key={bucket.min}
+              className="absolute bottom-0 h-full flex items-end px-px focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-300"
+              style={{ left: `${left}%`, width: `${right - left}%` }}
+              tabIndex={0}
+              role="img"
+              aria-label={label}
+              onPointerEnter={() => setActive(index)}
+              onPointerLeave={() => setActive(current => (current === index ? null : current))}
+              onFocus={() => setActive(index)}
+              onBlur={() => setActive(current => (current === index ? null : current))}
+            >
+              <div className={`w-full rounded-t ${active === index ? 'bg-green-300' : 'bg-green-500'}`} style={{ height: `${(bucket.count / top) * 100}%` }}></div>
+              {active === index && (
+                <span className="absolute z-10 bottom-full left-1/2 -translate-x-1/2 mb-1 px-2 py-1 rounded bg-gray-900 border border-gray-600 text-xs text-gray-100 whitespace-nowrap pointer-events-none">
+                  {label}
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <div className="relative h-5 mt-1" aria-hidden="true">
+        {buckets.slice(1).map(bucket => (
+          <span key={bucket.min} className="absolute text-xs text-gray-400 -translate-x-1/2" style={{ left: `${position(bucket.min)}%` }}>
+            {formatGp(bucket.min)}
+          </span>
+        ))}
+      </div>
+      <p className="text-xs text-gray-400 text-center">Wealth lost (gp, log scale)</p>
+    </div>
+  );
+};
+
+// Share of GP lost against share of deaths, biggest losses first, with the PARETO_TARGET point marked
+const ParetoChart = ({ points, paretoShare }) => {
+  const line = points.map(point => `${point.deaths * 100},${100 - point.gp * 100}`).join(' ');
+  const shareTicks = [0, 0.25, 0.5, 0.75, 1];
+  return (
+    <div className="pl-10">
+      <div className="relative h-48 border-l border-b border-gray-600"
+        role="img" aria-label={`${formatShare(paretoShare)} of deaths account for ${PARETO_TARGET * 100}% of the GP lost`}>
+        <ValueAxis ticks={shareTicks} format={formatShare} />
+        <svg className="absolute inset-0 w-full h-full" viewBox="0 0 100 100" preserveAspectRatio="none" aria-hidden="true">
+          <line x1="0" y1="100" x2="100" y2="0" stroke="#4b5563" strokeDasharray="2 2" vectorEffect="non-scaling-stroke" />
+          <line x1="0" y1={100 - PARETO_TARGET * 100} x2={paretoShare * 100} y2={100 - PARETO_TARGET * 100}
+            stroke="#facc15" strokeDasharray="4 3" vectorEffect="non-scaling-stroke" />
+          <line x1={paretoShare * 100} y1={100 - PARETO_TARGET * 100} x2={paretoShare * 100} y2="100"
+            stroke="#facc15" strokeDasharray="4 3" vectorEffect="non-scaling-stroke" />
+          <polyline points={line} fill="none" stroke="#4ade80" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+        </svg>
+      </div>
+      <div className="relative h-5 mt-1" aria-hidden="true">
+        {shareTicks.map(tick => (
+          <span key={tick} className="absolute text-xs text-gray-400 -translate-x-1/2" style={{ left: `${tick * 100}%` }}>{formatShare(tick)}</span>
+        ))}
+      </div>
+      <p className="text-xs text-gray-400 text-center">Share of deaths, biggest losses first</p>
+    </div>
+  );
+};
+
+// Wealth-loss statistics for the filtered deaths: median and percentiles, a log-scale histogram
+// with editable bucket edges, the Pareto curve and the same figures per hotspot, region or month.
+// stats is calculateWealthStats' result (null without deaths); options follows DEFAULT_WEALTH_OPTIONS.
+const WealthStatsPanel = ({ stats, options, onOptionsChange, emptyMessage }) => {
+  // Edges are edited as text and only applied once they parse
+  const [edgesText, setEdgesText] = useState(formatWealthEdges(options.edges));
+  const [edgeErrors, setEdgeErrors] = useState([]);
+  useEffect(() => {
+    setEdgesText(formatWealthEdges(options.edges));
+    setEdgeErrors([]);
+  }, [options.edges]);
+
+  const applyEdges = () => {
+    const { edges, errors } = parseWealthEdges(edgesText);
+    setEdgeErrors(errors);
+    if (edges) onOptionsChange(current => ({ ...current, edges }));
+  };
+
+  const overall = stats && stats.overall;
+  const figures = overall ? [
+    { label: 'Median', value: overall.median, color: 'text-green-400' },
+    { label: 'Mean', value: overall.mean, color: 'text-purple-400' },
+    { label: '90th percentile', value: overall.p90, color: 'text-yellow-400' },
+    { label: '99th percentile', value: overall.p99, color: 'text-orange-400' },
+    { label: 'Largest', value: overall.max, color: 'text-red-400' }
+  ] : [];
+  const groupingName = WEALTH_GROUPINGS.find(grouping => grouping.id === options.groupBy).name;
+
+  return (
+    <section className="bg-gray-800 p-6 rounded-xl shadow-inner border border-gray-700 mb-8">
+      <h2 className="text-2xl font-semibold text-blue-300 mb-4">Wealth Loss Statistics</h2>
+
+      {!overall ? <p className="text-gray-400">{emptyMessage}</p> : (
+        <div className="space-y-8">
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+            {figures.map(figure => (
+              <div key={figure.label} className="p-3 bg-gray-700 rounded-lg">
+                <p className="text-xs text-gray-400">{figure.label}</p>
+                <p className={`text-xl font-bold ${figure.color}`}>{formatGp(figure.value)} gp</p>
+              </div>
+            ))}
+            <div className="p-3 bg-gray-700 rounded-lg">
+              <p className="text-xs text-gray-400">Deaths behind {PARETO_TARGET * 100}% of GP</p>
+              <p className="text-xl font-bold text-blue-300">{formatShare(overall.paretoShare)}</p>
+            </div>
+          </div>
+          {overall.mean > overall.median * 2 && (
+            <p className="text-sm text-gray-400 -mt-4">
+              The mean is {(overall.mean / overall.median).toFixed(1)}× the median: a few very large losses pull it up,
+              so the median is the better picture of a typical death.
+            </p>
+          )}
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <div>
+              <div className="flex flex-wrap items-end justify-between gap-2 mb-4">
+                <h3 className="text-lg font-semibold text-yellow-400">Wealth Histogram</h3>
+                <form className="flex items-center gap-2 text-sm" onSubmit={(event) => { event.preventDefault(); applyEdges(); }}>
+                  <label className="text-gray-400" htmlFor="wealth-edges">Bucket edges</label>
+                  <input id="wealth-edges" type="text" className={`${inputClass} w-48`} value={edgesText}
+                    onChange={(event) => setEdgesText(event.target.value)} onBlur={applyEdges} placeholder="10K, 100K, 1M" />
+                  <button type="button" className="text-xs text-blue-300 underline"
+                    onClick={() => onOptionsChange(current => ({ ...current, edges: DEFAULT_WEALTH_OPTIONS.edges }))}>
+                    Reset
+                  </button>
+                </form>
+              </div>
+              {edgeErrors.length > 0 && <p className="text-red-300 text-sm mb-2">{edgeErrors.join('. ')}</p>}
+              <LogHistogram buckets={stats.histogram} total={overall.total} />
+            </div>
+
+            <div>
+              <h3 className="text-lg font-semibold text-yellow-400 mb-4">Pareto Curve</h3>
+              <ParetoChart points={stats.pareto} paretoShare={overall.paretoShare} />
+              <p className="text-sm text-gray-300 mt-2">
+                The biggest {formatShare(overall.paretoShare)} of deaths account for {PARETO_TARGET * 100}% of the{' '}
+                {formatGp(overall.total)} gp lost.
+              </p>
+            </div>
+          </div>
+
+          <div>
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <h3 className="text-lg font-semibold text-yellow-400">By {groupingName}</h3>
+              <div className="flex rounded-lg overflow-hidden border border-gray-600 text-xs">
+                {WEALTH_GROUPINGS.map(grouping => (
+                  <button
+                    key={grouping.id}
+                    type="button"
+                    className={`px-2 py-1 ${options.groupBy === grouping.id ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                    aria-pressed={options.groupBy === grouping.id}
+                    onClick={() => onOptionsChange(current => ({ ...current, groupBy: grouping.id }))}
+                  >
+                    {grouping.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+              <table className="w-full text-sm text-gray-300">
+                <thead className="text-xs text-gray-400">
+                  <tr>
+                    <th className="text-left p-2">{groupingName}</th>
+                    <th className="text-right p-2">Deaths</th>
+                    <th className="text-right p-2">GP lost</th>
+                    <th className="text-right p-2">Median</th>
+                    <th className="text-right p-2">Mean</th>
+                    <th className="text-right p-2">p90</th>
+                    <th className="text-right p-2">p99</th>
+                    <th className="text-right p-2" title={`Share of deaths behind ${PARETO_TARGET * 100}% of the GP lost`}>
+                      {PARETO_TARGET * 100}% of GP
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.groups.map(group => (
+                    <tr key={group.key} className="border-t border-gray-700">
+                      <td className="p-2">{group.name}</td>
+                      <td className="p-2 text-right">{group.count.toLocaleString()}</td>
+                      <td className="p-2 text-right">{formatGp(group.total)}</td>
+                      <td className="p-2 text-right text-green-400">{formatGp(group.median)}</td>
+                      <td className="p-2 text-right">{formatGp(group.mean)}</td>
+                      <td className="p-2 text-right">{formatGp(group.p90)}</td>
+                      <td className="p-2 text-right">{formatGp(group.p99)}</td>
+                      <td className="p-2 text-right">{formatShare(group.paretoShare)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default WealthStatsPanel;
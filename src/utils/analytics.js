@@ -0,0 +1,176 @@
+import { WILDERNESS_LEVEL_BRACKETS, OUTSIDE_WILDERNESS_LABEL, getLevelBracket } from './coordinates';
+import { LOCAL_TIME_ZONE, createTimePartsReader } from './timezones';
+import { NO_CLAN_LABEL } from './killers';
+
+// Top five entries of a { name: count } object, busiest first
+export const topEntries = (counts) => Object.entries(counts)
+  .sort(([,a], [,b]) => b - a)
+  .slice(0, 5);
+
+// Value at quantile q (0-1) of ascending values, interpolating between neighbours
+export const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const below = Math.floor(position);
+  const above = Math.ceil(position);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+};
+
+// Middle value of unsorted numbers (0 when there are none)
+export const median = (values) => (values.length === 0 ? 0 : quantile([...values].sort((a, b) => a - b), 0.5));
+
+// Number of killers on each leaderboard
+const LEADERBOARD_SIZE = 10;
+
+// Add step (1 or -1) to counts[key], dropping keys that fall back to zero
+const bump = (counts, key, step) => {
+  const count = (counts[key] || 0) + step;
+  if (count === 0) delete counts[key];
+  else counts[key] = count;
+};
+
+// Wealth buckets of the wealth distribution chart, lowest first
+export const WEALTH_RANGES = ['0-10K', '10K-100K', '100K-1M', '1M-10M', '10M+'];
+
+// Wealth bucket label for a death's wealth lost
+export const getWealthRange = (wealthLost) => {
+  if (wealthLost <= 10000) return '0-10K';
+  if (wealthLost <= 100000) return '10K-100K';
+  if (wealthLost <= 1000000) return '100K-1M';
+  if (wealthLost <= 10000000) return '1M-10M';
+  return '10M+';
+};
+
+// Running analytics that deaths can be added to and removed from one at a time, so a live
+// feed doesn't recount everything on each new death. getAnalytics() returns the same shape as
+// calculateAnalytics. Removing deaths doesn't shrink timeRange; rolling windows track their own.
+export const createAnalyticsAccumulator = ({ timeZone = LOCAL_TIME_ZONE } = {}) => {
+  const readTimeParts = createTimePartsReader(timeZone);
+
+  let totalDeaths = 0;
+  let totalWealthLost = 0;
+  let totalPlayerLevel = 0;
+  let totalCombatLevel = 0;
+  let firstTimestamp = Infinity;
+  let lastTimestamp = -Infinity;
+
+  // Time analysis
+  const hourDistribution = Array(24).fill(0);
+  const dayDistribution = Array(7).fill(0);
+  const monthDistribution = Array(12).fill(0);
+  // Deaths per hour for each weekday: hourDayMatrix[day][hour]
+  const hourDayMatrix = Array.from({ length: 7 }, () => Array(24).fill(0));
+
+  // Hotspot analysis (hotspotCounts covers every hotspot, topHotspots only the busiest five)
+  const hotspotCounts = {};
+  // Region analysis (region comes from the point-in-polygon pass)
+  const regionCounts = {};
+
+  // Killer analysis: { name: { name, clan, kills, gpTaken } } and clan kills per hotspot
+  const killers = {};
+  const clanHotspotCounts = {};
+  const clanCounts = {};
+  const combatTypeCounts = {};
+  let deathsWithKiller = 0;
+
+  // Wilderness level analysis
+  const levelBrackets = {};
+  WILDERNESS_LEVEL_BRACKETS.forEach(bracket => {
+    levelBrackets[bracket.label] = 0;
+  });
+  levelBrackets[OUTSIDE_WILDERNESS_LABEL] = 0;
+
+  // Wealth analysis
+  const wealthRanges = {};
+  WEALTH_RANGES.forEach(range => {
+    wealthRanges[range] = 0;
+  });
+
+  const update = (death, step) => {
+    const time = death.timestamp.getTime();
+
+    totalDeaths += step;
+    totalWealthLost += step * death.wealthLost;
+    totalPlayerLevel += step * death.playerLevel;
+    totalCombatLevel += step * death.combatLevel;
+    if (step > 0) {
+      if (time < firstTimestamp) firstTimestamp = time;
+      if (time > lastTimestamp) lastTimestamp = time;
+    }
+
+    const { hour, day, month } = readTimeParts(time);
+    hourDistribution[hour] += step;
+    dayDistribution[day] += step;
+    monthDistribution[month] += step;
+    hourDayMatrix[day][hour] += step;
+
+    bump(hotspotCounts, death.hotspot, step);
+    if (death.region) bump(regionCounts, death.region, step);
+
+    levelBrackets[getLevelBracket(death.wildernessLevel)] += step;
+    wealthRanges[getWealthRange(death.wealthLost)] += step;
+
+    if (death.killerName) {
+      deathsWithKiller += step;
+      const killer = killers[death.killerName] ||
+        (killers[death.killerName] = { name: death.killerName, clan: death.killerClan || null, kills: 0, gpTaken: 0 });
+      killer.kills += step;
+      killer.gpTaken += step * death.wealthLost;
+      if (killer.kills === 0) delete killers[death.killerName];
+
+      const clan = death.killerClan || NO_CLAN_LABEL;
+      bump(clanCounts, clan, step);
+      const clanHotspots = clanHotspotCounts[clan] || (clanHotspotCounts[clan] = {});
+      bump(clanHotspots, death.hotspot, step);
+      if (!clanCounts[clan]) delete clanHotspotCounts[clan];
+    }
+    if (death.combatType) bump(combatTypeCounts, death.combatType, step);
+  };
+
+  const getAnalytics = () => {
+    if (totalDeaths === 0) return {};
+    const killerList = Object.values(killers);
+    return {
+      totalDeaths,
+      totalWealthLost,
+      avgWealthLost: totalWealthLost / totalDeaths,
+      avgPlayerLevel: totalPlayerLevel / totalDeaths,
+      avgCombatLevel: totalCombatLevel / totalDeaths,
+      // First and last death times in ms, for the timeline
+      timeRange: { start: firstTimestamp, end: lastTimestamp },
+      hourDistribution: [...hourDistribution],
+      dayDistribution: [...dayDistribution],
+      monthDistribution: [...monthDistribution],
+      hourDayMatrix: hourDayMatrix.map(hours => [...hours]),
+      timeZone,
+      hotspotCounts: { ...hotspotCounts },
+      topHotspots: topEntries(hotspotCounts),
+      regionCounts: { ...regionCounts },
+      topRegions: topEntries(regionCounts),
+      levelBrackets: { ...levelBrackets },
+      wealthRanges: { ...wealthRanges },
+      deathsWithKiller,
+      killerCount: killerList.length,
+      topKillersByKills: [...killerList].sort((a, b) => b.kills - a.kills).slice(0, LEADERBOARD_SIZE).map(killer => ({ ...killer })),
+      topKillersByGp: [...killerList].sort((a, b) => b.gpTaken - a.gpTaken).slice(0, LEADERBOARD_SIZE).map(killer => ({ ...killer })),
+      clanCounts: { ...clanCounts },
+      clanHotspotCounts: Object.fromEntries(Object.entries(clanHotspotCounts).map(([clan, counts]) => [clan, { ...counts }])),
+      combatTypeCounts: { ...combatTypeCounts }
+    };
+  };
+
+  return {
+    add: (death) => update(death, 1),
+    remove: (death) => update(death, -1),
+    getAnalytics
+  };
+};
+
+// Analytics functions. Everything is gathered in a single pass so this stays fast
+// on datasets with hundreds of thousands of deaths. Hours, days and months are
+// counted in timeZone (an IANA zone name or 'local').
+export const calculateAnalytics = (deaths, options) => {
+  if (deaths.length === 0) return {};
+  const accumulator = createAnalyticsAccumulator(options);
+  for (let i = 0; i < deaths.length; i++) accumulator.add(deaths[i]);
+  return accumulator.getAnalytics();
+};
@@ -0,0 +1,121 @@
+import { WEALTH_RANGES, getWealthRange, topEntries } from './analytics';
+import { LOCAL_TIME_ZONE, createTimePartsReader } from './timezones';
+
+// Linked brushing: a selection made on one chart (hours, days, wealth brackets, hotspot or region
+// rows) picks a subset of the filtered deaths. Every other chart is recounted over that subset,
+// while the brushed chart keeps its full counts so the rest of it can still be picked.
+// Unlike filters, brushes are quick, throwaway selections that are cleared by clicking them again.
+
+// Selected values per dimension (an empty list selects everything)
+export const EMPTY_BRUSH = { hours: [], days: [], wealthRanges: [], hotspots: [], regions: [] };
+
+const DIMENSIONS = Object.keys(EMPTY_BRUSH);
+
+export const hasBrush = (brush) => DIMENSIONS.some(dimension => brush[dimension].length > 0);
+
+// Click on a value: a selected value clears its dimension, any other value replaces the
+// selection (or is added to it when additive, e.g. with Shift or Ctrl held)
+export const toggleBrushValue = (brush, dimension, value, additive = false) => {
+  const values = brush[dimension];
+  if (additive) {
+    return {
+      ...brush,
+      [dimension]: values.includes(value) ? values.filter(selected => selected !== value) : [...values, value]
+    };
+  }
+  return { ...brush, [dimension]: values.includes(value) ? [] : [value] };
+};
+
+// Bar positions covered by a drag from start to end, both included, in either direction
+export const dragRange = (start, end) => {
+  const from = Math.min(start, end);
+  return Array.from({ length: Math.abs(end - start) + 1 }, (_, index) => from + index);
+};
+
+// Drag across several values: they become the selection
+export const setBrushValues = (brush, dimension, values) => ({ ...brush, [dimension]: values });
+
+// Short description of a brush, e.g. "Hours 18:00-21:00 · Sat, Sun"
+export const describeBrush = (brush, dayNames) => {
+  const parts = [];
+  if (brush.hours.length > 0) {
+    const hours = [...brush.hours].sort((a, b) => a - b);
+    const contiguous = hours[hours.length - 1] - hours[0] === hours.length - 1;
+    parts.push(contiguous && hours.length > 1
+      ? `${hours[0]}:00–${hours[hours.length - 1] + 1}:00`
+      : hours.map(hour => `${hour}:00`).join(', '));
+  }
+  if (brush.days.length > 0) parts.push([...brush.days].sort((a, b) => a - b).map(day => dayNames[day]).join(', '));
+  if (brush.wealthRanges.length > 0) {
+    parts.push(WEALTH_RANGES.filter(range => brush.wealthRanges.includes(range)).map(range => `${range} gp`).join(', '));
+  }
+  if (brush.hotspots.length > 0) parts.push(brush.hotspots.join(', '));
+  if (brush.regions.length > 0) parts.push(brush.regions.join(', '));
+  return parts.join(' · ');
+};
+
+// Recount the linked charts for a brush in one pass over the deaths. Each chart counts the deaths
+// that match every brushed dimension except its own. Returns { hourDistribution, dayDistribution,
+// wealthRanges, topHotspots, topRegions } in the same shapes as calculateAnalytics, plus the
+// selected deaths (matching every dimension) and their totalWealthLost.
+export const calculateLinkedCharts = (deaths, brush, { timeZone = LOCAL_TIME_ZONE } = {}) => {
+  const readTimeParts = createTimePartsReader(timeZone);
+  const sets = {};
+  DIMENSIONS.forEach(dimension => {
+    sets[dimension] = brush[dimension].length > 0 ? new Set(brush[dimension]) : null;
+  });
+
+  const hourDistribution = Array(24).fill(0);
+  const dayDistribution = Array(7).fill(0);
+  const wealthRanges = {};
+  WEALTH_RANGES.forEach(range => {
+    wealthRanges[range] = 0;
+  });
+  const hotspotCounts = {};
+  const regionCounts = {};
+  const selected = [];
+  let totalWealthLost = 0;
+
+  deaths.forEach(death => {
+    const { hour, day } = readTimeParts(death.timestamp.getTime());
+    const wealthRange = getWealthRange(death.wealthLost);
+    const matchesHour = !sets.hours || sets.hours.has(hour);
+    const matchesDay = !sets.days || sets.days.has(day);
+    const matchesWealth = !sets.wealthRanges || sets.wealthRanges.has(wealthRange);
+    const matchesHotspot = !sets.hotspots || sets.hotspots.has(death.hotspot);
+    const matchesRegion = !sets.regions || sets.regions.has(death.region);
+
+    const matchesPlace = matchesHotspot && matchesRegion;
+    const matchesTime = matchesHour && matchesDay;
+    if (matchesDay && matchesWealth && matchesPlace) hourDistribution[hour]++;
+    if (matchesHour && matchesWealth && matchesPlace) dayDistribution[day]++;
+    if (matchesTime && matchesPlace) wealthRanges[wealthRange]++;
+    if (matchesTime && matchesWealth && matchesRegion) hotspotCounts[death.hotspot] = (hotspotCounts[death.hotspot] || 0) + 1;
+    if (matchesTime && matchesWealth && matchesHotspot && death.region) {
+      regionCounts[death.region] = (regionCounts[death.region] || 0) + 1;
+    }
+    if (matchesTime && matchesWealth && matchesPlace) {
+      selected.push(death);
+      totalWealthLost += death.wealthLost;
+    }
+  });
+
+  // Selected rows stay listed even when they drop out of the top five
+  const withSelected = (counts, names) => {
+    const top = topEntries(counts);
+    names.forEach(name => {
+      if (!top.some(([listed]) => listed === name)) top.push([name, counts[name] || 0]);
+    });
+    return top;
+  };
+
+  return {
+    hourDistribution,
+    dayDistribution,
+    wealthRanges,
+    topHotspots: withSelected(hotspotCounts, brush.hotspots),
+    topRegions: withSelected(regionCounts, brush.regions),
+    selected,
+    totalWealthLost
+  };
+};
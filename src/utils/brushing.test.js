@@ -0,0 +1,78 @@
+import { EMPTY_BRUSH, hasBrush, toggleBrushValue, setBrushValues, dragRange, describeBrush, calculateLinkedCharts } from './brushing';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// 2024-03-02 is a Saturday
+const death = (time, wealthLost, hotspot, region = 'Ditch') => ({ timestamp: new Date(`2024-03-${time}Z`), wealthLost, hotspot, region });
+
+const deaths = [
+  death('02T20:15:00', 5000000, 'Edgeville'), // Sat 20:00
+  death('02T20:45:00', 50000, 'Chaos Temple', 'Temple'), // Sat 20:00
+  death('02T08:00:00', 5000000, 'Edgeville'), // Sat 08:00
+  death('04T20:30:00', 20000000, 'Edgeville'), // Mon 20:00
+  death('04T09:00:00', 500, 'Chaos Temple', 'Temple') // Mon 09:00
+];
+
+const linked = (brush) => calculateLinkedCharts(deaths, { ...EMPTY_BRUSH, ...brush }, { timeZone: 'UTC' });
+
+describe('toggleBrushValue', () => {
+  test('selects a value, and clears it when picked again', () => {
+    const brush = toggleBrushValue(EMPTY_BRUSH, 'hours', 20);
+    expect(brush.hours).toEqual([20]);
+    expect(hasBrush(brush)).toBe(true);
+    expect(toggleBrushValue(brush, 'hours', 21).hours).toEqual([21]);
+    const cleared = toggleBrushValue(brush, 'hours', 20);
+    expect(cleared).toEqual(EMPTY_BRUSH);
+    expect(hasBrush(cleared)).toBe(false);
+  });
+
+  test('adds and removes single values when additive', () => {
+    const brush = toggleBrushValue(toggleBrushValue(EMPTY_BRUSH, 'days', 6), 'days', 0, true);
+    expect(brush.days).toEqual([6, 0]);
+    expect(toggleBrushValue(brush, 'days', 6, true).days).toEqual([0]);
+  });
+});
+
+describe('dragRange', () => {
+  test('covers both ends of the drag, in either direction', () => {
+    expect(dragRange(18, 21)).toEqual([18, 19, 20, 21]);
+    expect(dragRange(21, 18)).toEqual([18, 19, 20, 21]);
+    expect(dragRange(5, 5)).toEqual([5]);
+    expect(setBrushValues(EMPTY_BRUSH, 'hours', dragRange(22, 23)).hours).toEqual([22, 23]);
+  });
+});
+
+describe('describeBrush', () => {
+  test('joins the selected dimensions, with contiguous hours as a range', () => {
+    expect(describeBrush({ ...EMPTY_BRUSH, hours: [20, 18, 19], days: [6, 0] }, DAY_NAMES)).toBe('18:00–21:00 · Sun, Sat');
+    expect(describeBrush({ ...EMPTY_BRUSH, hours: [3, 7], wealthRanges: ['10M+'] }, DAY_NAMES)).toBe('3:00, 7:00 · 10M+ gp');
+  });
+});
+
+describe('calculateLinkedCharts', () => {
+  test('recounts the other charts over the selected hour, and keeps its own chart whole', () => {
+    const charts = linked({ hours: [20] });
+    expect(charts.dayDistribution).toEqual([0, 1, 0, 0, 0, 0, 2]);
+    expect(charts.wealthRanges).toEqual({ '0-10K': 0, '10K-100K': 1, '100K-1M': 0, '1M-10M': 1, '10M+': 1 });
+    expect(charts.topHotspots).toEqual([['Edgeville', 2], ['Chaos Temple', 1]]);
+    expect(charts.hourDistribution[20]).toBe(3);
+    expect(charts.hourDistribution[8]).toBe(1);
+    expect(charts.selected).toHaveLength(3);
+    expect(charts.totalWealthLost).toBe(25050000);
+  });
+
+  test('combines selections on several charts', () => {
+    const charts = linked({ hours: [20], days: [6] });
+    expect(charts.selected).toHaveLength(2);
+    // The hour chart shows Saturday only, the day chart 20:00 only
+    expect(charts.hourDistribution[8]).toBe(1);
+    expect(charts.hourDistribution[20]).toBe(2);
+    expect(charts.dayDistribution).toEqual([0, 1, 0, 0, 0, 0, 2]);
+  });
+
+  test('keeps selected hotspots listed even without deaths in the selection', () => {
+    const charts = linked({ hours: [8], hotspots: ['Chaos Temple'] });
+    expect(charts.topHotspots).toEqual([['Edgeville', 1], ['Chaos Temple', 0]]);
+    expect(charts.selected).toEqual([]);
+  });
+});
@@ -0,0 +1,13 @@
+// Value axes for the dashboard's bar charts
+
+// Round tick values from 0 to a "nice" top at or above max, about count steps apart.
+// Counts (integer) never get fractional ticks.
+export const getAxisTicks = (max, { count = 4, integer = true } = {}) => {
+  if (!(max > 0)) return [0, 1];
+  const rough = max / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  let step = [1, 2, 2.5, 5, 10].map(multiple => multiple * magnitude).find(candidate => candidate >= rough);
+  if (integer) step = Math.max(1, Math.ceil(step));
+  const steps = Math.ceil(max / step);
+  return Array.from({ length: steps + 1 }, (_, index) => Number((index * step).toPrecision(12)));
+};
@@ -0,0 +1,189 @@
+import { WILDERNESS_BOUNDS, WILDERNESS_WIDTH, WILDERNESS_HEIGHT } from './coordinates';
+import { NO_REGION_LABEL } from './regions';
+import { clampView, MAX_ZOOM } from './mapView';
+
+// Automatic hotspot discovery: density-based clustering (DBSCAN run on grid cells instead of
+// single deaths, so it stays linear in the number of deaths). A cell is a core cell when its
+// 3×3 neighbourhood holds at least minPoints deaths; touching core cells form a cluster, and
+// non-core cells next to a cluster join it as its border, like DBSCAN's border points.
+
+export const DEFAULT_CLUSTER_OPTIONS = {
+  cellSize: 4, // Tiles per grid cell (DBSCAN's epsilon is about 1.5 cells)
+  densityMultiple: 3, // minPoints as a multiple of the average deaths per neighbourhood
+  minDeaths: 20 // Smaller clusters are dropped
+};
+
+export const CLUSTER_OPTION_LIMITS = {
+  cellSize: { min: 2, max: 16, step: 1 },
+  densityMultiple: { min: 2, max: 30, step: 1 },
+  minDeaths: { min: 5, max: 1000, step: 5 }
+};
+
+// Colors cycled through for cluster outlines
+const CLUSTER_COLORS = ['#f472b6', '#facc15', '#34d399', '#60a5fa', '#fb923c', '#c084fc', '#f87171', '#2dd4bf'];
+
+// At most this many clusters are returned, largest first
+const MAX_CLUSTERS = 20;
+
+// A single death never makes a core cell on its own
+const MIN_POINTS_FLOOR = 3;
+
+// Outline of a set of cells as world-tile line segments [x1, y1, x2, y2] along its edge
+const traceOutline = (cellSet, columns, cellSize) => {
+  const edges = [];
+  cellSet.forEach(cell => {
+    const cx = cell % columns;
+    const cy = Math.floor(cell / columns);
+    const x1 = WILDERNESS_BOUNDS.minX + cx * cellSize;
+    const y1 = WILDERNESS_BOUNDS.minY + cy * cellSize;
+    const x2 = x1 + cellSize;
+    const y2 = y1 + cellSize;
+    if (cx === 0 || !cellSet.has(cell - 1)) edges.push([x1, y1, x1, y2]);
+    if (cx === columns - 1 || !cellSet.has(cell + 1)) edges.push([x2, y1, x2, y2]);
+    if (!cellSet.has(cell - columns)) edges.push([x1, y1, x2, y1]);
+    if (!cellSet.has(cell + columns)) edges.push([x1, y2, x2, y2]);
+  });
+  return edges;
+};
+
+// Find clusters in the deaths. Returns { clusters, minPoints } where each cluster is
+// { id, name, color, deaths, wealthLost, center, bounds, outline, regions, mainRegion, mainShare },
+// largest first. regions lists [name, count] pairs, busiest first, for comparing with named regions.
+// Only surface deaths are clustered; cave deaths fall outside the grid.
+export const findClusters = (deaths, options = DEFAULT_CLUSTER_OPTIONS) => {
+  const { cellSize, densityMultiple, minDeaths } = options;
+  const columns = Math.ceil(WILDERNESS_WIDTH / cellSize);
+  const rows = Math.ceil(WILDERNESS_HEIGHT / cellSize);
+  const cellCount = columns * rows;
+  const cellOf = (death) => {
+    const cx = Math.floor((death.x - WILDERNESS_BOUNDS.minX) / cellSize);
+    const cy = Math.floor((death.y - WILDERNESS_BOUNDS.minY) / cellSize);
+    return cx < 0 || cy < 0 || cx >= columns || cy >= rows ? -1 : cy * columns + cx;
+  };
+
+  // Deaths per cell
+  const counts = new Uint32Array(cellCount);
+  let inside = 0;
+  for (let i = 0; i < deaths.length; i++) {
+    const cell = cellOf(deaths[i]);
+    if (cell !== -1) {
+      counts[cell]++;
+      inside++;
+    }
+  }
+  if (inside === 0) return { clusters: [], minPoints: 0 };
+
+  // Deaths in each cell's 3×3 neighbourhood, against the threshold
+  const minPoints = Math.max(MIN_POINTS_FLOOR, Math.round(densityMultiple * (inside * 9) / cellCount));
+  const core = new Uint8Array(cellCount);
+  for (let cy = 0; cy < rows; cy++) {
+    for (let cx = 0; cx < columns; cx++) {
+      let sum = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        const y = cy + dy;
+        if (y < 0 || y >= rows) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const x = cx + dx;
+          if (x >= 0 && x < columns) sum += counts[y * columns + x];
+        }
+      }
+      if (sum >= minPoints && counts[cy * columns + cx] > 0) core[cy * columns + cx] = 1;
+    }
+  }
+
+  // Connected core cells (8-neighbour flood fill), then border cells around them
+  const labels = new Int32Array(cellCount).fill(-1);
+  const groups = [];
+  const neighbours = (cell, visit) => {
+    const cx = cell % columns;
+    const cy = Math.floor(cell / columns);
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if ((dx || dy) && x >= 0 && y >= 0 && x < columns && y < rows) visit(y * columns + x);
+      }
+    }
+  };
+  for (let start = 0; start < cellCount; start++) {
+    if (!core[start] || labels[start] !== -1) continue;
+    const label = groups.length;
+    const cells = [start];
+    labels[start] = label;
+    for (let i = 0; i < cells.length; i++) {
+      neighbours(cells[i], next => {
+        if (core[next] && labels[next] === -1) {
+          labels[next] = label;
+          cells.push(next);
+        }
+      });
+    }
+    groups.push(cells);
+  }
+  groups.forEach((cells, label) => {
+    cells.slice().forEach(cell => neighbours(cell, next => {
+      if (!core[next] && labels[next] === -1 && counts[next] > 0) {
+        labels[next] = label;
+        cells.push(next);
+      }
+    }));
+  });
+
+  // Per-cluster totals
+  const stats = groups.map(() => ({
+    deaths: 0, wealthLost: 0, sumX: 0, sumY: 0,
+    minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity, regions: {}
+  }));
+  for (let i = 0; i < deaths.length; i++) {
+    const death = deaths[i];
+    const cell = cellOf(death);
+    if (cell === -1 || labels[cell] === -1) continue;
+    const cluster = stats[labels[cell]];
+    cluster.deaths++;
+    cluster.wealthLost += death.wealthLost;
+    cluster.sumX += death.x;
+    cluster.sumY += death.y;
+    if (death.x < cluster.minX) cluster.minX = death.x;
+    if (death.x > cluster.maxX) cluster.maxX = death.x;
+    if (death.y < cluster.minY) cluster.minY = death.y;
+    if (death.y > cluster.maxY) cluster.maxY = death.y;
+    const region = death.region || NO_REGION_LABEL;
+    cluster.regions[region] = (cluster.regions[region] || 0) + 1;
+  }
+
+  const clusters = stats
+    .map((cluster, label) => ({ cluster, cells: groups[label] }))
+    .filter(({ cluster }) => cluster.deaths >= minDeaths)
+    .sort((a, b) => b.cluster.deaths - a.cluster.deaths)
+    .slice(0, MAX_CLUSTERS)
+    .map(({ cluster, cells }, index) => {
+      const regions = Object.entries(cluster.regions).sort(([, a], [, b]) => b - a);
+      const center = { x: Math.round(cluster.sumX / cluster.deaths), y: Math.round(cluster.sumY / cluster.deaths) };
+      return {
+        id: `cluster-${center.x}-${center.y}`,
+        name: `Cluster at (${center.x}, ${center.y})`,
+        color: CLUSTER_COLORS[index % CLUSTER_COLORS.length],
+        deaths: cluster.deaths,
+        wealthLost: cluster.wealthLost,
+        center,
+        bounds: { minX: cluster.minX, maxX: cluster.maxX, minY: cluster.minY, maxY: cluster.maxY },
+        outline: traceOutline(new Set(cells), columns, cellSize),
+        regions,
+        mainRegion: regions[0][0],
+        mainShare: regions[0][1] / cluster.deaths
+      };
+    });
+
+  return { clusters, minPoints };
+};
+
+// Map view centred on a cluster and zoomed to fit it with some margin
+export const getClusterView = (cluster) => {
+  const width = Math.max(cluster.bounds.maxX - cluster.bounds.minX, 8) / WILDERNESS_WIDTH;
+  const height = Math.max(cluster.bounds.maxY - cluster.bounds.minY, 8) / WILDERNESS_HEIGHT;
+  return clampView({
+    zoom: Math.min(MAX_ZOOM, 0.6 / Math.max(width, height)),
+    centerX: (cluster.center.x - WILDERNESS_BOUNDS.minX) / WILDERNESS_WIDTH,
+    centerY: (WILDERNESS_BOUNDS.maxY - cluster.center.y) / WILDERNESS_HEIGHT
+  });
+};
@@ -0,0 +1,55 @@
+import { findClusters, getClusterView } from './clustering';
+import { createRandom } from './random';
+
+// count deaths spread evenly over a size × size square with its corner at (x, y)
+const block = (x, y, size, count, region = 'Somewhere') => Array.from({ length: count }, (_, i) => ({
+  x: x + (i % size),
+  y: y + Math.floor(i / size) % size,
+  wealthLost: 1000,
+  region
+}));
+
+// Sparse background noise over the whole Wilderness
+const noise = (count) => {
+  const random = createRandom('noise');
+  return Array.from({ length: count }, () => ({
+    x: 2944 + Math.floor(random() * 448),
+    y: 3520 + Math.floor(random() * 448),
+    wealthLost: 10
+  }));
+};
+
+const OPTIONS = { cellSize: 4, densityMultiple: 3, minDeaths: 20 };
+
+describe('findClusters', () => {
+  test('finds dense groups, largest first, and ignores the noise', () => {
+    const deaths = [...noise(300), ...block(3000, 3600, 8, 200, 'West'), ...block(3300, 3900, 8, 100, 'East')];
+    const { clusters, minPoints } = findClusters(deaths, OPTIONS);
+    expect(minPoints).toBeGreaterThanOrEqual(3);
+    expect(clusters).toHaveLength(2);
+    expect(clusters[0].mainRegion).toBe('West');
+    expect(clusters[0].deaths).toBeGreaterThanOrEqual(200);
+    expect(clusters[1].mainRegion).toBe('East');
+    expect(clusters[0].bounds.minX).toBeLessThanOrEqual(3000);
+    expect(clusters[0].outline.length).toBeGreaterThan(0);
+  });
+
+  test('drops clusters smaller than minDeaths', () => {
+    const deaths = [...noise(300), ...block(3000, 3600, 4, 16)];
+    expect(findClusters(deaths, { ...OPTIONS, minDeaths: 50 }).clusters).toEqual([]);
+  });
+
+  test('skips deaths outside the surface grid', () => {
+    expect(findClusters(block(3200, 10100, 8, 200), OPTIONS)).toEqual({ clusters: [], minPoints: 0 });
+  });
+});
+
+describe('getClusterView', () => {
+  test('centres the map on the cluster and zooms in', () => {
+    const [cluster] = findClusters([...noise(300), ...block(3160, 3740, 8, 200)], OPTIONS).clusters;
+    const view = getClusterView(cluster);
+    expect(view.zoom).toBeGreaterThan(1);
+    expect(view.centerX).toBeCloseTo((cluster.center.x - 2944) / 448, 2);
+    expect(view.centerY).toBeCloseTo((3968 - cluster.center.y) / 448, 2);
+  });
+});
@@ -0,0 +1,85 @@
+import { formatGp } from './filters';
+
+// Period comparison: the loaded deaths split into two date ranges (A = before, B = after),
+// each run through calculateAnalytics, and the differences between them.
+
+const DAY_MS = 86400000;
+
+export const DEFAULT_COMPARISON = {
+  enabled: false,
+  // "YYYY-MM-DD" date inputs, both ends inclusive
+  a: { from: '', to: '' },
+  b: { from: '', to: '' }
+};
+
+// Headline numbers compared side by side
+export const COMPARISON_STATS = [
+  { key: 'totalDeaths', label: 'Total Deaths', format: (value) => Math.round(value).toLocaleString() },
+  { key: 'deathsPerDay', label: 'Deaths per Day', format: (value) => value.toFixed(1) },
+  { key: 'totalWealthLost', label: 'Total Wealth Lost', format: (value) => `${formatGp(value)} gp` },
+  { key: 'avgWealthLost', label: 'Avg Wealth Lost', format: (value) => `${formatGp(value)} gp` },
+  { key: 'avgPlayerLevel', label: 'Avg Player Level', format: (value) => value.toFixed(1) },
+  { key: 'avgCombatLevel', label: 'Avg Combat Level', format: (value) => value.toFixed(1) }
+];
+
+// Date input value for a time, in local time
+const toDateInput = (time) => {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// A period is usable once both ends are set and in order
+export const isValidPeriod = (period) => Boolean(period.from && period.to && period.from <= period.to);
+
+// Number of calendar days in a period (both ends inclusive)
+export const getPeriodDays = (period) =>
+  Math.round((new Date(`${period.to}T00:00:00Z`) - new Date(`${period.from}T00:00:00Z`)) / DAY_MS) + 1;
+
+// Ready-made period pairs for a dataset spanning timeRange ({ start, end } in ms)
+export const COMPARISON_PRESETS = [
+  {
+    id: 'halves',
+    name: 'First half vs second half',
+    build: ({ start, end }) => {
+      const middle = start + (end - start) / 2;
+      return { a: { from: toDateInput(start), to: toDateInput(middle - DAY_MS) }, b: { from: toDateInput(middle), to: toDateInput(end) } };
+    }
+  },
+  {
+    id: 'last-30',
+    name: 'Last 30 days vs the 30 before',
+    build: ({ end }) => ({
+      a: { from: toDateInput(end - 59 * DAY_MS), to: toDateInput(end - 30 * DAY_MS) },
+      b: { from: toDateInput(end - 29 * DAY_MS), to: toDateInput(end) }
+    })
+  },
+  {
+    id: 'last-month',
+    name: 'Last month vs the month before',
+    build: ({ end }) => {
+      const last = new Date(end);
+      const monthStart = (offset) => new Date(last.getFullYear(), last.getMonth() + offset, 1).getTime();
+      return {
+        a: { from: toDateInput(monthStart(-1)), to: toDateInput(monthStart(0) - DAY_MS) },
+        b: { from: toDateInput(monthStart(0)), to: toDateInput(end) }
+      };
+    }
+  }
+];
+
+// Side-by-side rows for COMPARISON_STATS. percent is null when A is 0.
+export const compareStats = (analyticsA, analyticsB, daysA, daysB) => {
+  const valuesA = { ...analyticsA, totalDeaths: analyticsA.totalDeaths || 0, deathsPerDay: (analyticsA.totalDeaths || 0) / daysA };
+  const valuesB = { ...analyticsB, totalDeaths: analyticsB.totalDeaths || 0, deathsPerDay: (analyticsB.totalDeaths || 0) / daysB };
+  return COMPARISON_STATS.map(stat => {
+    const a = valuesA[stat.key] || 0;
+    const b = valuesB[stat.key] || 0;
+    return { ...stat, a, b, delta: b - a, percent: a === 0 ? null : ((b - a) / a) * 100 };
+  });
+};
+
+// Each value as a share of its total, so periods of different size can share a chart
+export const toShares = (values = []) => {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return values.map(value => (total > 0 ? value / total : 0));
+};
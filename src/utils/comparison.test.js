@@ -0,0 +1,94 @@
+import { COMPARISON_PRESETS, compareStats, getPeriodDays, isValidPeriod, toShares } from './comparison';
+
+const preset = (id, timeRange) => COMPARISON_PRESETS.find(candidate => candidate.id === id).build(timeRange);
+// Local-time dates, since the presets work in the browser's zone
+const localTime = (year, month, day, hour = 12) => new Date(year, month - 1, day, hour).getTime();
+
+const rowsByKey = (rows) => Object.fromEntries(rows.map(row => [row.key, row]));
+
+describe('getPeriodDays', () => {
+  test('counts both ends, across month and year boundaries', () => {
+    expect(getPeriodDays({ from: '2024-03-01', to: '2024-03-01' })).toBe(1);
+    expect(getPeriodDays({ from: '2024-01-30', to: '2024-02-02' })).toBe(4);
+    expect(getPeriodDays({ from: '2024-02-28', to: '2024-03-01' })).toBe(3);
+    expect(getPeriodDays({ from: '2023-02-28', to: '2023-03-01' })).toBe(2);
+    expect(getPeriodDays({ from: '2023-12-31', to: '2024-01-01' })).toBe(2);
+    // The day the clocks change is still one day
+    expect(getPeriodDays({ from: '2024-03-30', to: '2024-04-01' })).toBe(3);
+  });
+});
+
+describe('isValidPeriod', () => {
+  test('needs both ends in order', () => {
+    expect(isValidPeriod({ from: '2024-01-01', to: '2024-01-31' })).toBe(true);
+    expect(isValidPeriod({ from: '2024-01-01', to: '' })).toBe(false);
+    expect(isValidPeriod({ from: '2024-02-01', to: '2024-01-31' })).toBe(false);
+  });
+});
+
+describe('compareStats', () => {
+  const analytics = { totalDeaths: 300, totalWealthLost: 3e9, avgWealthLost: 1e7, avgPlayerLevel: 80, avgCombatLevel: 95 };
+
+  test('compares totals, per-day rates and averages', () => {
+    const rows = rowsByKey(compareStats(analytics, { ...analytics, totalDeaths: 450, avgCombatLevel: 76 }, 30, 30));
+    expect(rows.totalDeaths).toMatchObject({ a: 300, b: 450, delta: 150, percent: 50 });
+    expect(rows.deathsPerDay).toMatchObject({ a: 10, b: 15, delta: 5, percent: 50 });
+    expect(rows.avgCombatLevel).toMatchObject({ delta: -19, percent: -20 });
+    expect(rows.totalWealthLost.percent).toBe(0);
+  });
+
+  test('gives per-day rates for periods of different length', () => {
+    const rows = rowsByKey(compareStats(analytics, analytics, 30, 60));
+    expect(rows.deathsPerDay).toMatchObject({ a: 10, b: 5, percent: -50 });
+  });
+
+  test('treats an empty period as zeros, without NaN', () => {
+    const emptyFirst = compareStats({}, analytics, 30, 30);
+    const emptySecond = compareStats(analytics, {}, 30, 30);
+    [...emptyFirst, ...emptySecond].forEach(row => {
+      expect(Number.isFinite(row.a)).toBe(true);
+      expect(Number.isFinite(row.b)).toBe(true);
+      expect(Number.isFinite(row.delta)).toBe(true);
+    });
+    // No percentage change from nothing
+    emptyFirst.forEach(row => expect(row.percent).toBeNull());
+    expect(rowsByKey(emptySecond).totalDeaths).toMatchObject({ a: 300, b: 0, delta: -300, percent: -100 });
+    compareStats({}, {}, 1, 1).forEach(row => expect(row).toMatchObject({ a: 0, b: 0, delta: 0, percent: null }));
+  });
+});
+
+describe('COMPARISON_PRESETS', () => {
+  test('splits the data into halves without overlap', () => {
+    expect(preset('halves', { start: localTime(2024, 1, 1), end: localTime(2024, 1, 31) })).toEqual({
+      a: { from: '2024-01-01', to: '2024-01-15' },
+      b: { from: '2024-01-16', to: '2024-01-31' }
+    });
+  });
+
+  test('compares the last 30 days with the 30 before', () => {
+    expect(preset('last-30', { start: localTime(2024, 1, 1), end: localTime(2024, 3, 15) })).toEqual({
+      a: { from: '2024-01-16', to: '2024-02-14' },
+      b: { from: '2024-02-15', to: '2024-03-15' }
+    });
+  });
+
+  test('compares the last month with the whole month before', () => {
+    expect(preset('last-month', { start: localTime(2024, 1, 1), end: localTime(2024, 3, 15) })).toEqual({
+      a: { from: '2024-02-01', to: '2024-02-29' },
+      b: { from: '2024-03-01', to: '2024-03-15' }
+    });
+    // January goes back to December of the year before
+    expect(preset('last-month', { start: localTime(2023, 6, 1), end: localTime(2024, 1, 10) })).toEqual({
+      a: { from: '2023-12-01', to: '2023-12-31' },
+      b: { from: '2024-01-01', to: '2024-01-10' }
+    });
+  });
+});
+
+describe('toShares', () => {
+  test('divides by the total, and gives zeros without one', () => {
+    expect(toShares([1, 3])).toEqual([0.25, 0.75]);
+    expect(toShares([0, 0])).toEqual([0, 0]);
+    expect(toShares()).toEqual([]);
+  });
+});
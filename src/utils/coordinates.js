@@ -0,0 +1,111 @@
+// OSRS world tile coordinates for the Wilderness and helpers to project them onto the map image.
+// Tile x grows to the east and tile y grows to the north, so y is flipped when drawing.
+
+// Surface Wilderness area in world tiles (the map image covers exactly this square)
+export const WILDERNESS_BOUNDS = {
+  minX: 2944,
+  maxX: 3392,
+  minY: 3520,
+  maxY: 3968
+};
+
+export const WILDERNESS_WIDTH = WILDERNESS_BOUNDS.maxX - WILDERNESS_BOUNDS.minX; // 448 tiles
+export const WILDERNESS_HEIGHT = WILDERNESS_BOUNDS.maxY - WILDERNESS_BOUNDS.minY; // 448 tiles
+
+// Underground areas sit this many tiles north of the surface above them
+export const UNDERGROUND_OFFSET = 6400;
+
+// Map areas (planes). Each has its own map layer covering its bounds; deaths carry the
+// id of the area they happened in. Cave bounds are approximate and leave some margin.
+export const SURFACE_AREA = 'surface';
+export const MAP_AREAS = [
+  { id: SURFACE_AREA, name: 'Surface', bounds: WILDERNESS_BOUNDS },
+  { id: 'revenant-caves', name: 'Revenant Caves', bounds: { minX: 3136, maxX: 3264, minY: 10048, maxY: 10240 } },
+  { id: 'slayer-cave', name: 'Wilderness Slayer Cave', bounds: { minX: 3328, maxX: 3456, minY: 10048, maxY: 10176 } }
+];
+
+// Other spellings accepted when importing an area
+const AREA_ALIASES = {
+  wilderness: SURFACE_AREA,
+  overworld: SURFACE_AREA,
+  revenants: 'revenant-caves',
+  'revenant-cave': 'revenant-caves',
+  'rev-caves': 'revenant-caves',
+  'wilderness-slayer-cave': 'slayer-cave',
+  'slayer-caves': 'slayer-cave'
+};
+
+const inBounds = (bounds, x, y) => x >= bounds.minX && x < bounds.maxX && y >= bounds.minY && y < bounds.maxY;
+
+export const getMapArea = (id) => MAP_AREAS.find(area => area.id === id) || MAP_AREAS[0];
+
+export const getAreaName = (id) => getMapArea(id).name;
+
+// Area id for a spelling like "Revenant Caves" or "rev_caves", or null when unknown
+export const normalizeArea = (value) => {
+  const key = String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (MAP_AREAS.some(area => area.id === key)) return key;
+  const byName = MAP_AREAS.find(area => area.name.toLowerCase().replace(/\s+/g, '-') === key);
+  return byName ? byName.id : AREA_ALIASES[key] || null;
+};
+
+// Area a world tile belongs to, for deaths recorded without one
+export const findArea = (x, y) => {
+  const cave = MAP_AREAS.find(area => area.id !== SURFACE_AREA && inBounds(area.bounds, x, y));
+  return cave ? cave.id : SURFACE_AREA;
+};
+
+// Whether a death belongs on an area's map layer (deaths without an area are on the surface)
+export const isInArea = (death, areaId) => (death.area || SURFACE_AREA) === areaId;
+
+// Deaths grouped by the map layer they are drawn on: { [areaId]: deaths }
+export const groupByArea = (deaths) => {
+  const groups = {};
+  MAP_AREAS.forEach(area => {
+    groups[area.id] = [];
+  });
+  deaths.forEach(death => (groups[death.area] || groups[SURFACE_AREA]).push(death));
+  return groups;
+};
+
+// Wilderness level brackets used for grouping deaths in analytics
+export const WILDERNESS_LEVEL_BRACKETS = [
+  { label: 'Lvl 1-10', min: 1, max: 10 },
+  { label: 'Lvl 11-20', min: 11, max: 20 },
+  { label: 'Lvl 21-30', min: 21, max: 30 },
+  { label: 'Lvl 31+', min: 31, max: Infinity }
+];
+
+// Label for deaths whose tiles fall outside the Wilderness
+export const OUTSIDE_WILDERNESS_LABEL = 'Outside Wilderness';
+
+export const isInWilderness = (x, y) => inBounds(WILDERNESS_BOUNDS, x, y);
+
+// The Wilderness level goes up by one every 8 tiles north of the ditch (level 1 at y 3520).
+// Inside the caves it is the level of the surface row above (caves reach further east than the surface map).
+export const getWildernessLevel = (x, y) => {
+  const levelAt = (surfaceY) => Math.floor((surfaceY - WILDERNESS_BOUNDS.minY) / 8) + 1;
+  if (findArea(x, y) !== SURFACE_AREA) return levelAt(y - UNDERGROUND_OFFSET);
+  if (!isInWilderness(x, y)) return 0;
+  return levelAt(y);
+};
+
+export const getLevelBracket = (level) => {
+  const bracket = WILDERNESS_LEVEL_BRACKETS.find(b => level >= b.min && level <= b.max);
+  return bracket ? bracket.label : OUTSIDE_WILDERNESS_LABEL;
+};
+
+// Project a world tile onto a map of bounds (the surface by default) drawn at width x height pixels
+export const worldToMap = (x, y, width, height, bounds = WILDERNESS_BOUNDS) => ({
+  x: ((x - bounds.minX) / (bounds.maxX - bounds.minX)) * width,
+  y: ((bounds.maxY - y) / (bounds.maxY - bounds.minY)) * height
+});
+
+// Inverse of worldToMap, for turning canvas positions back into world tiles
+export const mapToWorld = (px, py, width, height, bounds = WILDERNESS_BOUNDS) => ({
+  x: bounds.minX + (px / width) * (bounds.maxX - bounds.minX),
+  y: bounds.maxY - (py / height) * (bounds.maxY - bounds.minY)
+});
+
+// Convert a distance in tiles to pixels on a map of bounds drawn width pixels wide
+export const tilesToPixels = (tiles, width, bounds = WILDERNESS_BOUNDS) => (tiles / (bounds.maxX - bounds.minX)) * width;
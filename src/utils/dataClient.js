@@ -0,0 +1,91 @@
+import { createDataWorker } from '../workers/createDataWorker';
+import { createTaskHandlers } from './dataTasks';
+
+// Runs generation and analytics in a Web Worker, falling back to the main thread
+// where workers aren't available or the worker fails. All methods return promises either way.
+export const createDataClient = () => {
+  let worker = null;
+  try {
+    worker = createDataWorker();
+  } catch (error) {
+    console.warn('Web Worker unavailable, running analytics on the main thread', error);
+  }
+
+  // The same request handlers as the worker, run here when there is no worker. They are always
+  // given the current dataset so they can take over if the worker fails.
+  const localTasks = createTaskHandlers();
+  const runLocally = (message, onProgress) => localTasks[message.type](message, onProgress);
+
+  // Worker requests waiting for a reply, by id
+  const pending = new Map();
+  let nextId = 1;
+
+  if (worker) {
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      if (!request) return;
+      if (data.type === 'progress') {
+        if (request.onProgress) request.onProgress(data.done, data.total);
+        return;
+      }
+      pending.delete(data.id);
+      if (data.type === 'error') request.reject(new Error(data.message));
+      else request.resolve(data);
+    };
+    // A worker that fails to load or crashes never replies: carry on without it and
+    // run whatever was waiting on the main thread, in the order it was asked for
+    worker.onerror = (event) => {
+      console.error('Data worker failed, running analytics on the main thread', event);
+      worker.terminate();
+      worker = null;
+      const waiting = [...pending.values()];
+      pending.clear();
+      waiting.forEach(({ message, onProgress, resolve, reject }) => {
+        try {
+          resolve(runLocally(message, onProgress));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    };
+  }
+
+  // Run a request in the worker, or here without one. Resolves to the handler's result.
+  const request = (message, onProgress = null) => new Promise((resolve, reject) => {
+    if (!worker) {
+      resolve(runLocally(message, onProgress));
+      return;
+    }
+    const id = nextId++;
+    pending.set(id, { message, onProgress, resolve, reject });
+    worker.postMessage({ ...message, id });
+  });
+
+  // Generate a simulated dataset for a scenario
+  const generate = (scenario, onProgress) => request({ type: 'generate', scenario }, onProgress).then(result => result.deaths);
+
+  // Make deaths the dataset that analyze() works on
+  const setDeaths = (deaths) => {
+    if (worker) localTasks.setDeaths({ deaths });
+    return request({ type: 'setDeaths', deaths });
+  };
+
+  // Filter the current dataset and compute analytics in a time zone. Resolves to { analytics, indices }.
+  const analyze = (filters, timeZone) => request({ type: 'analyze', filters, timeZone })
+    .then(({ analytics, indices }) => ({ analytics, indices }));
+
+  // Discover clusters among the filtered deaths. Resolves to { clusters, minPoints }.
+  const findClusters = (filters, timeZone, options) => request({ type: 'findClusters', filters, timeZone, options })
+    .then(({ clusters, minPoints }) => ({ clusters, minPoints }));
+
+  // Wealth-loss statistics of the filtered deaths. Resolves to calculateWealthStats' result (null without deaths).
+  const getWealthStats = (filters, timeZone, options) => request({ type: 'wealthStats', filters, timeZone, options })
+    .then(({ stats }) => stats);
+
+  const terminate = () => {
+    if (worker) worker.terminate();
+    pending.clear();
+  };
+
+  return { generate, setDeaths, analyze, findClusters, getWealthStats, terminate };
+};
@@ -0,0 +1,96 @@
+import { createDataClient } from './dataClient';
+import { createDataWorker } from '../workers/createDataWorker';
+import { DEFAULT_FILTERS } from './filters';
+import { DEFAULT_SCENARIO, generateDeathData } from './simulation';
+
+jest.mock('../workers/createDataWorker', () => ({ createDataWorker: jest.fn() }));
+
+// Stands in for the data worker: records what it is sent and only replies when told to
+class StubWorker {
+  constructor() {
+    this.sent = [];
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    this.sent.push(message);
+  }
+
+  reply(data) {
+    this.onmessage({ data });
+  }
+
+  fail() {
+    this.onerror(new Event('error'));
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+const scenario = { ...DEFAULT_SCENARIO, count: 200, startDate: '2024-03-01', endDate: '2024-03-07' };
+
+let worker;
+beforeEach(() => {
+  worker = new StubWorker();
+  createDataWorker.mockImplementation(() => worker);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createDataClient', () => {
+  test('resolves requests with the worker\'s replies and passes on progress', async () => {
+    const client = createDataClient();
+    const onProgress = jest.fn();
+    const generated = client.generate(scenario, onProgress);
+    const { id } = worker.sent[0];
+    worker.reply({ id, type: 'progress', done: 1, total: 2 });
+    worker.reply({ id, type: 'result', deaths: ['a death'] });
+    await expect(generated).resolves.toEqual(['a death']);
+    expect(onProgress).toHaveBeenCalledWith(1, 2);
+  });
+
+  test('rejects with the worker\'s error message', async () => {
+    const client = createDataClient();
+    const analyzed = client.analyze(DEFAULT_FILTERS, 'UTC');
+    worker.reply({ id: worker.sent[0].id, type: 'error', message: 'out of memory' });
+    await expect(analyzed).rejects.toThrow('out of memory');
+  });
+
+  test('runs on the main thread without a worker', async () => {
+    createDataWorker.mockImplementation(() => {
+      throw new Error('no workers here');
+    });
+    const client = createDataClient();
+    const deaths = await client.generate(scenario);
+    expect(deaths).toEqual(generateDeathData(scenario));
+    await client.setDeaths(deaths);
+    const { analytics, indices } = await client.analyze(DEFAULT_FILTERS, 'UTC');
+    expect(analytics.totalDeaths).toBe(200);
+    expect(indices).toHaveLength(200);
+  });
+
+  test('runs waiting and later requests on the main thread when the worker fails', async () => {
+    const deaths = generateDeathData(scenario);
+    const client = createDataClient();
+    const loaded = client.setDeaths(deaths);
+    const generated = client.generate(scenario);
+    const analyzed = client.analyze(DEFAULT_FILTERS, 'UTC');
+    worker.fail();
+
+    expect(worker.terminated).toBe(true);
+    await expect(loaded).resolves.toEqual({ count: 200 });
+    await expect(generated).resolves.toEqual(deaths);
+    expect((await analyzed).analytics.totalDeaths).toBe(200);
+
+    const sentBefore = worker.sent.length;
+    const stats = await client.getWealthStats(DEFAULT_FILTERS, 'UTC', {});
+    expect(stats.overall.count).toBe(200);
+    expect(worker.sent).toHaveLength(sentBefore);
+  });
+});
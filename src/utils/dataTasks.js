@@ -0,0 +1,54 @@
+import { calculateAnalytics } from './analytics';
+import { filterIndices } from './filters';
+import { findClusters } from './clustering';
+import { calculateWealthStats } from './wealthStats';
+import { generateDeathData } from './simulation';
+
+// The heavy data work shared by the Web Worker and the main-thread fallback.
+
+// The deaths at the given positions
+const pickDeaths = (deaths, indices) => {
+  const subset = new Array(indices.length);
+  for (let i = 0; i < indices.length; i++) subset[i] = deaths[indices[i]];
+  return subset;
+};
+
+// Filter the deaths and compute analytics for the matching subset, with time fields read in timeZone.
+// Returns the analytics plus the positions of the matching deaths in the input array.
+export const analyzeDeaths = (deaths, filters, timeZone) => {
+  const indices = filterIndices(deaths, filters, timeZone);
+  return { analytics: calculateAnalytics(pickDeaths(deaths, indices), { timeZone }), indices };
+};
+
+// Discover death clusters among the deaths matching the filters
+export const clusterDeaths = (deaths, filters, timeZone, options) => {
+  const subset = pickDeaths(deaths, filterIndices(deaths, filters, timeZone));
+  return findClusters(subset, options);
+};
+
+// Wealth-loss statistics of the deaths matching the filters
+export const wealthStatsOf = (deaths, filters, timeZone, options) => {
+  const subset = pickDeaths(deaths, filterIndices(deaths, filters, timeZone));
+  return { stats: calculateWealthStats(subset, { ...options, timeZone }) };
+};
+
+// Request handlers by request type, for the Web Worker and for the main thread when there is no
+// worker (or it fails). They keep the dataset between requests, so filter changes only send the
+// filters. Each takes the request message and an onProgress(done, total) callback.
+export const createTaskHandlers = () => {
+  let deaths = [];
+  return {
+    generate: ({ scenario }, onProgress) => ({ deaths: generateDeathData(scenario, onProgress) }),
+
+    setDeaths: (message) => {
+      deaths = message.deaths;
+      return { count: deaths.length };
+    },
+
+    analyze: ({ filters, timeZone }) => analyzeDeaths(deaths, filters, timeZone),
+
+    findClusters: ({ filters, timeZone, options }) => clusterDeaths(deaths, filters, timeZone, options),
+
+    wealthStats: ({ filters, timeZone, options }) => wealthStatsOf(deaths, filters, timeZone, options)
+  };
+};
@@ -0,0 +1,250 @@
+import { MAP_AREAS, getWildernessLevel, normalizeArea, findArea } from './coordinates';
+import { ATTACK_STYLES, COMBAT_TYPES, normalizeAttackStyle, normalizeCombatType } from './killers';
+
+// Import helpers for real death datasets (CSV or JSON files)
+// Every row is checked against the death record shape used by calculateAnalytics.
+// x and y are OSRS world tile coordinates (e.g. x 2944-3392, y 3520-3968 for the Wilderness).
+
+// Fields every imported death must provide
+export const REQUIRED_FIELDS = ['x', 'y', 'timestamp', 'combatLevel', 'wealthLost'];
+
+// Fields that may be left out. A missing hotspot is filled in from the region the death falls in
+// (left unnamed outside every region).
+// A missing area (surface or one of the caves) is worked out from the coordinates.
+// The killer fields describe the attacker and are null when not given.
+export const OPTIONAL_FIELDS = [
+  'hotspot', 'playerLevel', 'area',
+  'killerName', 'killerCombatLevel', 'killerClan', 'killerWeapon', 'attackStyle', 'combatType'
+];
+
+// Split CSV text into rows of string cells (supports quoted cells, escaped quotes and CRLF).
+// Returns { rows, lines }, where lines[i] is the 1-based line rows[i] starts on: quoted cells
+// can span line breaks, so rows and lines don't always match up.
+export const parseCSV = (text) => {
+  const rows = [];
+  const lines = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        // A CRLF inside a cell counts once, on its \n
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat CRLF as a single line break
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      lines.push(rowLine);
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  // Last line may not end with a newline
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+    lines.push(rowLine);
+  }
+
+  return { rows, lines };
+};
+
+// Accept ISO date strings, epoch milliseconds (number or numeric string) and Date objects.
+// Only digit strings of 10 or more characters are epoch values, so "2024" stays a year.
+const parseTimestamp = (value) => {
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') return new Date(value);
+  const text = String(value).trim();
+  if (/^\d{10,}$/.test(text)) return new Date(Number(text));
+  return new Date(text);
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const optionalText = (value) => (isBlank(value) ? null : String(value).trim());
+
+// Check one raw row and turn it into a death record.
+// Returns { death } when the row is valid, or { errors } listing every problem found.
+export const validateDeathRow = (raw) => {
+  const errors = [];
+
+  REQUIRED_FIELDS.forEach(field => {
+    if (isBlank(raw[field])) errors.push(`missing "${field}"`);
+  });
+  if (errors.length > 0) return { errors };
+
+  const x = Number(raw.x);
+  const y = Number(raw.y);
+  if (!Number.isFinite(x)) errors.push(`"x" is not a number (${raw.x})`);
+  if (!Number.isFinite(y)) errors.push(`"y" is not a number (${raw.y})`);
+
+  const timestamp = parseTimestamp(raw.timestamp);
+  if (isNaN(timestamp.getTime())) errors.push(`"timestamp" is not a valid date (${raw.timestamp})`);
+
+  const combatLevel = Number(raw.combatLevel);
+  if (!Number.isInteger(combatLevel) || combatLevel < 1 || combatLevel > 126) {
+    errors.push(`"combatLevel" must be a whole number from 1 to 126 (${raw.combatLevel})`);
+  }
+
+  const wealthLost = Number(raw.wealthLost);
+  if (!Number.isFinite(wealthLost) || wealthLost < 0) {
+    errors.push(`"wealthLost" must be a number of 0 or more (${raw.wealthLost})`);
+  }
+
+  // playerLevel is optional, fall back to the combat level so averages still work
+  let playerLevel = combatLevel;
+  if (!isBlank(raw.playerLevel)) {
+    playerLevel = Number(raw.playerLevel);
+    if (!Number.isInteger(playerLevel) || playerLevel < 1) {
+      errors.push(`"playerLevel" must be a whole number of 1 or more (${raw.playerLevel})`);
+    }
+  }
+
+  const area = isBlank(raw.area) ? findArea(x, y) : normalizeArea(raw.area);
+  if (!area) {
+    errors.push(`"area" must be one of ${MAP_AREAS.map(mapArea => mapArea.id).join(', ')} (${raw.area})`);
+  }
+
+  let killerCombatLevel = null;
+  if (!isBlank(raw.killerCombatLevel)) {
+    killerCombatLevel = Number(raw.killerCombatLevel);
+    if (!Number.isInteger(killerCombatLevel) || killerCombatLevel < 3 || killerCombatLevel > 126) {
+      errors.push(`"killerCombatLevel" must be a whole number from 3 to 126 (${raw.killerCombatLevel})`);
+    }
+  }
+
+  const attackStyle = isBlank(raw.attackStyle) ? null : normalizeAttackStyle(raw.attackStyle);
+  if (!isBlank(raw.attackStyle) && !attackStyle) {
+    errors.push(`"attackStyle" must be one of ${ATTACK_STYLES.map(style => style.id).join(', ')} (${raw.attackStyle})`);
+  }
+
+  const combatType = isBlank(raw.combatType) ? null : normalizeCombatType(raw.combatType);
+  if (!isBlank(raw.combatType) && !combatType) {
+    errors.push(`"combatType" must be one of ${COMBAT_TYPES.map(type => type.id).join(', ')} (${raw.combatType})`);
+  }
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    death: {
+      x,
+      y,
+      area,
+      wildernessLevel: getWildernessLevel(x, y),
+      timestamp,
+      playerLevel,
+      combatLevel,
+      wealthLost,
+      // Time fields are always derived from the timestamp (in UTC, like generated deaths) so charts agree with it
+      hourOfDay: timestamp.getUTCHours(),
+      dayOfWeek: timestamp.getUTCDay(),
+      hotspot: optionalText(raw.hotspot),
+      killerName: optionalText(raw.killerName),
+      killerCombatLevel,
+      killerClan: optionalText(raw.killerClan),
+      killerWeapon: optionalText(raw.killerWeapon),
+      attackStyle,
+      combatType
+    }
+  };
+};
+
+// Run every raw row through validateDeathRow and collect the results.
+// rowNumbers lets CSV imports report the real line number of each row.
+const validateRows = (rawRows, rowNumbers) => {
+  const deaths = [];
+  const errors = [];
+
+  rawRows.forEach((raw, index) => {
+    const row = rowNumbers[index];
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push({ row, message: 'row is not an object' });
+      return;
+    }
+    const result = validateDeathRow(raw);
+    if (result.death) {
+      deaths.push(result.death);
+    } else {
+      errors.push({ row, message: result.errors.join('; ') });
+    }
+  });
+
+  return { deaths, errors };
+};
+
+// Parse CSV text with a header row into death records
+export const importDeathsFromCSV = (text) => {
+  const { rows, lines } = parseCSV(text);
+  if (rows.length === 0) {
+    return { deaths: [], errors: [{ row: 1, message: 'file is empty' }] };
+  }
+
+  const header = rows[0].map(name => name.trim());
+  const missing = REQUIRED_FIELDS.filter(field => !header.includes(field));
+  if (missing.length > 0) {
+    return { deaths: [], errors: [{ row: 1, message: `header is missing columns: ${missing.join(', ')}` }] };
+  }
+
+  const rawRows = [];
+  const rowNumbers = [];
+  rows.forEach((cells, index) => {
+    // Skip the header and blank lines instead of reporting them
+    if (index === 0 || (cells.length === 1 && cells[0].trim() === '')) return;
+    const raw = {};
+    header.forEach((name, column) => {
+      raw[name] = cells[column];
+    });
+    rawRows.push(raw);
+    rowNumbers.push(lines[index]);
+  });
+
+  return validateRows(rawRows, rowNumbers);
+};
+
+// Parse JSON text into death records. Accepts an array or an object with a "deaths" array.
+export const importDeathsFromJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { deaths: [], errors: [{ row: 0, message: `invalid JSON: ${error.message}` }] };
+  }
+
+  const rawRows = Array.isArray(data) ? data : data && data.deaths;
+  if (!Array.isArray(rawRows)) {
+    return { deaths: [], errors: [{ row: 0, message: 'expected an array of deaths or an object with a "deaths" array' }] };
+  }
+
+  return validateRows(rawRows, rawRows.map((_, index) => index + 1));
+};
+
+// Read a File from a picker or drop event and import it based on its extension or type
+export const importDeathFile = async (file) => {
+  const text = await file.text();
+  const isJSON = file.name.toLowerCase().endsWith('.json') || file.type === 'application/json';
+  return isJSON ? importDeathsFromJSON(text) : importDeathsFromCSV(text);
+};
@@ -0,0 +1,86 @@
+import { parseCSV, validateDeathRow, importDeathsFromCSV, importDeathsFromJSON } from './deathImport';
+
+const row = (fields = {}) => ({ x: 3100, y: 3600, timestamp: '2024-03-02T23:30:00Z', combatLevel: 90, wealthLost: 250000, ...fields });
+
+describe('parseCSV', () => {
+  test('reads quoted cells, escaped quotes and CRLF line breaks', () => {
+    expect(parseCSV('name,note\r\n"Chaos, Temple","said ""hi"""\r\nEdge,\n').rows).toEqual([
+      ['name', 'note'],
+      ['Chaos, Temple', 'said "hi"'],
+      ['Edge', '']
+    ]);
+  });
+
+  test('keeps a last line without a newline', () => {
+    expect(parseCSV('a,b\n1,2').rows).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('records the line each row starts on, counting breaks inside quoted cells', () => {
+    const { rows, lines } = parseCSV('a,b\r\n"two\r\nlines",1\n"three\n\nlines",2\nlast,3');
+    expect(rows[1]).toEqual(['two\r\nlines', '1']);
+    expect(lines).toEqual([1, 2, 4, 7]);
+  });
+});
+
+describe('validateDeathRow', () => {
+  test('turns a valid row into a death with UTC time fields', () => {
+    const { death, errors } = validateDeathRow(row());
+    expect(errors).toBeUndefined();
+    expect(death.timestamp.toISOString()).toBe('2024-03-02T23:30:00.000Z');
+    expect(death.hourOfDay).toBe(23);
+    expect(death.dayOfWeek).toBe(6);
+    expect(death.playerLevel).toBe(90);
+    expect(death.area).toBe('surface');
+    expect(death.hotspot).toBeNull();
+  });
+
+  test('lists every problem with a row', () => {
+    const { errors } = validateDeathRow(row({ combatLevel: 200, wealthLost: -5, timestamp: 'yesterday' }));
+    expect(errors).toHaveLength(3);
+  });
+
+  test('reports missing required fields', () => {
+    expect(validateDeathRow({ x: 3100 }).errors).toEqual([
+      'missing "y"', 'missing "timestamp"', 'missing "combatLevel"', 'missing "wealthLost"'
+    ]);
+  });
+
+  test('reads long digit strings as epoch milliseconds and short ones as dates', () => {
+    expect(validateDeathRow(row({ timestamp: '1704067200000' })).death.timestamp.toISOString()).toBe('2024-01-01T00:00:00.000Z');
+    expect(validateDeathRow(row({ timestamp: '2024' })).death.timestamp.getUTCFullYear()).toBe(2024);
+    expect(validateDeathRow(row({ timestamp: '20240101' })).errors).toHaveLength(1);
+  });
+
+  test('works out the cave from underground coordinates', () => {
+    expect(validateDeathRow(row({ x: 3200, y: 10140 })).death.area).toBe('revenant-caves');
+  });
+});
+
+describe('importDeathsFromCSV', () => {
+  test('reports bad rows by their line number and keeps the good ones', () => {
+    const text = 'x,y,timestamp,combatLevel,wealthLost\n3100,3600,2024-01-01,90,1000\n\n3100,3600,2024-01-01,0,1000\n';
+    const { deaths, errors } = importDeathsFromCSV(text);
+    expect(deaths).toHaveLength(1);
+    expect(errors).toEqual([{ row: 4, message: expect.stringContaining('combatLevel') }]);
+  });
+
+  test('reports the line a row starts on after a multi-line cell', () => {
+    const text = 'x,y,timestamp,combatLevel,wealthLost,killerName\n3100,3600,2024-01-01,90,1000,"Line\nbreak"\n3100,3600,2024-01-01,0,1000,\n';
+    expect(importDeathsFromCSV(text).errors).toEqual([{ row: 4, message: expect.stringContaining('combatLevel') }]);
+  });
+
+  test('rejects a header without the required columns', () => {
+    expect(importDeathsFromCSV('x,y\n1,2').errors[0].message).toBe('header is missing columns: timestamp, combatLevel, wealthLost');
+  });
+});
+
+describe('importDeathsFromJSON', () => {
+  test('accepts an array or a { deaths } object', () => {
+    expect(importDeathsFromJSON(JSON.stringify([row()])).deaths).toHaveLength(1);
+    expect(importDeathsFromJSON(JSON.stringify({ deaths: [row(), row()] })).deaths).toHaveLength(2);
+  });
+
+  test('reports invalid JSON', () => {
+    expect(importDeathsFromJSON('{').errors[0].message).toMatch(/^invalid JSON/);
+  });
+});
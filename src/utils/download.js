@@ -0,0 +1,13 @@
+// Save text (or a Blob) as a file through a temporary link
+export const downloadFile = (fileName, content, mimeType = 'application/json') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before freeing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,161 @@
+import { DAY_NAMES, formatGp } from './filters';
+import { LOCAL_TIME_ZONE } from './timezones';
+
+// Export helpers: death records as CSV/JSON, the analytics summary as JSON,
+// and a self-contained HTML report for sharing outside the dashboard.
+
+// CSV columns, in order. The names match what the importer reads back in.
+const CSV_COLUMNS = [
+  'x', 'y', 'area', 'timestamp', 'playerLevel', 'combatLevel', 'wealthLost',
+  'hotspot', 'region', 'wildernessLevel', 'hourOfDay', 'dayOfWeek',
+  'killerName', 'killerCombatLevel', 'killerClan', 'killerWeapon', 'attackStyle', 'combatType'
+];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Quote a CSV cell when it contains a comma, quote or line break
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const deathsToCSV = (deaths) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  deaths.forEach(death => {
+    lines.push(CSV_COLUMNS.map(column => csvCell(death[column])).join(','));
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+// JSON export in the { deaths: [...] } shape the importer accepts, plus some context
+export const deathsToJSON = (deaths, metadata = {}) => JSON.stringify({
+  ...metadata,
+  exportedAt: new Date().toISOString(),
+  count: deaths.length,
+  deaths: deaths.map(death => {
+    const record = {};
+    CSV_COLUMNS.forEach(column => {
+      if (death[column] !== undefined) record[column] = death[column];
+    });
+    return record;
+  })
+}, null, 2);
+
+export const analyticsToJSON = (analytics, metadata = {}) => JSON.stringify({
+  ...metadata,
+  exportedAt: new Date().toISOString(),
+  analytics
+}, null, 2);
+
+// File-name friendly timestamp, e.g. 2024-05-01-1830
+export const fileTimestamp = (date = new Date()) =>
+  `${date.toISOString().slice(0, 10)}-${String(date.getHours()).padStart(2, '0')}${String(date.getMinutes()).padStart(2, '0')}`;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Vertical bar chart as plain HTML
+const columnChart = (labels, values) => {
+  const max = Math.max(...values, 1);
+  return `<div class="columns">${values.map((value, index) => `
+    <div class="column" title="${escapeHtml(labels[index])}: ${value.toLocaleString()}">
+      <div class="bar" style="height:${((value / max) * 100).toFixed(1)}%"></div>
+      <span>${escapeHtml(labels[index])}</span>
+    </div>`).join('')}</div>`;
+};
+
+// Horizontal bar list as plain HTML, with counts and shares
+const rowChart = (entries, total) => {
+  const max = Math.max(...entries.map(([, value]) => value), 1);
+  return `<div class="rows">${entries.map(([label, value]) => `
+    <div class="row">
+      <span class="label">${escapeHtml(label)}</span>
+      <div class="track"><div class="fill" style="width:${((value / max) * 100).toFixed(1)}%"></div></div>
+      <span class="value">${value.toLocaleString()} (${total ? ((value / total) * 100).toFixed(1) : '0.0'}%)</span>
+    </div>`).join('')}</div>`;
+};
+
+// Self-contained HTML report: stat cards, charts, map image and generated insights.
+// mapImage is a PNG data URL (or null when the map couldn't be captured).
+export const buildHtmlReport = ({ datasetName, analytics, insights, mapImage, activeFilters }) => {
+  const total = analytics.totalDeaths || 0;
+  const cards = [
+    ['Total Deaths', total.toLocaleString()],
+    ['Total Wealth Lost', `${formatGp(analytics.totalWealthLost || 0)} gp`],
+    ['Avg Player Level', Math.round(analytics.avgPlayerLevel || 0)],
+    ['Avg Wealth Lost', `${formatGp(analytics.avgWealthLost || 0)} gp`]
+  ];
+  const hours = Array.from({ length: 24 }, (_, hour) => `${hour}`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>OSRS Wilderness Death Report</title>
+<style>
+  body { font-family: Inter, Arial, sans-serif; background: #111827; color: #e5e7eb; margin: 0; padding: 32px; }
+  h1 { color: #facc15; margin: 0 0 4px; }
+  h2 { color: #93c5fd; font-size: 20px; margin: 0 0 12px; }
+  .meta { color: #9ca3af; font-size: 14px; margin-bottom: 24px; }
+  .cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 16px; margin-bottom: 24px; }
+  .card, .panel { background: #1f2937; border: 1px solid #374151; border-radius: 12px; padding: 16px; }
+  .card p { margin: 0; color: #9ca3af; font-size: 14px; }
+  .card strong { font-size: 28px; color: #f87171; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 16px; margin-bottom: 16px; }
+  .columns { display: flex; align-items: flex-end; height: 160px; gap: 3px; }
+  .column { flex: 1; height: 100%; display: flex; flex-direction: column; justify-content: flex-end; align-items: center; }
+  .column .bar { width: 100%; background: linear-gradient(to top, #3b82f6, #1d4ed8); border-radius: 3px 3px 0 0; }
+  .column span { font-size: 10px; color: #9ca3af; margin-top: 4px; }
+  .row { display: flex; align-items: center; gap: 8px; margin-bottom: 8px; font-size: 14px; }
+  .row .label { width: 220px; }
+  .row .track { flex: 1; background: #374151; border-radius: 999px; height: 8px; }
+  .row .fill { background: #4ade80; height: 8px; border-radius: 999px; }
+  .row .value { width: 140px; text-align: right; color: #4ade80; }
+  .map { width: 100%; border-radius: 12px; border: 1px solid #4b5563; }
+  ul { padding-left: 20px; line-height: 1.6; }
+</style>
+</head>
+<body>
+<h1>OSRS Wilderness Death Report</h1>
+<div class="meta">
+  Dataset: ${escapeHtml(datasetName)} · Generated ${escapeHtml(new Date().toLocaleString())}
+  · Times in ${escapeHtml(!analytics.timeZone || analytics.timeZone === LOCAL_TIME_ZONE ? 'local time' : analytics.timeZone)}<br>
+  Filters: ${activeFilters.length > 0 ? activeFilters.map(filter => escapeHtml(filter.label)).join('; ') : 'none'}
+</div>
+
+<div class="cards">
+  ${cards.map(([label, value]) => `<div class="card"><p>${escapeHtml(label)}</p><strong>${escapeHtml(value)}</strong></div>`).join('\n  ')}
+</div>
+
+<div class="grid">
+  <div class="panel">
+    <h2>Death Locations</h2>
+    ${mapImage ? `<img class="map" src="${mapImage}" alt="Wilderness death map">` : '<p>Map image unavailable.</p>'}
+  </div>
+  <div class="panel">
+    <h2>Key Findings</h2>
+    <ul>${insights.map(insight => `<li><strong>${escapeHtml(insight.title)}:</strong> ${escapeHtml(insight.text)}</li>`).join('')}</ul>
+    <h2>Top Death Hotspots</h2>
+    ${rowChart(analytics.topHotspots || [], total)}
+  </div>
+</div>
+
+<div class="grid">
+  <div class="panel"><h2>Deaths by Hour of Day</h2>${columnChart(hours, analytics.hourDistribution || [])}</div>
+  <div class="panel"><h2>Deaths by Day of Week</h2>${columnChart(DAY_NAMES, analytics.dayDistribution || [])}</div>
+  <div class="panel"><h2>Deaths by Month</h2>${columnChart(MONTH_NAMES, analytics.monthDistribution || [])}</div>
+  <div class="panel"><h2>Wealth Lost Distribution</h2>${rowChart(Object.entries(analytics.wealthRanges || {}), total)}</div>
+  <div class="panel"><h2>Deaths by Wilderness Level</h2>${rowChart(Object.entries(analytics.levelBrackets || {}), total)}</div>
+  ${analytics.deathsWithKiller > 0 ? `<div class="panel"><h2>Top Killers</h2>${rowChart(
+    analytics.topKillersByKills.map(killer => [killer.clan ? `${killer.name} (${killer.clan})` : killer.name, killer.kills]), total
+  )}</div>` : ''}
+</div>
+</body>
+</html>
+`;
+};
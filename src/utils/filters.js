@@ -0,0 +1,135 @@
+import { getLevelBracket } from './coordinates';
+import { LOCAL_TIME_ZONE, createTimePartsReader, zonedDateToTime } from './timezones';
+
+// Dashboard filters. Text inputs are kept as strings so the form stays editable;
+// empty strings and empty lists mean "no filter".
+export const DEFAULT_FILTERS = {
+  dateFrom: '',
+  dateTo: '',
+  combatMin: '',
+  combatMax: '',
+  wealthMin: '',
+  wealthMax: '',
+  hotspots: [],
+  regions: [],
+  levelBrackets: [],
+  hours: [],
+  days: [],
+  killers: []
+};
+
+export const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const GP_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+// Parse a GP amount such as "250000", "250k", "1.5m" or "2b". Returns null when blank or invalid.
+export const parseGp = (text) => {
+  const match = String(text).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([kmb])?$/);
+  if (!match) return null;
+  return Number(match[1]) * (match[2] ? GP_SUFFIXES[match[2]] : 1);
+};
+
+// Short GP label, e.g. 1500000 -> "1.5M"
+export const formatGp = (value) => {
+  if (value >= 1e9) return `${+(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `${+(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `${+(value / 1e3).toFixed(1)}K`;
+  return `${Math.round(value)}`;
+};
+
+const parseNumber = (text) => (String(text).trim() === '' ? null : Number(text));
+
+// Date inputs give "YYYY-MM-DD"; compare against midnight / end of day in the selected time zone
+const startOfDay = (text, timeZone) => (text ? zonedDateToTime(text, timeZone, '00:00:00') : null);
+const endOfDay = (text, timeZone) => (text ? zonedDateToTime(text, timeZone, '23:59:59.999') : null);
+
+// Build a test function for the active filters, so the filters are parsed only once.
+// Dates, hours and days are read in timeZone, matching the charts.
+export const createFilterPredicate = (filters, timeZone = LOCAL_TIME_ZONE) => {
+  const from = startOfDay(filters.dateFrom, timeZone);
+  const to = endOfDay(filters.dateTo, timeZone);
+  const combatMin = parseNumber(filters.combatMin);
+  const combatMax = parseNumber(filters.combatMax);
+  const wealthMin = parseGp(filters.wealthMin);
+  const wealthMax = parseGp(filters.wealthMax);
+  const hotspots = filters.hotspots.length > 0 ? new Set(filters.hotspots) : null;
+  const regions = filters.regions.length > 0 ? new Set(filters.regions) : null;
+  const brackets = filters.levelBrackets.length > 0 ? new Set(filters.levelBrackets) : null;
+  const hours = filters.hours.length > 0 ? new Set(filters.hours) : null;
+  const days = filters.days.length > 0 ? new Set(filters.days) : null;
+  const killers = filters.killers.length > 0 ? new Set(filters.killers) : null;
+  const readTimeParts = hours || days ? createTimePartsReader(timeZone) : null;
+
+  return (death) => {
+    const time = death.timestamp.getTime();
+    if (from !== null && time < from) return false;
+    if (to !== null && time > to) return false;
+    if (combatMin !== null && death.combatLevel < combatMin) return false;
+    if (combatMax !== null && death.combatLevel > combatMax) return false;
+    if (wealthMin !== null && death.wealthLost < wealthMin) return false;
+    if (wealthMax !== null && death.wealthLost > wealthMax) return false;
+    if (hotspots && !hotspots.has(death.hotspot)) return false;
+    if (regions && !regions.has(death.region)) return false;
+    if (brackets && !brackets.has(getLevelBracket(death.wildernessLevel))) return false;
+    if (killers && !killers.has(death.killerName)) return false;
+    if (readTimeParts) {
+      const parts = readTimeParts(time);
+      if (hours && !hours.has(parts.hour)) return false;
+      if (days && !days.has(parts.day)) return false;
+    }
+    return true;
+  };
+};
+
+// Positions of the matching deaths, as a typed array that can be sent between threads cheaply
+export const filterIndices = (deaths, filters, timeZone) => {
+  const matches = createFilterPredicate(filters, timeZone);
+  const indices = new Int32Array(deaths.length);
+  let count = 0;
+  for (let i = 0; i < deaths.length; i++) {
+    if (matches(deaths[i])) indices[count++] = i;
+  }
+  return indices.slice(0, count);
+};
+
+// Describe the active filters as { keys, label } chips. keys are the filter fields to reset.
+export const describeActiveFilters = (filters) => {
+  const active = [];
+
+  if (filters.dateFrom || filters.dateTo) {
+    active.push({ keys: ['dateFrom', 'dateTo'], label: `Date: ${filters.dateFrom || 'start'} to ${filters.dateTo || 'end'}` });
+  }
+  if (filters.combatMin !== '' || filters.combatMax !== '') {
+    active.push({ keys: ['combatMin', 'combatMax'], label: `Combat: ${filters.combatMin || 1}-${filters.combatMax || 126}` });
+  }
+  if (filters.wealthMin !== '' || filters.wealthMax !== '') {
+    const min = parseGp(filters.wealthMin);
+    const max = parseGp(filters.wealthMax);
+    active.push({
+      keys: ['wealthMin', 'wealthMax'],
+      label: `Wealth: ${min !== null ? formatGp(min) : '0'} to ${max !== null ? formatGp(max) : 'any'}`
+    });
+  }
+  if (filters.hotspots.length > 0) {
+    active.push({ keys: ['hotspots'], label: `Hotspots: ${filters.hotspots.join(', ')}` });
+  }
+  if (filters.regions.length > 0) {
+    active.push({ keys: ['regions'], label: `Regions: ${filters.regions.join(', ')}` });
+  }
+  if (filters.levelBrackets.length > 0) {
+    active.push({ keys: ['levelBrackets'], label: `Levels: ${filters.levelBrackets.join(', ')}` });
+  }
+  if (filters.hours.length > 0) {
+    const hours = [...filters.hours].sort((a, b) => a - b).map(hour => `${hour}:00`);
+    active.push({ keys: ['hours'], label: `Hours: ${hours.join(', ')}` });
+  }
+  if (filters.days.length > 0) {
+    const days = [...filters.days].sort((a, b) => a - b).map(day => DAY_NAMES[day]);
+    active.push({ keys: ['days'], label: `Days: ${days.join(', ')}` });
+  }
+  if (filters.killers.length > 0) {
+    active.push({ keys: ['killers'], label: `Killers: ${filters.killers.join(', ')}` });
+  }
+
+  return active;
+};
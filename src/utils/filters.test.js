@@ -0,0 +1,69 @@
+import { DEFAULT_FILTERS, parseGp, formatGp, createFilterPredicate, filterIndices, describeActiveFilters } from './filters';
+
+const death = (fields = {}) => ({
+  timestamp: new Date('2024-03-02T23:30:00Z'), // A Saturday
+  combatLevel: 90,
+  wealthLost: 500000,
+  hotspot: 'Edgeville',
+  region: 'Ditch',
+  wildernessLevel: 5,
+  killerName: 'Tick Reaper',
+  ...fields
+});
+
+const matches = (changes, fields, timeZone = 'UTC') => createFilterPredicate({ ...DEFAULT_FILTERS, ...changes }, timeZone)(death(fields));
+
+describe('parseGp and formatGp', () => {
+  test('read and write short GP amounts', () => {
+    expect(parseGp('250k')).toBe(250000);
+    expect(parseGp(' 1.5M ')).toBe(1500000);
+    expect(parseGp('2b')).toBe(2000000000);
+    expect(parseGp('lots')).toBeNull();
+    expect(formatGp(1500000)).toBe('1.5M');
+    expect(formatGp(999)).toBe('999');
+  });
+});
+
+describe('createFilterPredicate', () => {
+  test('matches everything with the default filters', () => {
+    expect(matches({}, {})).toBe(true);
+  });
+
+  test('checks combat level and wealth ranges inclusively', () => {
+    expect(matches({ combatMin: '90', combatMax: '90' }, {})).toBe(true);
+    expect(matches({ combatMin: '91' }, {})).toBe(false);
+    expect(matches({ wealthMin: '500k' }, {})).toBe(true);
+    expect(matches({ wealthMax: '499k' }, {})).toBe(false);
+  });
+
+  test('checks hotspots, regions, level brackets and killers', () => {
+    expect(matches({ hotspots: ['Edgeville', 'Chaos Temple'] }, {})).toBe(true);
+    expect(matches({ regions: ['Elsewhere'] }, {})).toBe(false);
+    expect(matches({ levelBrackets: ['Lvl 1-10'] }, {})).toBe(true);
+    expect(matches({ levelBrackets: ['Lvl 31+'] }, {})).toBe(false);
+    expect(matches({ killers: ['Void Hunter'] }, {})).toBe(false);
+  });
+
+  test('reads dates, hours and days in the time zone', () => {
+    expect(matches({ dateFrom: '2024-03-02', dateTo: '2024-03-02' }, {})).toBe(true);
+    expect(matches({ hours: [23], days: [6] }, {})).toBe(true);
+    // Already Sunday morning in Tokyo
+    expect(matches({ dateFrom: '2024-03-03', hours: [8], days: [0] }, {}, 'Asia/Tokyo')).toBe(true);
+    expect(matches({ dateTo: '2024-03-02' }, {}, 'Asia/Tokyo')).toBe(false);
+  });
+});
+
+describe('filterIndices', () => {
+  test('lists the positions of the matching deaths', () => {
+    const deaths = [death({ combatLevel: 10 }), death(), death({ combatLevel: 120 })];
+    expect(Array.from(filterIndices(deaths, { ...DEFAULT_FILTERS, combatMin: '50' }, 'UTC'))).toEqual([1, 2]);
+  });
+});
+
+describe('describeActiveFilters', () => {
+  test('describes each active filter once', () => {
+    expect(describeActiveFilters(DEFAULT_FILTERS)).toEqual([]);
+    const active = describeActiveFilters({ ...DEFAULT_FILTERS, wealthMin: '1m', hotspots: ['Edgeville'] });
+    expect(active.map(filter => filter.label)).toEqual(['Wealth: 1M to any', 'Hotspots: Edgeville']);
+  });
+});
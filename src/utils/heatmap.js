@@ -0,0 +1,258 @@
+// Density rendering for the death map: kernel-density heatmap, raw points and hex bins.
+// All functions work on points that are already projected to canvas pixels ({ x, y }).
+
+// Map display modes shown in the mode toggle
+export const MAP_MODES = [
+  { id: 'heatmap', name: 'Heatmap' },
+  { id: 'points', name: 'Raw Points' },
+  { id: 'hexbin', name: 'Hex Bins' }
+];
+
+// Color ramps as evenly spaced RGB stops, from low to high density
+export const COLOR_RAMPS = {
+  classic: {
+    name: 'Classic',
+    stops: [[0, 0, 255], [0, 255, 255], [0, 255, 0], [255, 255, 0], [255, 0, 0]]
+  },
+  inferno: {
+    name: 'Inferno',
+    stops: [[0, 0, 4], [87, 16, 110], [188, 55, 84], [249, 142, 9], [252, 255, 164]]
+  },
+  viridis: {
+    name: 'Viridis',
+    stops: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]]
+  },
+  blood: {
+    name: 'Blood',
+    stops: [[60, 0, 0], [180, 0, 0], [255, 80, 0], [255, 230, 150]]
+  }
+};
+
+// Diverging ramp for difference maps, from "fell" (blue) through neutral to "rose" (red)
+export const DIVERGING_RAMP = {
+  name: 'Fell / Rose',
+  stops: [[33, 102, 172], [103, 169, 207], [247, 247, 247], [239, 138, 98], [178, 24, 43]]
+};
+
+// Default settings for the heatmap controls (radius is in world tiles)
+export const DEFAULT_HEATMAP_OPTIONS = {
+  mode: 'heatmap',
+  radius: 10,
+  ramp: 'inferno'
+};
+
+// Size of one density grid cell in canvas pixels. Smaller is sharper but slower.
+const GRID_CELL_SIZE = 2;
+
+// Linear interpolation between evenly spaced RGB stops at t (0-1), returns [r, g, b]
+const interpolateStops = (stops, t) => {
+  const clamped = Math.max(0, Math.min(1, t));
+  const position = clamped * (stops.length - 1);
+  const index = Math.min(stops.length - 2, Math.floor(position));
+  const fraction = position - index;
+  const from = stops[index];
+  const to = stops[index + 1];
+  return [
+    Math.round(from[0] + (to[0] - from[0]) * fraction),
+    Math.round(from[1] + (to[1] - from[1]) * fraction),
+    Math.round(from[2] + (to[2] - from[2]) * fraction)
+  ];
+};
+
+// A color ramp at t (0-1), returns [r, g, b]
+export const sampleRamp = (rampId, t) => interpolateStops((COLOR_RAMPS[rampId] || COLOR_RAMPS[DEFAULT_HEATMAP_OPTIONS.ramp]).stops, t);
+
+// Diverging ramp at t (-1 fell the most, 0 unchanged, 1 rose the most), returns [r, g, b]
+export const sampleDiverging = (t) => interpolateStops(DIVERGING_RAMP.stops, (t + 1) / 2);
+
+// CSS gradient for the legend bar ('diverging' gives the difference map ramp)
+export const rampToCssGradient = (rampId) => {
+  const stops = rampId === 'diverging'
+    ? DIVERGING_RAMP.stops
+    : (COLOR_RAMPS[rampId] || COLOR_RAMPS[DEFAULT_HEATMAP_OPTIONS.ramp]).stops;
+  return `linear-gradient(to right, ${stops.map(([r, g, b]) => `rgb(${r}, ${g}, ${b})`).join(', ')})`;
+};
+
+// Gaussian kernel density of the points on a grid covering the canvas.
+// radius is the kernel cut-off in pixels; sigma is half of it.
+export const buildDensityGrid = (points, width, height, radius, cellSize = GRID_CELL_SIZE) => {
+  const gridWidth = Math.max(1, Math.ceil(width / cellSize));
+  const gridHeight = Math.max(1, Math.ceil(height / cellSize));
+  const grid = new Float32Array(gridWidth * gridHeight);
+
+  // Count points per cell first, then blur the counts. The cost depends on the grid size
+  // and radius rather than the number of points, which keeps large datasets fast.
+  points.forEach(point => {
+    const gx = Math.floor(point.x / cellSize);
+    const gy = Math.floor(point.y / cellSize);
+    if (gx >= 0 && gx < gridWidth && gy >= 0 && gy < gridHeight) grid[gy * gridWidth + gx]++;
+  });
+
+  // A Gaussian blur is separable: blur the rows, then the columns, with a 1-D kernel
+  const kernelRadius = Math.max(1, Math.round(radius / cellSize));
+  const sigma = kernelRadius / 2;
+  const kernel = new Float32Array(kernelRadius * 2 + 1);
+  for (let k = -kernelRadius; k <= kernelRadius; k++) {
+    kernel[k + kernelRadius] = Math.exp(-(k * k) / (2 * sigma * sigma));
+  }
+
+  const rows = new Float32Array(grid.length);
+  for (let gy = 0; gy < gridHeight; gy++) {
+    const rowStart = gy * gridWidth;
+    for (let gx = 0; gx < gridWidth; gx++) {
+      const count = grid[rowStart + gx];
+      if (count === 0) continue;
+      const from = Math.max(0, gx - kernelRadius);
+      const to = Math.min(gridWidth - 1, gx + kernelRadius);
+      for (let x = from; x <= to; x++) rows[rowStart + x] += count * kernel[x - gx + kernelRadius];
+    }
+  }
+
+  grid.fill(0);
+  for (let gy = 0; gy < gridHeight; gy++) {
+    const from = Math.max(0, gy - kernelRadius);
+    const to = Math.min(gridHeight - 1, gy + kernelRadius);
+    for (let gx = 0; gx < gridWidth; gx++) {
+      const value = rows[gy * gridWidth + gx];
+      if (value === 0) continue;
+      for (let y = from; y <= to; y++) grid[y * gridWidth + gx] += value * kernel[y - gy + kernelRadius];
+    }
+  }
+
+  let max = 0;
+  for (let i = 0; i < grid.length; i++) {
+    if (grid[i] > max) max = grid[i];
+  }
+
+  return { grid, gridWidth, gridHeight, cellSize, max };
+};
+
+// Draw a kernel-density heatmap. Returns the peak density for the legend.
+export const drawHeatmap = (ctx, points, width, height, { radius, ramp }) => {
+  const { grid, gridWidth, gridHeight, max } = buildDensityGrid(points, width, height, radius);
+  if (max === 0) return { max: 0 };
+
+  // Paint the grid into a small offscreen canvas, then scale it up with smoothing
+  const gridCanvas = document.createElement('canvas');
+  gridCanvas.width = gridWidth;
+  gridCanvas.height = gridHeight;
+  const gridCtx = gridCanvas.getContext('2d');
+  const image = gridCtx.createImageData(gridWidth, gridHeight);
+
+  for (let i = 0; i < grid.length; i++) {
+    const t = grid[i] / max;
+    if (t < 0.01) continue; // Leave near-empty cells transparent so the map shows through
+    const [r, g, b] = sampleRamp(ramp, t);
+    image.data[i * 4] = r;
+    image.data[i * 4 + 1] = g;
+    image.data[i * 4 + 2] = b;
+    image.data[i * 4 + 3] = Math.round(Math.min(1, 0.25 + t * 1.5) * 220);
+  }
+
+  gridCtx.putImageData(image, 0, 0);
+  ctx.save();
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(gridCanvas, 0, 0, width, height);
+  ctx.restore();
+
+  return { max };
+};
+
+// Draw where death density rose or fell between two periods. Each period's grid is
+// multiplied by its weight (e.g. 1 / days in the period) so periods of different length
+// compare fairly. Returns the largest change for the legend.
+export const drawDifferenceHeatmap = (ctx, before, after, width, height, { radius, beforeWeight = 1, afterWeight = 1 }) => {
+  const beforeGrid = buildDensityGrid(before, width, height, radius);
+  const { grid, gridWidth, gridHeight } = buildDensityGrid(after, width, height, radius);
+
+  let max = 0;
+  for (let i = 0; i < grid.length; i++) {
+    grid[i] = grid[i] * afterWeight - beforeGrid.grid[i] * beforeWeight;
+    if (Math.abs(grid[i]) > max) max = Math.abs(grid[i]);
+  }
+  if (max === 0) return { max: 0 };
+
+  const gridCanvas = document.createElement('canvas');
+  gridCanvas.width = gridWidth;
+  gridCanvas.height = gridHeight;
+  const gridCtx = gridCanvas.getContext('2d');
+  const image = gridCtx.createImageData(gridWidth, gridHeight);
+
+  for (let i = 0; i < grid.length; i++) {
+    const t = grid[i] / max;
+    if (Math.abs(t) < 0.02) continue; // Unchanged areas stay transparent
+    const [r, g, b] = sampleDiverging(t);
+    image.data[i * 4] = r;
+    image.data[i * 4 + 1] = g;
+    image.data[i * 4 + 2] = b;
+    image.data[i * 4 + 3] = Math.round(Math.min(1, 0.2 + Math.abs(t) * 1.5) * 220);
+  }
+
+  gridCtx.putImageData(image, 0, 0);
+  ctx.save();
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(gridCanvas, 0, 0, width, height);
+  ctx.restore();
+
+  return { max };
+};
+
+// Round fractional axial hex coordinates to the nearest hex
+const roundHex = (q, r) => {
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) rq = -rr - rs;
+  else if (dr > ds) rr = -rq - rs;
+  return [rq, rr];
+};
+
+// Count points per pointy-top hexagon of the given size (center to corner, in pixels)
+export const buildHexBins = (points, size) => {
+  const bins = new Map();
+  points.forEach(point => {
+    const q = (Math.sqrt(3) / 3 * point.x - point.y / 3) / size;
+    const r = (2 / 3 * point.y) / size;
+    const [hq, hr] = roundHex(q, r);
+    const key = `${hq},${hr}`;
+    const bin = bins.get(key);
+    if (bin) bin.count++;
+    else bins.set(key, { q: hq, r: hr, count: 1 });
+  });
+
+  let max = 0;
+  bins.forEach(bin => {
+    if (bin.count > max) max = bin.count;
+  });
+  return { bins: Array.from(bins.values()), max };
+};
+
+// Draw hex bins colored by death count. Returns the largest bin count for the legend.
+export const drawHexbin = (ctx, points, { radius, ramp }) => {
+  const size = Math.max(3, radius);
+  const { bins, max } = buildHexBins(points, size);
+
+  bins.forEach(bin => {
+    const centerX = size * Math.sqrt(3) * (bin.q + bin.r / 2);
+    const centerY = size * 1.5 * bin.r;
+    const [r, g, b] = sampleRamp(ramp, bin.count / max);
+
+    ctx.beginPath();
+    for (let corner = 0; corner < 6; corner++) {
+      const angle = Math.PI / 180 * (60 * corner - 30);
+      const px = centerX + size * Math.cos(angle);
+      const py = centerY + size * Math.sin(angle);
+      if (corner === 0) ctx.moveTo(px, py);
+      else ctx.lineTo(px, py);
+    }
+    ctx.closePath();
+    ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.75)`;
+    ctx.fill();
+  });
+
+  return { max };
+};
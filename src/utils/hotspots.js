@@ -0,0 +1,15 @@
+import HOTSPOT_LIST from './hotspots.json';
+
+// Define some speculative "hotspot" regions on the map (OSRS world tile coordinates, radius in tiles)
+// These are rough estimates for demonstration purposes:
+// - Edgeville Wilderness (low level PvP, common entry)
+// - Chaos Altar / Temple (prayer training, pkers)
+// - Revenant Caves (high risk, high reward)
+// - Wilderness Slayer Cave / Lava Dragons (PvM + PvP)
+// - Deep Wilderness (multi-combat, bosses)
+// - Underground: area is the map layer they are drawn on (surface when left out)
+// The list lives in hotspots.json so the mock live feed (scripts/mock-live-server.js) can read it too.
+export const HOTSPOTS = HOTSPOT_LIST;
+
+// Hotspot label for deaths that don't belong to any named hotspot
+export const UNNAMED_HOTSPOT_LABEL = 'Random Location';
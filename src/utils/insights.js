@@ -0,0 +1,120 @@
+import { UNNAMED_HOTSPOT_LABEL } from './hotspots';
+import { DAY_NAMES } from './filters';
+
+// Insights engine: turns the calculateAnalytics output into "Key Findings" text.
+// Every finding quotes the number it is based on, so it can't drift from the charts.
+
+// Length of the busiest time window, in hours
+const PEAK_WINDOW_HOURS = 4;
+// How many hotspots count towards the concentration finding
+const TOP_HOTSPOT_COUNT = 5;
+
+const WEEKEND_DAYS = [0, 6]; // Sunday and Saturday
+
+const formatPercent = (share) => `${(share * 100).toFixed(1)}%`;
+const formatHour = (hour) => `${String(hour % 24).padStart(2, '0')}:00`;
+
+// Busiest run of consecutive hours. Wraps past midnight, so 22:00-02:00 is a valid window.
+export const findPeakHourWindow = (hourDistribution, windowHours = PEAK_WINDOW_HOURS) => {
+  let best = { start: 0, count: -1 };
+  for (let start = 0; start < 24; start++) {
+    let count = 0;
+    for (let offset = 0; offset < windowHours; offset++) {
+      count += hourDistribution[(start + offset) % 24];
+    }
+    if (count > best.count) best = { start, count };
+  }
+  return { start: best.start, end: (best.start + windowHours) % 24, count: best.count };
+};
+
+const peakHoursFinding = (analytics) => {
+  const window = findPeakHourWindow(analytics.hourDistribution);
+  const share = window.count / analytics.totalDeaths;
+  const evenShare = PEAK_WINDOW_HOURS / 24;
+  return {
+    id: 'peak-hours',
+    title: 'Peak Hours',
+    figure: formatPercent(share),
+    text: `${formatPercent(share)} of deaths happen between ${formatHour(window.start)} and ${formatHour(window.end)}, ` +
+      `the busiest ${PEAK_WINDOW_HOURS}-hour window (an even spread would be ${formatPercent(evenShare)})`
+  };
+};
+
+const weekendFinding = (analytics) => {
+  const days = analytics.dayDistribution;
+  const weekendTotal = WEEKEND_DAYS.reduce((sum, day) => sum + days[day], 0);
+  const weekdayTotal = analytics.totalDeaths - weekendTotal;
+  const weekendAvg = weekendTotal / WEEKEND_DAYS.length;
+  const weekdayAvg = weekdayTotal / (7 - WEEKEND_DAYS.length);
+  const busiestDay = days.indexOf(Math.max(...days));
+
+  if (weekdayAvg === 0) {
+    return {
+      id: 'weekend',
+      title: 'Weekend Effect',
+      figure: formatPercent(1),
+      text: `All ${analytics.totalDeaths.toLocaleString()} deaths happen on weekends`
+    };
+  }
+
+  const ratio = weekendAvg / weekdayAvg;
+  const comparison = ratio >= 1.05 ? 'more' : ratio <= 0.95 ? 'fewer' : 'about the same number of';
+  return {
+    id: 'weekend',
+    title: 'Weekend Effect',
+    figure: `${ratio.toFixed(2)}×`,
+    text: `Weekend days see ${ratio.toFixed(2)}× the deaths of a weekday ` +
+      `(${Math.round(weekendAvg).toLocaleString()} vs ${Math.round(weekdayAvg).toLocaleString()} per day of the week), ` +
+      `so ${comparison} deaths on weekends; ${DAY_NAMES[busiestDay]} is the busiest day`
+  };
+};
+
+const wealthFinding = (analytics) => {
+  const [range, count] = Object.entries(analytics.wealthRanges).sort(([, a], [, b]) => b - a)[0];
+  const share = count / analytics.totalDeaths;
+  return {
+    id: 'wealth',
+    title: 'Wealth Distribution',
+    figure: formatPercent(share),
+    text: `The largest share of losses, ${formatPercent(share)}, is in the ${range} range`
+  };
+};
+
+const hotspotFinding = (analytics, topCount) => {
+  const named = Object.entries(analytics.hotspotCounts)
+    .filter(([name]) => name !== UNNAMED_HOTSPOT_LABEL)
+    .sort(([, a], [, b]) => b - a);
+
+  if (named.length === 0) {
+    return {
+      id: 'hotspots',
+      title: 'Hotspot Concentration',
+      figure: formatPercent(0),
+      text: 'None of these deaths are in a named hotspot'
+    };
+  }
+
+  const top = named.slice(0, topCount);
+  const share = top.reduce((sum, [, count]) => sum + count, 0) / analytics.totalDeaths;
+  const [leaderName, leaderCount] = top[0];
+  return {
+    id: 'hotspots',
+    title: 'Hotspot Concentration',
+    figure: formatPercent(share),
+    text: top.length === 1
+      ? `${formatPercent(share)} of deaths occur at ${leaderName}, the only named hotspot in this data`
+      : `${formatPercent(share)} of deaths occur within the top ${top.length} hotspots, ` +
+        `led by ${leaderName} (${leaderCount.toLocaleString()} deaths)`
+  };
+};
+
+// Build the list of findings for an analytics object. Returns [] when there is no data.
+export const generateInsights = (analytics, { topHotspotCount = TOP_HOTSPOT_COUNT } = {}) => {
+  if (!analytics.totalDeaths) return [];
+  return [
+    peakHoursFinding(analytics),
+    weekendFinding(analytics),
+    wealthFinding(analytics),
+    hotspotFinding(analytics, topHotspotCount)
+  ];
+};
@@ -0,0 +1,81 @@
+import { findPeakHourWindow, generateInsights } from './insights';
+import { UNNAMED_HOTSPOT_LABEL } from './hotspots';
+
+const hours = (counts) => Array.from({ length: 24 }, (_, hour) => counts[hour] || 0);
+
+// Hand-made analytics for 100 deaths, with fields overridden per test
+const analyticsOf = (fields = {}) => ({
+  totalDeaths: 100,
+  hourDistribution: hours({ 0: 25, 6: 25, 12: 25, 18: 25 }),
+  dayDistribution: [20, 10, 10, 10, 10, 10, 30],
+  wealthRanges: { '0-10K': 10, '10K-100K': 20, '100K-1M': 40, '1M-10M': 20, '10M+': 10 },
+  hotspotCounts: { Edgeville: 30, 'Chaos Temple': 20, [UNNAMED_HOTSPOT_LABEL]: 50 },
+  ...fields
+});
+
+const finding = (id, analytics, options) => generateInsights(analytics, options).find(item => item.id === id);
+
+describe('findPeakHourWindow', () => {
+  test('finds the busiest four hours, wrapping past midnight', () => {
+    expect(findPeakHourWindow(hours({ 10: 5, 11: 5, 12: 5, 13: 5, 20: 6 }))).toEqual({ start: 10, end: 14, count: 20 });
+    expect(findPeakHourWindow(hours({ 22: 5, 23: 5, 0: 5, 1: 5, 12: 9 }))).toEqual({ start: 22, end: 2, count: 20 });
+  });
+
+  test('picks the earliest window on a tie', () => {
+    expect(findPeakHourWindow(hours({ 3: 4, 15: 4 }))).toEqual({ start: 0, end: 4, count: 4 });
+    expect(findPeakHourWindow(Array(24).fill(1), 2)).toEqual({ start: 0, end: 2, count: 2 });
+  });
+});
+
+describe('generateInsights', () => {
+  test('has no findings without deaths', () => {
+    expect(generateInsights({})).toEqual([]);
+    expect(generateInsights({ totalDeaths: 0 })).toEqual([]);
+  });
+
+  test('quotes the peak window share against an even spread', () => {
+    const peak = finding('peak-hours', analyticsOf({ hourDistribution: hours({ 19: 20, 20: 30, 21: 10, 5: 40 }) }));
+    expect(peak.figure).toBe('60.0%');
+    expect(peak.text).toMatch(/^60\.0% of deaths happen between 18:00 and 22:00/);
+    expect(peak.text).toContain('an even spread would be 16.7%');
+  });
+
+  test('compares a weekend day with a weekday', () => {
+    // 50 deaths over 2 weekend days against 50 over 5 weekdays
+    const weekend = finding('weekend', analyticsOf());
+    expect(weekend.figure).toBe('2.50×');
+    expect(weekend.text).toContain('(25 vs 10 per day of the week), so more deaths on weekends; Sat is the busiest day');
+
+    const even = finding('weekend', analyticsOf({ dayDistribution: Array(7).fill(10), totalDeaths: 70 }));
+    expect(even.figure).toBe('1.00×');
+    expect(even.text).toContain('about the same number of deaths');
+    // The first of equally busy days is named
+    expect(even.text).toContain('Sun is the busiest day');
+  });
+
+  test('handles deaths that all happen on weekends', () => {
+    const weekend = finding('weekend', analyticsOf({ dayDistribution: [40, 0, 0, 0, 0, 0, 60] }));
+    expect(weekend).toMatchObject({ figure: '100.0%', text: 'All 100 deaths happen on weekends' });
+  });
+
+  test('names the wealth range with the most deaths, the cheaper one on a tie', () => {
+    expect(finding('wealth', analyticsOf()).text).toBe('The largest share of losses, 40.0%, is in the 100K-1M range');
+    const tied = finding('wealth', analyticsOf({ wealthRanges: { '0-10K': 0, '10K-100K': 50, '100K-1M': 0, '1M-10M': 50, '10M+': 0 } }));
+    expect(tied.text).toContain('10K-100K');
+  });
+
+  test('counts only named hotspots towards the top hotspot share', () => {
+    const hotspots = finding('hotspots', analyticsOf());
+    expect(hotspots.figure).toBe('50.0%');
+    expect(hotspots.text).toBe('50.0% of deaths occur within the top 2 hotspots, led by Edgeville (30 deaths)');
+
+    const topOne = finding('hotspots', analyticsOf(), { topHotspotCount: 1 });
+    expect(topOne.figure).toBe('30.0%');
+
+    const onlyOne = finding('hotspots', analyticsOf({ hotspotCounts: { Edgeville: 40, [UNNAMED_HOTSPOT_LABEL]: 60 } }));
+    expect(onlyOne.text).toBe('40.0% of deaths occur at Edgeville, the only named hotspot in this data');
+
+    const unnamed = finding('hotspots', analyticsOf({ hotspotCounts: { [UNNAMED_HOTSPOT_LABEL]: 100 } }));
+    expect(unnamed).toMatchObject({ figure: '0.0%', text: 'None of these deaths are in a named hotspot' });
+  });
+});
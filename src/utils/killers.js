@@ -0,0 +1,138 @@
+import { DEFAULT_REGIONS, pointInPolygon } from './regions';
+import { createRandom, pickWeighted } from './random';
+
+// The attacker side of a death: who got the kill, in which clan, with what weapon,
+// and whether it happened in single or multi-combat. Every field is optional, so
+// datasets without attacker details still load and the killer panels stay empty.
+
+export const ATTACK_STYLES = [
+  { id: 'melee', name: 'Melee' },
+  { id: 'ranged', name: 'Ranged' },
+  { id: 'magic', name: 'Magic' }
+];
+
+export const COMBAT_TYPES = [
+  { id: 'single', name: 'Single-way' },
+  { id: 'multi', name: 'Multi-combat' }
+];
+
+// Clan label for killers who aren't in a clan
+export const NO_CLAN_LABEL = 'No clan';
+
+// Accepted spellings of each combat type in imported files
+const COMBAT_TYPE_ALIASES = {
+  single: 'single',
+  'single-way': 'single',
+  'single-combat': 'single',
+  multi: 'multi',
+  'multi-combat': 'multi',
+  'multi-way': 'multi'
+};
+
+// Attack style id for an imported value such as "Ranged", or null when unknown
+export const normalizeAttackStyle = (value) => {
+  const id = String(value).trim().toLowerCase();
+  return ATTACK_STYLES.some(style => style.id === id) ? id : null;
+};
+
+// Combat type id for an imported value such as "Multi-combat", or null when unknown
+export const normalizeCombatType = (value) => COMBAT_TYPE_ALIASES[String(value).trim().toLowerCase()] || null;
+
+export const getAttackStyleName = (id) => (ATTACK_STYLES.find(style => style.id === id) || { name: id }).name;
+export const getCombatTypeName = (id) => (COMBAT_TYPES.find(type => type.id === id) || { name: id }).name;
+
+// Simulated killers. The names are made up; clans favour a few hotspots each.
+
+const WEAPONS = {
+  melee: ['Dragon claws', 'Armadyl godsword', 'Voidwaker', 'Abyssal whip', 'Dragon dagger', 'Granite maul'],
+  ranged: ['Dark bow', 'Heavy ballista', 'Morrigan\'s javelin', 'Craw\'s bow', 'Armadyl crossbow', 'Toxic blowpipe'],
+  magic: ['Ancient staff', 'Volatile nightmare staff', 'Accursed sceptre', 'Kodai wand', 'Thammaron\'s sceptre']
+};
+
+const CLANS = ['Vengeance', 'Scape Goats', 'Ditch Patrol', 'Rev Hunters', 'Lava Lords', 'North Raiders'];
+
+const NAME_PARTS = [
+  ['Dark', 'Tick', 'Pure', 'Void', 'Zerk', 'Rune', 'Frost', 'Blood', 'Iron', 'Smite', 'Ghost', 'Veng', 'Chin', 'Barrage', 'Lil', 'Big'],
+  ['Reaper', 'Eater', 'Hunter', 'Slayer', 'Wolf', 'Pk', 'Lord', 'Blade', 'Spec', 'Fang', 'Stack', 'Claw', 'Skull', 'Rat']
+];
+
+const KILLER_COUNT = 90;
+// Share of killers who PK alone
+const SOLO_SHARE = 0.35;
+// Share of deaths with no player killer (NPCs, revenants, dying to the environment)
+const NO_KILLER_SHARE = 0.08;
+// How much more a killer hunts at their favourite hotspots
+const FAVOURITE_WEIGHT = 5;
+// Clans do most of their killing in multi-combat, solo PKers in single-way
+const CLAN_MULTI_WEIGHT = 4;
+const SOLO_MULTI_WEIGHT = 0.4;
+
+// Build the scenario's killers. They come from their own random stream so adding them
+// doesn't change the positions, times or wealth of the deaths.
+const createKillerPool = (seed, hotspotNames) => {
+  const random = createRandom(`${seed}:killers`);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const clanFavourites = {};
+  CLANS.forEach(clan => {
+    clanFavourites[clan] = [pick(hotspotNames), pick(hotspotNames)];
+  });
+
+  const usedNames = new Set();
+  const killers = [];
+  for (let i = 0; i < KILLER_COUNT; i++) {
+    let name = `${pick(NAME_PARTS[0])} ${pick(NAME_PARTS[1])}`;
+    if (usedNames.has(name) || random() < 0.4) name = `${name.replace(' ', random() < 0.5 ? '' : '_')}${Math.floor(random() * 99) + 1}`;
+    if (usedNames.has(name)) continue;
+    usedNames.add(name);
+
+    const clan = random() < SOLO_SHARE ? null : pick(CLANS);
+    const style = pick(ATTACK_STYLES).id;
+    killers.push({
+      name,
+      clan,
+      // Mostly maxed mains, with some pures and mid-level builds
+      combatLevel: random() < 0.6 ? 110 + Math.floor(random() * 17) : 50 + Math.floor(random() * 60),
+      style,
+      weapons: [pick(WEAPONS[style]), pick(WEAPONS[style])],
+      // A few very active killers and a long tail of occasional ones
+      activity: 1 / (i + 1) ** 0.8,
+      favourites: new Set(clan ? clanFavourites[clan] : [pick(hotspotNames)])
+    });
+  }
+  return killers;
+};
+
+// Returns assignKiller(random, death) -> attacker fields for a generated death.
+// Deaths in a multi-combat region of the default region set are multi-combat.
+export const createKillerAssigner = (seed, hotspotNames) => {
+  const killers = createKillerPool(seed, hotspotNames.length > 0 ? hotspotNames : ['']);
+  const multiZones = DEFAULT_REGIONS.filter(region => region.category === 'multi-combat');
+  // Killer weights per hotspot and combat type, worked out once per pair
+  const weightCache = new Map();
+  const weightsFor = (hotspot, combatType) => {
+    const key = `${hotspot}|${combatType}`;
+    if (!weightCache.has(key)) {
+      weightCache.set(key, killers.map(killer =>
+        killer.activity *
+        (killer.favourites.has(hotspot) ? FAVOURITE_WEIGHT : 1) *
+        (combatType === 'multi' ? (killer.clan ? CLAN_MULTI_WEIGHT : SOLO_MULTI_WEIGHT) : 1)));
+    }
+    return weightCache.get(key);
+  };
+
+  return (random, death) => {
+    const combatType = multiZones.some(zone => pointInPolygon(death.x, death.y, zone.polygon)) ? 'multi' : 'single';
+    if (random() < NO_KILLER_SHARE) {
+      return { killerName: null, killerCombatLevel: null, killerClan: null, killerWeapon: null, attackStyle: null, combatType };
+    }
+    const killer = killers[pickWeighted(random, weightsFor(death.hotspot, combatType))];
+    return {
+      killerName: killer.name,
+      killerCombatLevel: killer.combatLevel,
+      killerClan: killer.clan,
+      killerWeapon: killer.weapons[random() < 0.7 ? 0 : 1],
+      attackStyle: killer.style,
+      combatType
+    };
+  };
+};
@@ -0,0 +1,203 @@
+import { validateDeathRow } from './deathImport';
+import { labelRegion } from './regions';
+import { createAnalyticsAccumulator } from './analytics';
+import { LOCAL_TIME_ZONE } from './timezones';
+
+// Live mode: deaths streamed from a local client plugin (or scripts/mock-live-server.js)
+// over a WebSocket (ws:// or wss://) or Server-Sent Events (http:// or https://) endpoint.
+// Each message is JSON: one death, an array of deaths or { deaths: [...] }, with the same
+// fields as imported files.
+
+export const DEFAULT_LIVE = {
+  enabled: false,
+  url: 'ws://localhost:8787',
+  windowMinutes: 15 // Rolling window the dashboard shows
+};
+
+export const LIVE_WINDOW_OPTIONS = [5, 15, 30, 60];
+
+// Delay before reconnecting a dropped WebSocket, doubling after each failed attempt
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+export const isLiveUrl = (url) => /^(wss?|https?):\/\/\S+$/i.test(String(url).trim());
+
+// Validate one message. Returns { deaths, errors } like the file importers.
+export const parseLiveMessage = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { deaths: [], errors: [`invalid JSON: ${error.message}`] };
+  }
+
+  const rawRows = Array.isArray(data) ? data : data && Array.isArray(data.deaths) ? data.deaths : [data];
+  const deaths = [];
+  const errors = [];
+  rawRows.forEach(raw => {
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push('death is not an object');
+      return;
+    }
+    const result = validateDeathRow(raw);
+    if (result.death) deaths.push(result.death);
+    else errors.push(result.errors.join('; '));
+  });
+  return { deaths, errors };
+};
+
+// Connect to a live endpoint. onDeaths(deaths) gets each batch of valid deaths and
+// onStatus(status) follows the connection: 'connecting', 'open', 'reconnecting' or 'error'.
+// Returns a function that closes the connection.
+export const connectLiveFeed = (url, { onDeaths, onStatus }) => {
+  const handleMessage = (text) => {
+    const { deaths, errors } = parseLiveMessage(text);
+    if (errors.length > 0) console.warn('Skipped invalid live deaths:', errors);
+    if (deaths.length > 0) onDeaths(deaths);
+  };
+
+  try {
+    if (/^https?:/i.test(url)) {
+      // EventSource reconnects on its own after a dropped connection
+      const source = new EventSource(url);
+      onStatus('connecting');
+      source.onopen = () => onStatus('open');
+      source.onmessage = (event) => handleMessage(event.data);
+      source.onerror = () => onStatus(source.readyState === EventSource.CLOSED ? 'error' : 'reconnecting');
+      return () => source.close();
+    }
+
+    let closed = false;
+    let socket = null;
+    let retryTimer = null;
+    let retryDelay = RECONNECT_MIN_MS;
+    const open = () => {
+      socket = new WebSocket(url);
+      socket.onopen = () => {
+        retryDelay = RECONNECT_MIN_MS;
+        onStatus('open');
+      };
+      socket.onmessage = (event) => handleMessage(event.data);
+      socket.onclose = () => {
+        if (closed) return;
+        onStatus('reconnecting');
+        retryTimer = setTimeout(open, retryDelay);
+        retryDelay = Math.min(RECONNECT_MAX_MS, retryDelay * 2);
+      };
+    };
+    onStatus('connecting');
+    open();
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socket) socket.close();
+    };
+  } catch (error) {
+    // Malformed URLs throw straight away
+    console.error('Failed to connect to live feed', error);
+    onStatus('error');
+    return () => {};
+  }
+};
+
+// Rolling window of live deaths: only deaths from the last windowMs (by their timestamp) are kept.
+// Deaths matching the filter predicate are counted into analytics as they arrive and taken out
+// again as they expire, so each new death costs the same however long the feed has run.
+// regions are prepared regions, used to label deaths like assignRegions does.
+export const createLiveWindow = () => {
+  let windowMs = DEFAULT_LIVE.windowMinutes * 60000;
+  let timeZone = LOCAL_TIME_ZONE;
+  let matches = () => true;
+  let regions = [];
+  // { raw, death, matches } in arrival order. raw is the death as it arrived, so a change of
+  // regions relabels it from scratch instead of keeping a hotspot filled in from the old regions.
+  let entries = [];
+  let accumulator = createAnalyticsAccumulator({ timeZone });
+
+  const recount = () => {
+    accumulator = createAnalyticsAccumulator({ timeZone });
+    entries.forEach(entry => {
+      entry.matches = matches(entry.death);
+      if (entry.matches) accumulator.add(entry.death);
+    });
+  };
+
+  return {
+    // Change any of { windowMs, timeZone, matches, regions } and recount the window
+    configure: (changes) => {
+      if (changes.windowMs !== undefined) windowMs = changes.windowMs;
+      if (changes.timeZone !== undefined) timeZone = changes.timeZone;
+      if (changes.matches !== undefined) matches = changes.matches;
+      if (changes.regions !== undefined && changes.regions !== regions) {
+        regions = changes.regions;
+        entries = entries.map(entry => ({ ...entry, death: labelRegion(entry.raw, regions) }));
+      }
+      recount();
+    },
+
+    // Add new deaths, skipping any already older than the window.
+    // Returns the added deaths that match the filters.
+    add: (deaths, now = Date.now()) => {
+      const cutoff = now - windowMs;
+      const added = [];
+      deaths.forEach(raw => {
+        if (raw.timestamp.getTime() < cutoff) return;
+        const death = labelRegion(raw, regions);
+        const entry = { raw, death, matches: matches(death) };
+        entries.push(entry);
+        if (entry.matches) {
+          accumulator.add(death);
+          added.push(death);
+        }
+      });
+      return added;
+    },
+
+    // Drop deaths that have left the window. Returns true when any were dropped.
+    evict: (now = Date.now()) => {
+      const cutoff = now - windowMs;
+      if (!entries.some(entry => entry.death.timestamp.getTime() < cutoff)) return false;
+      entries = entries.filter(entry => {
+        if (entry.death.timestamp.getTime() >= cutoff) return true;
+        if (entry.matches) accumulator.remove(entry.death);
+        return false;
+      });
+      return true;
+    },
+
+    clear: () => {
+      entries = [];
+      recount();
+    },
+
+    // Every death in the window, matching or not
+    getTotal: () => entries.length,
+
+    // Matching deaths, oldest arrival first
+    getDeaths: () => entries.filter(entry => entry.matches).map(entry => entry.death),
+
+    // Latest matching arrivals, newest first
+    getRecent: (count) => {
+      const recent = [];
+      for (let i = entries.length - 1; i >= 0 && recent.length < count; i--) {
+        if (entries[i].matches) recent.push(entries[i].death);
+      }
+      return recent;
+    },
+
+    // Analytics of the matching deaths, with the time range of what is still in the window
+    getAnalytics: () => {
+      const analytics = accumulator.getAnalytics();
+      if (!analytics.totalDeaths) return analytics;
+      let start = Infinity;
+      let end = -Infinity;
+      entries.forEach(entry => {
+        if (!entry.matches) return;
+        const time = entry.death.timestamp.getTime();
+        if (time < start) start = time;
+        if (time > end) end = time;
+      });
+      return { ...analytics, timeRange: { start, end } };
+    }
+  };
+};
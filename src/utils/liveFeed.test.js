@@ -0,0 +1,94 @@
+import { createLiveWindow, parseLiveMessage, isLiveUrl } from './liveFeed';
+import { createFilterPredicate, DEFAULT_FILTERS } from './filters';
+import { calculateAnalytics } from './analytics';
+import { prepareRegions } from './regions';
+
+const NOW = Date.parse('2024-06-01T12:00:00Z');
+const MINUTE = 60000;
+
+// A validated death that happened minutesAgo before NOW
+const liveDeath = (minutesAgo, fields = {}) => parseLiveMessage(JSON.stringify({
+  x: 3100, y: 3600, combatLevel: 90, wealthLost: 1000, hotspot: 'Edgeville', timestamp: new Date(NOW - minutesAgo * MINUTE).toISOString(), ...fields
+})).deaths[0];
+
+const createWindow = (minutes = 15) => {
+  const window = createLiveWindow();
+  window.configure({ windowMs: minutes * MINUTE, timeZone: 'UTC' });
+  return window;
+};
+
+describe('createLiveWindow', () => {
+  test('skips deaths older than the window', () => {
+    const window = createWindow();
+    const added = window.add([liveDeath(20), liveDeath(5)], NOW);
+    expect(added).toHaveLength(1);
+    expect(window.getTotal()).toBe(1);
+  });
+
+  test('takes expired deaths back out of the analytics', () => {
+    const window = createWindow();
+    window.add([liveDeath(10, { wealthLost: 100 }), liveDeath(1, { wealthLost: 900 })], NOW);
+    expect(window.getAnalytics()).toMatchObject({ totalDeaths: 2, totalWealthLost: 1000 });
+
+    expect(window.evict(NOW + 8 * MINUTE)).toBe(true);
+    expect(window.getAnalytics()).toMatchObject({ totalDeaths: 1, totalWealthLost: 900 });
+    expect(window.evict(NOW + 8 * MINUTE)).toBe(false);
+  });
+
+  test('keeps analytics equal to a full recount of the window', () => {
+    const window = createWindow();
+    const deaths = [
+      liveDeath(14, { hotspot: 'A' }), liveDeath(9, { hotspot: 'B', wealthLost: 5e6 }), liveDeath(4, { hotspot: 'A' }), liveDeath(2, { hotspot: 'A' })
+    ];
+    window.add(deaths, NOW);
+    window.evict(NOW + 3 * MINUTE);
+    // Same as counting from scratch, except the time range covers what is still in the window
+    expect(window.getAnalytics()).toEqual({
+      ...calculateAnalytics(window.getDeaths(), { timeZone: 'UTC' }),
+      timeRange: { start: NOW - 9 * MINUTE, end: NOW - 2 * MINUTE }
+    });
+  });
+
+  test('recounts when the filters change', () => {
+    const window = createWindow();
+    window.add([liveDeath(3, { hotspot: 'A' }), liveDeath(2, { hotspot: 'B' }), liveDeath(1, { hotspot: 'A' })], NOW);
+    window.configure({ matches: createFilterPredicate({ ...DEFAULT_FILTERS, hotspots: ['A'] }, 'UTC') });
+    expect(window.getTotal()).toBe(3);
+    expect(window.getDeaths()).toHaveLength(2);
+    expect(window.getAnalytics().hotspotCounts).toEqual({ A: 2 });
+    expect(window.getRecent(1)[0].timestamp.getTime()).toBe(NOW - MINUTE);
+  });
+
+  test('labels deaths with the configured regions', () => {
+    const window = createWindow();
+    window.add([liveDeath(1, { hotspot: '' })], NOW);
+    window.configure({ regions: prepareRegions([{ name: 'Ditch', polygon: [[3090, 3590], [3110, 3590], [3110, 3610], [3090, 3610]] }]) });
+    expect(window.getDeaths()[0]).toMatchObject({ region: 'Ditch', hotspot: 'Ditch' });
+  });
+
+  test('clear empties the window', () => {
+    const window = createWindow();
+    window.add([liveDeath(1)], NOW);
+    window.clear();
+    expect(window.getTotal()).toBe(0);
+    expect(window.getAnalytics()).toEqual({});
+  });
+});
+
+describe('parseLiveMessage', () => {
+  test('accepts one death, an array or a { deaths } object, and reports bad ones', () => {
+    expect(parseLiveMessage(JSON.stringify({ x: 3100, y: 3600, timestamp: NOW, combatLevel: 3, wealthLost: 0 })).deaths).toHaveLength(1);
+    const { deaths, errors } = parseLiveMessage(JSON.stringify({ deaths: [{ x: 3100 }, 'nope'] }));
+    expect(deaths).toEqual([]);
+    expect(errors).toHaveLength(2);
+    expect(parseLiveMessage('not json').errors[0]).toMatch(/^invalid JSON/);
+  });
+});
+
+describe('isLiveUrl', () => {
+  test('accepts WebSocket and HTTP URLs only', () => {
+    expect(isLiveUrl('ws://localhost:8787')).toBe(true);
+    expect(isLiveUrl('https://example.com/events')).toBe(true);
+    expect(isLiveUrl('ftp://example.com')).toBe(false);
+  });
+});
@@ -0,0 +1,60 @@
+// Pan/zoom state for the death map.
+// A view is { zoom, centerX, centerY } where the center is the visible map center as a
+// fraction (0-1) of the map's width and height, so it doesn't depend on the canvas size.
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 16;
+
+export const DEFAULT_VIEW = { zoom: 1, centerX: 0.5, centerY: 0.5 };
+
+// Where the map images come from. The bundled maps work offline; the OSRS Wiki image
+// (surface only) is loaded over the network and the bundled map is used if it fails.
+export const MAP_SOURCES = [
+  { id: 'bundled', name: 'Bundled maps' },
+  { id: 'wiki', name: 'OSRS Wiki image (online)' }
+];
+export const DEFAULT_MAP_SOURCE = 'bundled';
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Keep the zoom in range and the zoomed map covering the whole canvas
+export const clampView = (view) => {
+  const zoom = clamp(view.zoom, MIN_ZOOM, MAX_ZOOM);
+  const half = 0.5 / zoom;
+  return {
+    zoom,
+    centerX: clamp(view.centerX, half, 1 - half),
+    centerY: clamp(view.centerY, half, 1 - half)
+  };
+};
+
+// Canvas transform for a view: screen = base * zoom + offset
+export const getViewTransform = (view, width, height) => ({
+  zoom: view.zoom,
+  offsetX: width / 2 - view.centerX * width * view.zoom,
+  offsetY: height / 2 - view.centerY * height * view.zoom
+});
+
+// Convert a screen position on the canvas to unzoomed map pixels
+export const screenToBase = (view, width, height, sx, sy) => {
+  const { zoom, offsetX, offsetY } = getViewTransform(view, width, height);
+  return { x: (sx - offsetX) / zoom, y: (sy - offsetY) / zoom };
+};
+
+// Zoom by factor while keeping the map point under (sx, sy) in place
+export const zoomViewAt = (view, factor, sx, sy, width, height) => {
+  const base = screenToBase(view, width, height, sx, sy);
+  const zoom = clamp(view.zoom * factor, MIN_ZOOM, MAX_ZOOM);
+  return clampView({
+    zoom,
+    centerX: base.x / width - (sx - width / 2) / (width * zoom),
+    centerY: base.y / height - (sy - height / 2) / (height * zoom)
+  });
+};
+
+// Move the view by a drag of (dx, dy) screen pixels
+export const panView = (view, dx, dy, width, height) => clampView({
+  zoom: view.zoom,
+  centerX: view.centerX - dx / (width * view.zoom),
+  centerY: view.centerY - dy / (height * view.zoom)
+});
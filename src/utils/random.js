@@ -0,0 +1,49 @@
+// Seeded pseudo-random numbers so simulated datasets can be reproduced exactly.
+
+// Hash a string or number seed into a 32-bit integer (cyrb53-style mixing)
+export const hashSeed = (seed) => {
+  const text = String(seed);
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  return h1 >>> 0;
+};
+
+// Create a random generator for a seed. Returns a function that behaves like Math.random().
+// Uses mulberry32: fast, small and good enough for simulations.
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal sample (Box-Muller)
+export const randomNormal = (random) => {
+  const u = 1 - random(); // Avoid log(0)
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Pick an index with probability proportional to weights[index]
+export const pickWeighted = (random, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let target = random() * total;
+  for (let i = 0; i < weights.length; i++) {
+    target -= weights[i];
+    if (target < 0) return i;
+  }
+  return weights.length - 1;
+};
+
+// A short random seed for the "new seed" button
+export const randomSeed = () => Math.random().toString(36).slice(2, 10);
@@ -0,0 +1,210 @@
+import { SURFACE_AREA, isInArea, getAreaName } from './coordinates';
+import { UNNAMED_HOTSPOT_LABEL } from './hotspots';
+
+// Named polygon regions of the Wilderness and point-in-polygon assignment of deaths.
+// Polygons are lists of [x, y] world tiles. Outlines are rough and meant to be refined
+// (and re-imported) as the game changes.
+
+// Region label for deaths that fall in no region
+export const NO_REGION_LABEL = 'Open Wilderness';
+
+export const REGION_CATEGORIES = [
+  { id: 'location', name: 'Location' },
+  { id: 'multi-combat', name: 'Multi-combat zone' }
+];
+
+export const DEFAULT_REGIONS = [
+  {
+    name: 'Edgeville Ditch',
+    category: 'location',
+    color: '#f97316',
+    polygon: [[3040, 3520], [3130, 3520], [3130, 3560], [3040, 3560]]
+  },
+  {
+    name: 'Chaos Temple',
+    category: 'location',
+    color: '#a855f7',
+    polygon: [[2940, 3808], [2966, 3808], [2966, 3834], [2940, 3834]]
+  },
+  {
+    name: 'Revenant Caves (South Entrance)',
+    category: 'location',
+    color: '#22c55e',
+    polygon: [[3058, 3638], [3092, 3638], [3092, 3668], [3058, 3668]]
+  },
+  {
+    name: 'Revenant Caves (North Entrance)',
+    category: 'location',
+    color: '#16a34a',
+    polygon: [[3110, 3820], [3138, 3820], [3138, 3846], [3110, 3846]]
+  },
+  {
+    name: 'Lava Dragon Isle',
+    category: 'location',
+    color: '#ef4444',
+    polygon: [[3176, 3806], [3228, 3802], [3236, 3856], [3182, 3862]]
+  },
+  {
+    name: 'Wilderness Slayer Cave Entrance',
+    category: 'location',
+    color: '#eab308',
+    polygon: [[3250, 3654], [3276, 3654], [3276, 3680], [3250, 3680]]
+  },
+  {
+    name: 'Bandit Camp',
+    category: 'location',
+    color: '#ec4899',
+    polygon: [[3020, 3680], [3060, 3680], [3060, 3708], [3020, 3708]]
+  },
+  {
+    name: 'Graveyard of Shadows',
+    category: 'location',
+    color: '#64748b',
+    polygon: [[3140, 3650], [3180, 3650], [3180, 3690], [3140, 3690]]
+  },
+  {
+    name: 'Deep Wilderness Bosses',
+    category: 'location',
+    color: '#06b6d4',
+    polygon: [[3240, 3840], [3340, 3840], [3340, 3930], [3240, 3930]]
+  },
+  {
+    name: 'Wilderness Agility Course',
+    category: 'location',
+    color: '#84cc16',
+    polygon: [[2988, 3928], [3012, 3928], [3012, 3964], [2988, 3964]]
+  },
+  {
+    name: 'Multi-combat: Revenant Ridge',
+    category: 'multi-combat',
+    color: '#facc15',
+    polygon: [[3008, 3600], [3072, 3600], [3072, 3712], [3008, 3712]]
+  },
+  {
+    name: 'Multi-combat: Northern Wilderness',
+    category: 'multi-combat',
+    color: '#facc15',
+    polygon: [[3136, 3840], [3392, 3840], [3392, 3968], [3136, 3968]]
+  }
+];
+
+// Turn a region name into a stable id
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+
+// Shoelace formula, in square tiles
+const polygonArea = (polygon) => {
+  let area = 0;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    area += (polygon[j][0] + polygon[i][0]) * (polygon[j][1] - polygon[i][1]);
+  }
+  return Math.abs(area / 2);
+};
+
+// Ray casting test: is (x, y) inside the polygon?
+export const pointInPolygon = (x, y, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Give every region an id, bounding box and area for fast lookups
+export const prepareRegions = (regions) => {
+  const usedIds = new Set();
+  return regions.map(region => {
+    let id = region.id || slugify(region.name);
+    for (let n = 2; usedIds.has(id); n++) id = `${slugify(region.name)}-${n}`;
+    usedIds.add(id);
+
+    const xs = region.polygon.map(([x]) => x);
+    const ys = region.polygon.map(([, y]) => y);
+    return {
+      ...region,
+      id,
+      bounds: { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) },
+      area: polygonArea(region.polygon)
+    };
+  });
+};
+
+// Region name for a world tile. Overlaps go to the smallest region, so a specific
+// location wins over a large multi-combat zone around it.
+export const findRegion = (x, y, preparedRegions) => {
+  let best = null;
+  preparedRegions.forEach(region => {
+    const { bounds } = region;
+    if (x < bounds.minX || x > bounds.maxX || y < bounds.minY || y > bounds.maxY) return;
+    if (best && best.area <= region.area) return;
+    if (pointInPolygon(x, y, region.polygon)) best = region;
+  });
+  return best ? best.name : NO_REGION_LABEL;
+};
+
+// Label one death with the region it falls in (returns a new death object). Cave deaths
+// outside every region take the cave's name. Deaths without a hotspot label use their region,
+// or the unnamed hotspot label when they are in none, so "Open Wilderness" never ranks as a hotspot.
+export const labelRegion = (death, preparedRegions) => {
+  let region = findRegion(death.x, death.y, preparedRegions);
+  if (region === NO_REGION_LABEL && !isInArea(death, SURFACE_AREA)) region = getAreaName(death.area);
+  const hotspot = death.hotspot || (region === NO_REGION_LABEL ? UNNAMED_HOTSPOT_LABEL : region);
+  return { ...death, region, hotspot };
+};
+
+// Label every death with the region it falls in
+export const assignRegions = (deaths, regions) => {
+  const prepared = prepareRegions(regions);
+  return deaths.map(death => labelRegion(death, prepared));
+};
+
+// Check imported region definitions. Accepts an array or an object with a "regions" array.
+// Returns { regions, errors } where errors lists every bad entry.
+export const parseRegionsJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { regions: [], errors: [`invalid JSON: ${error.message}`] };
+  }
+
+  const entries = Array.isArray(data) ? data : data && data.regions;
+  if (!Array.isArray(entries)) {
+    return { regions: [], errors: ['expected an array of regions or an object with a "regions" array'] };
+  }
+
+  const regions = [];
+  const errors = [];
+  const categoryIds = REGION_CATEGORIES.map(category => category.id);
+
+  entries.forEach((entry, index) => {
+    const label = `Region ${index + 1}`;
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+      errors.push(`${label}: missing "name"`);
+      return;
+    }
+    const validPolygon = Array.isArray(entry.polygon) && entry.polygon.length >= 3 &&
+      entry.polygon.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite));
+    if (!validPolygon) {
+      errors.push(`${label} (${entry.name}): "polygon" must be at least 3 [x, y] points`);
+      return;
+    }
+    regions.push({
+      name: entry.name.trim(),
+      category: categoryIds.includes(entry.category) ? entry.category : 'location',
+      color: typeof entry.color === 'string' ? entry.color : '#facc15',
+      polygon: entry.polygon
+    });
+  });
+
+  return { regions, errors };
+};
+
+// Region definitions as a JSON string for saving to a file
+export const regionsToJSON = (regions) => JSON.stringify({
+  version: 1,
+  regions: regions.map(({ name, category, color, polygon }) => ({ name, category, color, polygon }))
+}, null, 2);
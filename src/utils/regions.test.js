@@ -0,0 +1,71 @@
+import { NO_REGION_LABEL, pointInPolygon, prepareRegions, findRegion, labelRegion, parseRegionsJSON, regionsToJSON } from './regions';
+import { UNNAMED_HOTSPOT_LABEL } from './hotspots';
+
+const square = (name, minX, minY, size, category = 'location') => ({
+  name, category, color: '#fff', polygon: [[minX, minY], [minX + size, minY], [minX + size, minY + size], [minX, minY + size]]
+});
+
+// A large zone with a small location inside it
+const regions = prepareRegions([square('Big Zone', 3000, 3600, 100, 'multi-combat'), square('Small Spot', 3040, 3640, 10)]);
+
+describe('pointInPolygon', () => {
+  const triangle = [[0, 0], [10, 0], [0, 10]];
+
+  test('tells points inside from points outside', () => {
+    expect(pointInPolygon(2, 2, triangle)).toBe(true);
+    expect(pointInPolygon(8, 8, triangle)).toBe(false);
+    expect(pointInPolygon(-1, 2, triangle)).toBe(false);
+  });
+});
+
+describe('findRegion', () => {
+  test('gives overlaps to the smallest region', () => {
+    expect(findRegion(3045, 3645, regions)).toBe('Small Spot');
+    expect(findRegion(3010, 3610, regions)).toBe('Big Zone');
+  });
+
+  test('labels deaths outside every region', () => {
+    expect(findRegion(3300, 3900, regions)).toBe(NO_REGION_LABEL);
+  });
+});
+
+describe('labelRegion', () => {
+  test('fills a missing hotspot from the region', () => {
+    expect(labelRegion({ x: 3045, y: 3645, hotspot: null }, regions)).toMatchObject({ region: 'Small Spot', hotspot: 'Small Spot' });
+  });
+
+  test('keeps a given hotspot', () => {
+    expect(labelRegion({ x: 3045, y: 3645, hotspot: 'Chaos Altar / Temple' }, regions).hotspot).toBe('Chaos Altar / Temple');
+  });
+
+  test('leaves deaths outside every region unnamed rather than calling them a hotspot', () => {
+    expect(labelRegion({ x: 3300, y: 3900, hotspot: null }, regions)).toMatchObject({
+      region: NO_REGION_LABEL,
+      hotspot: UNNAMED_HOTSPOT_LABEL
+    });
+  });
+
+  test('names cave deaths outside every region after the cave', () => {
+    expect(labelRegion({ x: 3200, y: 10140, area: 'revenant-caves', hotspot: null }, regions)).toMatchObject({
+      region: 'Revenant Caves',
+      hotspot: 'Revenant Caves'
+    });
+  });
+});
+
+describe('parseRegionsJSON', () => {
+  test('reads back what regionsToJSON writes', () => {
+    const saved = [square('Small Spot', 3040, 3640, 10)];
+    expect(parseRegionsJSON(regionsToJSON(saved))).toEqual({ regions: saved, errors: [] });
+  });
+
+  test('reports every bad entry and keeps the good ones', () => {
+    const { regions: parsed, errors } = parseRegionsJSON(JSON.stringify([
+      { name: 'No Polygon' },
+      { polygon: [[0, 0], [1, 0], [0, 1]] },
+      { name: 'Ok', category: 'unknown', polygon: [[0, 0], [1, 0], [0, 1]] }
+    ]));
+    expect(errors).toHaveLength(2);
+    expect(parsed).toEqual([{ name: 'Ok', category: 'location', color: '#facc15', polygon: [[0, 0], [1, 0], [0, 1]] }]);
+  });
+});
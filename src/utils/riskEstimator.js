@@ -0,0 +1,137 @@
+import { WILDERNESS_WIDTH, WILDERNESS_HEIGHT } from './coordinates';
+import { LOCAL_TIME_ZONE, createTimePartsReader } from './timezones';
+import { parseGp } from './filters';
+import { median } from './analytics';
+
+// Trip risk estimator: how dangerous is a place at a given time for a given player,
+// compared with the Wilderness as a whole. Built from the same death records (and
+// region labels) the analytics use, so it can only be as good as the loaded data.
+
+const WEEK_MS = 7 * 86400000;
+// Deaths within this many combat levels of the player count as "players like you"
+const COMBAT_RANGE = 10;
+// Pseudo-counts that pull sparse cells towards "average" instead of 0 or infinity
+const TIME_PRIOR = 1;
+const COMBAT_PRIOR = 2;
+// Hours either side of the chosen hour to look for safer times
+const NEARBY_HOURS = 3;
+// Death chance never goes above this, however risky the spot
+const MAX_DEATH_CHANCE = 0.95;
+
+export const RISK_LEVELS = [
+  { max: 0.5, label: 'Low', color: 'text-green-400' },
+  { max: 1.5, label: 'Moderate', color: 'text-yellow-400' },
+  { max: 4, label: 'High', color: 'text-orange-400' },
+  { max: Infinity, label: 'Extreme', color: 'text-red-400' }
+];
+
+export const DEFAULT_RISK_QUERY = {
+  areaType: 'region', // 'region' or 'location'
+  region: '',
+  location: null, // { x, y } world tile picked on the map
+  radius: 15, // Tiles around the picked location
+  day: 6,
+  hour: 20,
+  combatLevel: 100,
+  wealth: '10m',
+  baselineChance: 5 // Assumed % chance of dying in an hour at an average spot and time
+};
+
+export const getRiskLevel = (relativeRisk) => RISK_LEVELS.find(level => relativeRisk < level.max);
+
+// 0-100 score on a log scale: 50 is average, every doubling of risk adds 10
+const toScore = (relativeRisk) => Math.max(0, Math.min(100, Math.round(50 + 10 * Math.log2(relativeRisk))));
+
+// Membership test and size (in square tiles) of the area the query describes, or null
+const getArea = (query, regions) => {
+  if (query.areaType === 'location') {
+    if (!query.location || !(query.radius > 0)) return null;
+    const { x, y } = query.location;
+    const radiusSq = query.radius * query.radius;
+    return {
+      label: `${query.radius} tiles around (${x}, ${y})`,
+      tiles: Math.PI * radiusSq,
+      contains: (death) => (death.x - x) ** 2 + (death.y - y) ** 2 <= radiusSq
+    };
+  }
+  const region = regions.find(candidate => candidate.name === query.region);
+  if (!region || !(region.area > 0)) return null;
+  return { label: region.name, tiles: region.area, contains: (death) => death.region === region.name };
+};
+
+// Estimate the risk of a trip. Returns null when the query or data isn't usable yet.
+export const estimateRisk = (deaths, query, { regions = [], timeZone = LOCAL_TIME_ZONE } = {}) => {
+  const area = getArea(query, regions);
+  if (!area || deaths.length === 0) return null;
+
+  const readTimeParts = createTimePartsReader(timeZone);
+  const combatMin = query.combatLevel - COMBAT_RANGE;
+  const combatMax = query.combatLevel + COMBAT_RANGE;
+  const inCombatRange = (death) => death.combatLevel >= combatMin && death.combatLevel <= combatMax;
+
+  let allInCombatRange = 0;
+  let firstTime = Infinity;
+  let lastTime = -Infinity;
+  const areaDeaths = [];
+  // Deaths in the area per hour of the chosen day
+  const areaHours = Array(24).fill(0);
+
+  deaths.forEach(death => {
+    const time = death.timestamp.getTime();
+    if (time < firstTime) firstTime = time;
+    if (time > lastTime) lastTime = time;
+    if (inCombatRange(death)) allInCombatRange++;
+    if (!area.contains(death)) return;
+    areaDeaths.push(death);
+    const { day, hour } = readTimeParts(time);
+    if (day === query.day) areaHours[hour]++;
+  });
+
+  const total = deaths.length;
+  const areaCount = areaDeaths.length;
+
+  // Where: deaths per tile here against deaths per tile across the Wilderness
+  const spatialFactor = (areaCount / area.tiles) / (total / (WILDERNESS_WIDTH * WILDERNESS_HEIGHT));
+  // When: deaths here in this hour of the week against an even spread over the week
+  const expectedPerHour = areaCount / (7 * 24);
+  const timeFactorAt = (hour) => (areaHours[hour] + TIME_PRIOR) / (expectedPerHour + TIME_PRIOR);
+  // Who: how over-represented players of this combat level are among deaths here
+  const areaInCombatRange = areaDeaths.filter(inCombatRange).length;
+  const combatFactor = ((areaInCombatRange + COMBAT_PRIOR / 2) / (areaCount + COMBAT_PRIOR)) /
+    ((allInCombatRange + COMBAT_PRIOR / 2) / (total + COMBAT_PRIOR));
+
+  const relativeRiskAt = (hour) => spatialFactor * timeFactorAt(hour) * combatFactor;
+  const relativeRisk = relativeRiskAt(query.hour);
+
+  // Expected loss for an hour spent here with the planned GP
+  const wealth = parseGp(query.wealth) || 0;
+  const deathChance = Math.min(MAX_DEATH_CHANCE, (query.baselineChance / 100) * relativeRisk);
+
+  // Same day, a few hours either side, lowest risk first
+  const safestHours = [];
+  for (let offset = -NEARBY_HOURS; offset <= NEARBY_HOURS; offset++) {
+    if (offset === 0) continue;
+    const hour = (query.hour + offset + 24) % 24;
+    safestHours.push({ hour, relativeRisk: relativeRiskAt(hour), score: toScore(relativeRiskAt(hour)) });
+  }
+  safestHours.sort((a, b) => a.relativeRisk - b.relativeRisk);
+
+  // How many times this weekday and hour occur in the data, for a deaths-per-hour rate
+  const weeks = Math.max(1, (lastTime - firstTime) / WEEK_MS);
+
+  return {
+    areaLabel: area.label,
+    areaDeaths: areaCount,
+    spatialFactor,
+    timeFactor: timeFactorAt(query.hour),
+    combatFactor,
+    relativeRisk,
+    score: toScore(relativeRisk),
+    level: getRiskLevel(relativeRisk),
+    deathsPerHour: areaHours[query.hour] / weeks,
+    typicalLoss: median(areaDeaths.map(death => death.wealthLost)),
+    deathChance,
+    expectedLoss: wealth * deathChance,
+    safestHours: safestHours.slice(0, 3)
+  };
+};
@@ -0,0 +1,74 @@
+import { DEFAULT_RISK_QUERY, estimateRisk } from './riskEstimator';
+import { prepareRegions } from './regions';
+
+const regions = prepareRegions([
+  { name: 'Ditch', polygon: [[3090, 3520], [3110, 3520], [3110, 3540], [3090, 3540]] },
+  { name: 'Empty', polygon: [[3200, 3800], [3220, 3800], [3220, 3820], [3200, 3820]] }
+]);
+
+// A Saturday evening death in the Ditch
+const death = (fields = {}) => ({
+  timestamp: new Date('2024-03-02T20:30:00Z'),
+  x: 3100,
+  y: 3530,
+  combatLevel: 100,
+  wealthLost: 1000000,
+  region: 'Ditch',
+  ...fields
+});
+
+// Ten deaths in the Ditch on Saturday evening, and ten elsewhere
+const deaths = [
+  ...Array.from({ length: 10 }, () => death()),
+  ...Array.from({ length: 10 }, () => death({ x: 3300, y: 3700, region: 'Elsewhere', combatLevel: 60 }))
+];
+
+const estimate = (changes, data = deaths) =>
+  estimateRisk(data, { ...DEFAULT_RISK_QUERY, region: 'Ditch', ...changes }, { regions, timeZone: 'UTC' });
+
+describe('estimateRisk', () => {
+  test('needs deaths and a known area', () => {
+    expect(estimate({}, [])).toBeNull();
+    expect(estimate({ region: 'Nowhere' })).toBeNull();
+    expect(estimate({ areaType: 'location', location: null })).toBeNull();
+  });
+
+  test('pulls hours and combat levels without deaths towards average instead of zero', () => {
+    const quiet = estimate({ hour: 5, combatLevel: 30 });
+    expect(quiet.timeFactor).toBeCloseTo(1 / (10 / 168 + 1));
+    // Nobody within 10 levels, here or anywhere: as likely as anyone else
+    expect(quiet.combatFactor).toBeCloseTo((1 / 12) / (1 / 22));
+    expect(quiet.relativeRisk).toBeGreaterThan(0);
+    expect(quiet.deathsPerHour).toBe(0);
+  });
+
+  test('compares nearby hours across midnight on the same day', () => {
+    const late = [...deaths, ...Array.from({ length: 5 }, () => death({ timestamp: new Date('2024-03-02T23:30:00Z') }))];
+    const safest = estimate({ hour: 1 }, late).safestHours.map(entry => entry.hour);
+    expect(safest).toHaveLength(3);
+    safest.forEach(hour => expect([22, 0, 2, 3, 4]).toContain(hour));
+
+    const early = [...deaths, ...Array.from({ length: 5 }, () => death({ timestamp: new Date('2024-03-02T00:30:00Z') }))];
+    const safestAfter = estimate({ hour: 22 }, early).safestHours.map(entry => entry.hour);
+    safestAfter.forEach(hour => expect([19, 21, 23, 1]).toContain(hour));
+  });
+
+  test('expects to lose the planned wealth times the death chance', () => {
+    // The Ditch is packed, so only a tiny baseline stays under the cap
+    const result = estimate({ wealth: '10m', baselineChance: 0.01 });
+    expect(result.deathChance).toBeLessThan(0.95);
+    expect(result.deathChance).toBeCloseTo(0.0001 * result.relativeRisk);
+    expect(result.expectedLoss).toBeCloseTo(10000000 * result.deathChance);
+    // However dangerous the spot, death is never certain
+    const capped = estimate({ wealth: '10m', baselineChance: 100 });
+    expect(capped.deathChance).toBe(0.95);
+    expect(capped.expectedLoss).toBeCloseTo(9500000);
+  });
+
+  test('rates a region nobody died in as riskless, without NaN', () => {
+    const result = estimate({ region: 'Empty', wealth: '10m' });
+    expect(result).toMatchObject({ areaDeaths: 0, relativeRisk: 0, score: 0, deathsPerHour: 0, typicalLoss: 0, expectedLoss: 0 });
+    expect(result.level.label).toBe('Low');
+    result.safestHours.forEach(entry => expect(entry.relativeRisk).toBe(0));
+  });
+});
@@ -0,0 +1,82 @@
+import { DEFAULT_FILTERS } from './filters';
+import { DEFAULT_HEATMAP_OPTIONS, COLOR_RAMPS, MAP_MODES } from './heatmap';
+import { DEFAULT_SCENARIO } from './simulation';
+import { LOCAL_TIME_ZONE, isValidTimeZone } from './timezones';
+import { DEFAULT_LIVE, LIVE_WINDOW_OPTIONS, isLiveUrl } from './liveFeed';
+import { DEFAULT_CLUSTER_OPTIONS, CLUSTER_OPTION_LIMITS } from './clustering';
+import { MAP_SOURCES, DEFAULT_MAP_SOURCE } from './mapView';
+import { DEFAULT_WEALTH_OPTIONS, WEALTH_GROUPINGS, MAX_WEALTH_EDGES } from './wealthStats';
+
+// Dashboard settings that survive a reload, and how to restore them safely.
+// Anything missing or no longer valid (older versions, hand-edited storage) falls back to the default.
+
+export const DEFAULT_SETTINGS = {
+  filters: DEFAULT_FILTERS,
+  heatmapOptions: DEFAULT_HEATMAP_OPTIONS,
+  timeZone: LOCAL_TIME_ZONE,
+  scenario: DEFAULT_SCENARIO,
+  activeDatasetId: null,
+  showRegionOverlays: true,
+  hiddenRegions: [],
+  rankBy: 'hotspots',
+  clusterOptions: DEFAULT_CLUSTER_OPTIONS,
+  mapSource: DEFAULT_MAP_SOURCE,
+  wealthOptions: DEFAULT_WEALTH_OPTIONS,
+  // Live mode always starts disconnected; only the endpoint and window are kept
+  live: { url: DEFAULT_LIVE.url, windowMinutes: DEFAULT_LIVE.windowMinutes }
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Merge stored settings over the defaults
+export const restoreSettings = (saved) => {
+  if (!isObject(saved)) return DEFAULT_SETTINGS;
+
+  const heatmapOptions = { ...DEFAULT_HEATMAP_OPTIONS, ...(isObject(saved.heatmapOptions) ? saved.heatmapOptions : {}) };
+  if (!MAP_MODES.some(mode => mode.id === heatmapOptions.mode)) heatmapOptions.mode = DEFAULT_HEATMAP_OPTIONS.mode;
+  if (!COLOR_RAMPS[heatmapOptions.ramp]) heatmapOptions.ramp = DEFAULT_HEATMAP_OPTIONS.ramp;
+
+  // Cluster parameters outside their slider range go back to the default
+  const clusterOptions = { ...DEFAULT_CLUSTER_OPTIONS };
+  if (isObject(saved.clusterOptions)) {
+    Object.entries(CLUSTER_OPTION_LIMITS).forEach(([key, limits]) => {
+      const value = saved.clusterOptions[key];
+      if (typeof value === 'number' && value >= limits.min && value <= limits.max) clusterOptions[key] = value;
+    });
+  }
+
+  // Wealth bucket edges must be positive and rising
+  const savedWealth = isObject(saved.wealthOptions) ? saved.wealthOptions : {};
+  const edges = savedWealth.edges;
+  const wealthOptions = {
+    edges: Array.isArray(edges) && edges.length > 0 && edges.length <= MAX_WEALTH_EDGES &&
+      edges.every((edge, index) => typeof edge === 'number' && edge > 0 && (index === 0 || edge > edges[index - 1]))
+      ? edges
+      : DEFAULT_WEALTH_OPTIONS.edges,
+    groupBy: WEALTH_GROUPINGS.some(grouping => grouping.id === savedWealth.groupBy) ? savedWealth.groupBy : DEFAULT_WEALTH_OPTIONS.groupBy
+  };
+
+  const scenario = isObject(saved.scenario)
+    ? { ...DEFAULT_SCENARIO, ...saved.scenario, wealth: { ...DEFAULT_SCENARIO.wealth, ...saved.scenario.wealth } }
+    : DEFAULT_SCENARIO;
+
+  return {
+    filters: { ...DEFAULT_FILTERS, ...(isObject(saved.filters) ? saved.filters : {}) },
+    heatmapOptions,
+    timeZone: typeof saved.timeZone === 'string' && isValidTimeZone(saved.timeZone) ? saved.timeZone : LOCAL_TIME_ZONE,
+    scenario,
+    activeDatasetId: typeof saved.activeDatasetId === 'string' ? saved.activeDatasetId : null,
+    showRegionOverlays: saved.showRegionOverlays !== false,
+    hiddenRegions: Array.isArray(saved.hiddenRegions) ? saved.hiddenRegions : [],
+    rankBy: ['regions', 'clusters'].includes(saved.rankBy) ? saved.rankBy : 'hotspots',
+    clusterOptions,
+    mapSource: MAP_SOURCES.some(source => source.id === saved.mapSource) ? saved.mapSource : DEFAULT_MAP_SOURCE,
+    wealthOptions,
+    live: {
+      url: isObject(saved.live) && isLiveUrl(saved.live.url) ? saved.live.url : DEFAULT_LIVE.url,
+      windowMinutes: isObject(saved.live) && LIVE_WINDOW_OPTIONS.includes(saved.live.windowMinutes)
+        ? saved.live.windowMinutes
+        : DEFAULT_LIVE.windowMinutes
+    }
+  };
+};
@@ -0,0 +1,219 @@
+import { WILDERNESS_BOUNDS, SURFACE_AREA, getMapArea, getWildernessLevel } from './coordinates';
+import { HOTSPOTS, UNNAMED_HOTSPOT_LABEL } from './hotspots';
+import { createRandom, randomNormal, pickWeighted } from './random';
+import { createKillerAssigner } from './killers';
+
+// Simulation scenarios: everything generateDeathData needs to build a reproducible dataset.
+// The same scenario (including its seed) always produces exactly the same deaths.
+
+// Relative activity per UTC hour of day (0-23), busiest in the evening
+const DEFAULT_HOURLY_ACTIVITY = [
+  3, 2, 1.5, 1, 1, 1, 1.5, 2, 2.5, 3, 3, 3.5,
+  4, 4, 4, 4.5, 5, 6, 7, 8, 8, 7, 6, 4
+];
+
+export const WEALTH_DISTRIBUTIONS = [
+  { id: 'lognormal', name: 'Log-normal' },
+  { id: 'uniform', name: 'Uniform' }
+];
+
+// Largest wealth value a generated death can have (max cash stack)
+const MAX_WEALTH = 2147483647;
+
+export const DEFAULT_SCENARIO = {
+  name: 'Default',
+  seed: 'wilderness',
+  count: 5000, // Generate more deaths for a denser map
+  startDate: '2024-01-01',
+  endDate: '2024-12-31',
+  // Share of deaths generated around a hotspot; the rest land anywhere in the Wilderness
+  hotspotShare: 0.8,
+  hotspots: HOTSPOTS.map(hotspot => ({ name: hotspot.name, weight: hotspot.density, radius: hotspot.radius })),
+  hourlyActivity: DEFAULT_HOURLY_ACTIVITY,
+  wealth: {
+    distribution: 'lognormal',
+    median: 500000, // Log-normal: the typical loss
+    sigma: 2, // Log-normal: spread on a log scale, higher means a heavier tail
+    min: 0, // Uniform: lowest loss
+    max: 100000000 // Uniform: highest loss
+  }
+};
+
+// Largest dataset the scenario editor allows
+export const MAX_SCENARIO_COUNT = 500000;
+
+// Check a scenario before generating. Returns a list of problems (empty when valid).
+export const validateScenario = (scenario) => {
+  const errors = [];
+
+  if (!String(scenario.name).trim()) errors.push('Scenario needs a name');
+  if (!String(scenario.seed).trim()) errors.push('Seed cannot be empty');
+  if (!Number.isInteger(scenario.count) || scenario.count < 1 || scenario.count > MAX_SCENARIO_COUNT) {
+    errors.push(`Death count must be a whole number from 1 to ${MAX_SCENARIO_COUNT.toLocaleString()}`);
+  }
+
+  // Read as UTC dates, the same way generateDeathData does
+  const start = new Date(`${scenario.startDate}T00:00:00Z`);
+  const end = new Date(`${scenario.endDate}T00:00:00Z`);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) errors.push('Start and end dates must be valid dates');
+  else if (start > end) errors.push('Start date must be on or before the end date');
+
+  if (!(scenario.hotspotShare >= 0 && scenario.hotspotShare <= 1)) errors.push('Hotspot share must be between 0 and 1');
+  if (scenario.hotspots.some(hotspot => !(hotspot.weight >= 0) || !(hotspot.radius > 0))) {
+    errors.push('Hotspot weights must be 0 or more and radii above 0');
+  }
+  if (scenario.hotspotShare > 0 && !scenario.hotspots.some(hotspot => hotspot.weight > 0)) {
+    errors.push('At least one hotspot needs a weight above 0');
+  }
+
+  if (scenario.hourlyActivity.length !== 24 || scenario.hourlyActivity.some(value => !(value >= 0))) {
+    errors.push('Hourly activity needs 24 values of 0 or more');
+  } else if (!scenario.hourlyActivity.some(value => value > 0)) {
+    errors.push('At least one hour needs activity above 0');
+  }
+
+  const { wealth } = scenario;
+  if (wealth.distribution === 'lognormal') {
+    if (!(wealth.median > 0)) errors.push('Wealth median must be above 0');
+    if (!(wealth.sigma >= 0)) errors.push('Wealth spread must be 0 or more');
+  } else if (!(wealth.min >= 0 && wealth.max >= wealth.min)) {
+    errors.push('Wealth range must have 0 <= min <= max');
+  }
+
+  return errors;
+};
+
+// Draw one wealth-lost value from the scenario's distribution
+const sampleWealth = (random, wealth) => {
+  const value = wealth.distribution === 'lognormal'
+    ? Math.exp(Math.log(wealth.median) + wealth.sigma * randomNormal(random))
+    : wealth.min + random() * (wealth.max - wealth.min);
+  return Math.floor(Math.min(MAX_WEALTH, Math.max(0, value)));
+};
+
+// How often generateDeathData reports progress, in deaths
+const PROGRESS_INTERVAL = 10000;
+
+// Function to generate speculative death data with additional analytics.
+// onProgress(done, total) is called every few thousand deaths for large scenarios.
+export const generateDeathData = (scenario = DEFAULT_SCENARIO, onProgress = null) => {
+  const random = createRandom(scenario.seed);
+  const deaths = [];
+
+  // Scenario hotspots are matched to map positions by name
+  const hotspots = scenario.hotspots
+    .map(config => {
+      const hotspot = HOTSPOTS.find(h => h.name === config.name);
+      return hotspot ? { ...hotspot, radius: config.radius, weight: config.weight } : null;
+    })
+    .filter(Boolean);
+  const hotspotWeights = hotspots.map(hotspot => hotspot.weight);
+
+  // Killers use their own random stream, so the rest of each death is the same with or without them
+  const killerRandom = createRandom(`${scenario.seed}:kills`);
+  const assignKiller = createKillerAssigner(scenario.seed, hotspots.map(hotspot => hotspot.name));
+
+  // Deaths are spread over whole days in the range (end date inclusive). Dates and hours are UTC
+  // (game time), so a seed gives the same timestamps in every browser.
+  const startDate = new Date(`${scenario.startDate}T00:00:00Z`);
+  const endDate = new Date(`${scenario.endDate}T00:00:00Z`);
+  const dayCount = Math.round((endDate - startDate) / 86400000) + 1;
+
+  for (let i = 0; i < scenario.count; i++) {
+    if (onProgress && i > 0 && i % PROGRESS_INTERVAL === 0) onProgress(i, scenario.count);
+
+    let x, y;
+    // Randomly pick a hotspot to generate a death around, or a general random spot
+    const hotspotChance = random();
+    let chosenHotspot = null;
+
+    // Distribute deaths with higher density around hotspots
+    if (hotspotChance < scenario.hotspotShare && hotspots.length > 0) {
+      chosenHotspot = hotspots[pickWeighted(random, hotspotWeights)];
+      // Generate coordinates within the hotspot's radius
+      const angle = random() * 2 * Math.PI;
+      const r = chosenHotspot.radius * Math.sqrt(random()); // For more even distribution within circle
+      x = chosenHotspot.x + r * Math.cos(angle);
+      y = chosenHotspot.y + r * Math.sin(angle);
+    } else { // General random death anywhere
+      x = WILDERNESS_BOUNDS.minX + random() * (WILDERNESS_BOUNDS.maxX - WILDERNESS_BOUNDS.minX);
+      y = WILDERNESS_BOUNDS.minY + random() * (WILDERNESS_BOUNDS.maxY - WILDERNESS_BOUNDS.minY);
+    }
+
+    // Ensure coordinates are whole tiles inside the Wilderness (or the hotspot's cave)
+    const area = chosenHotspot && chosenHotspot.area ? chosenHotspot.area : SURFACE_AREA;
+    const { bounds } = getMapArea(area);
+    x = Math.floor(Math.max(bounds.minX, Math.min(bounds.maxX - 1, x)));
+    y = Math.floor(Math.max(bounds.minY, Math.min(bounds.maxY - 1, y)));
+
+    // Random day in the range, hour from the activity curve, then a random minute and second
+    const day = Math.floor(random() * dayCount);
+    const hour = pickWeighted(random, scenario.hourlyActivity);
+    const timestamp = new Date(Date.UTC(
+      startDate.getUTCFullYear(),
+      startDate.getUTCMonth(),
+      startDate.getUTCDate() + day,
+      hour,
+      Math.floor(random() * 60),
+      Math.floor(random() * 60)
+    ));
+
+    // Generate random player level (1-126)
+    const playerLevel = Math.floor(random() * 126) + 1;
+
+    // Generate random combat level (1-126)
+    const combatLevel = Math.floor(random() * 126) + 1;
+
+    const wealthLost = sampleWealth(random, scenario.wealth);
+
+    const death = {
+      x,
+      y,
+      area,
+      wildernessLevel: getWildernessLevel(x, y),
+      timestamp,
+      playerLevel,
+      combatLevel,
+      wealthLost,
+      // Time fields come from the timestamp so the hour and day charts agree with it
+      hourOfDay: timestamp.getUTCHours(),
+      dayOfWeek: timestamp.getUTCDay(),
+      hotspot: chosenHotspot ? chosenHotspot.name : UNNAMED_HOTSPOT_LABEL
+    };
+    deaths.push(Object.assign(death, assignKiller(killerRandom, death)));
+  }
+  return deaths;
+};
+
+// Named scenarios saved in the browser
+const SCENARIO_STORAGE_KEY = 'osrs-wilderness.scenarios';
+
+export const loadSavedScenarios = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY) || '[]');
+    if (!Array.isArray(saved)) return [];
+    // Fill in fields that older saved scenarios may not have
+    return saved.map(scenario => ({
+      ...DEFAULT_SCENARIO,
+      ...scenario,
+      wealth: { ...DEFAULT_SCENARIO.wealth, ...scenario.wealth }
+    }));
+  } catch (error) {
+    console.error('Failed to read saved scenarios', error);
+    return [];
+  }
+};
+
+// Save (or overwrite by name) a scenario and return the updated list
+export const saveScenario = (scenario) => {
+  const scenarios = loadSavedScenarios().filter(saved => saved.name !== scenario.name);
+  scenarios.push(scenario);
+  localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+  return scenarios;
+};
+
+export const deleteSavedScenario = (name) => {
+  const scenarios = loadSavedScenarios().filter(saved => saved.name !== name);
+  localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+  return scenarios;
+};
@@ -0,0 +1,76 @@
+import { createRandom, pickWeighted } from './random';
+import { DEFAULT_SCENARIO, generateDeathData, validateScenario } from './simulation';
+
+const scenario = { ...DEFAULT_SCENARIO, count: 500, startDate: '2024-03-01', endDate: '2024-03-07' };
+
+describe('createRandom', () => {
+  test('repeats the same sequence for a seed', () => {
+    const a = createRandom('wilderness');
+    const b = createRandom('wilderness');
+    const other = createRandom('edgeville');
+    const first = Array.from({ length: 5 }, a);
+    expect(Array.from({ length: 5 }, b)).toEqual(first);
+    expect(Array.from({ length: 5 }, other)).not.toEqual(first);
+  });
+
+  test('stays within [0, 1)', () => {
+    const random = createRandom(42);
+    for (let i = 0; i < 1000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+});
+
+describe('pickWeighted', () => {
+  test('never picks a zero weight', () => {
+    const random = createRandom('weights');
+    for (let i = 0; i < 200; i++) expect(pickWeighted(random, [0, 1, 0, 3])).not.toBe(0);
+  });
+});
+
+describe('generateDeathData', () => {
+  test('gives the same deaths for the same scenario and seed', () => {
+    expect(generateDeathData(scenario)).toEqual(generateDeathData(scenario));
+    expect(generateDeathData({ ...scenario, seed: 'other' })).not.toEqual(generateDeathData(scenario));
+  });
+
+  test('spreads deaths over the date range in UTC, with matching time fields', () => {
+    const deaths = generateDeathData(scenario);
+    expect(deaths).toHaveLength(500);
+    deaths.forEach(death => {
+      expect(death.timestamp.getTime()).toBeGreaterThanOrEqual(Date.parse('2024-03-01T00:00:00Z'));
+      expect(death.timestamp.getTime()).toBeLessThan(Date.parse('2024-03-08T00:00:00Z'));
+      expect(death.hourOfDay).toBe(death.timestamp.getUTCHours());
+      expect(death.dayOfWeek).toBe(death.timestamp.getUTCDay());
+    });
+  });
+
+  test('only generates hours with activity', () => {
+    const hourlyActivity = Array.from({ length: 24 }, (_, hour) => (hour === 20 ? 1 : 0));
+    const deaths = generateDeathData({ ...scenario, hourlyActivity });
+    expect(new Set(deaths.map(death => death.hourOfDay))).toEqual(new Set([20]));
+  });
+
+  test('keeps cave hotspot deaths inside their cave', () => {
+    const hotspots = [{ name: 'Revenant Caves Interior', weight: 1, radius: 40 }];
+    const deaths = generateDeathData({ ...scenario, hotspotShare: 1, hotspots });
+    deaths.forEach(death => {
+      expect(death.area).toBe('revenant-caves');
+      expect(death.y).toBeGreaterThanOrEqual(10048);
+    });
+  });
+});
+
+describe('validateScenario', () => {
+  test('accepts the default scenario', () => {
+    expect(validateScenario(DEFAULT_SCENARIO)).toEqual([]);
+  });
+
+  test('checks the date range the way it will be generated', () => {
+    expect(validateScenario({ ...scenario, endDate: scenario.startDate })).toEqual([]);
+    expect(validateScenario({ ...scenario, startDate: '2024-03-08' })).toEqual(['Start date must be on or before the end date']);
+    expect(validateScenario({ ...scenario, endDate: 'soon' })).toEqual(['Start and end dates must be valid dates']);
+  });
+});
@@ -0,0 +1,48 @@
+// Uniform grid index over projected points, for fast "which deaths are under the cursor" lookups.
+// Points are { x, y } in any pixel space; queries must use the same space.
+// Cell coordinates packed into one number; much cheaper than string keys for big datasets
+const cellKey = (cx, cy) => cx * 65536 + cy;
+
+export const createSpatialIndex = (points, cellSize) => {
+  const cells = new Map();
+
+  points.forEach((point, index) => {
+    const key = cellKey(Math.floor(point.x / cellSize), Math.floor(point.y / cellSize));
+    const cell = cells.get(key);
+    if (cell) cell.push(index);
+    else cells.set(key, [index]);
+  });
+
+  // All point indices within radius of (x, y), closest first
+  const query = (x, y, radius) => {
+    const matches = [];
+    const radiusSq = radius * radius;
+    const minCellX = Math.floor((x - radius) / cellSize);
+    const maxCellX = Math.floor((x + radius) / cellSize);
+    const minCellY = Math.floor((y - radius) / cellSize);
+    const maxCellY = Math.floor((y + radius) / cellSize);
+
+    for (let cx = minCellX; cx <= maxCellX; cx++) {
+      for (let cy = minCellY; cy <= maxCellY; cy++) {
+        const cell = cells.get(cellKey(cx, cy));
+        if (!cell) continue;
+        cell.forEach(index => {
+          const dx = points[index].x - x;
+          const dy = points[index].y - y;
+          const distanceSq = dx * dx + dy * dy;
+          if (distanceSq <= radiusSq) matches.push({ index, distanceSq });
+        });
+      }
+    }
+
+    return matches.sort((a, b) => a.distanceSq - b.distanceSq).map(match => match.index);
+  };
+
+  // Index of the closest point within radius, or -1
+  const nearest = (x, y, radius) => {
+    const matches = query(x, y, radius);
+    return matches.length > 0 ? matches[0] : -1;
+  };
+
+  return { query, nearest };
+};
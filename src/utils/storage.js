@@ -0,0 +1,98 @@
+// Local persistence in IndexedDB: imported datasets, region definitions and dashboard settings.
+// Deaths are stored apart from the dataset list so listing datasets doesn't load every death.
+// All functions return promises and reject when IndexedDB is unavailable (e.g. private browsing).
+
+const DATABASE_NAME = 'osrs-wilderness';
+const DATABASE_VERSION = 1;
+// { id, name, count, createdAt }
+const DATASETS_STORE = 'datasets';
+// { id, deaths }
+const DEATHS_STORE = 'datasetDeaths';
+// { key, value }
+const SETTINGS_STORE = 'settings';
+
+let databasePromise = null;
+
+// Open (and on first use create) the database. The connection is shared.
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(DATASETS_STORE)) database.createObjectStore(DATASETS_STORE, { keyPath: 'id' });
+        if (!database.objectStoreNames.contains(DEATHS_STORE)) database.createObjectStore(DEATHS_STORE, { keyPath: 'id' });
+        if (!database.objectStoreNames.contains(SETTINGS_STORE)) database.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again after a failure
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+// Run work(stores) in one transaction and resolve with its result once the transaction commits
+const runTransaction = async (storeNames, mode, work) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeNames, mode);
+    const stores = storeNames.map(name => transaction.objectStore(name));
+    let result;
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    const request = work(...stores);
+    if (request) request.onsuccess = () => { result = request.result; };
+  });
+};
+
+// Saved datasets without their deaths, oldest first
+export const listDatasets = () =>
+  runTransaction([DATASETS_STORE], 'readonly', store => store.getAll())
+    .then(datasets => (datasets || []).sort((a, b) => a.createdAt - b.createdAt));
+
+// Deaths of a saved dataset, or null when it doesn't exist
+export const loadDatasetDeaths = (id) =>
+  runTransaction([DEATHS_STORE], 'readonly', store => store.get(id))
+    .then(record => (record ? record.deaths : null));
+
+// Save a dataset ({ id, name, deaths }). Returns the stored summary.
+export const saveDataset = ({ id, name, deaths, createdAt = Date.now() }) => {
+  const summary = { id, name, count: deaths.length, createdAt };
+  return runTransaction([DATASETS_STORE, DEATHS_STORE], 'readwrite', (datasets, deathStore) => {
+    datasets.put(summary);
+    deathStore.put({ id, deaths });
+  }).then(() => summary);
+};
+
+export const renameDataset = (id, name) =>
+  runTransaction([DATASETS_STORE], 'readwrite', store => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, name });
+    };
+  });
+
+export const deleteDataset = (id) =>
+  runTransaction([DATASETS_STORE, DEATHS_STORE], 'readwrite', (datasets, deathStore) => {
+    datasets.delete(id);
+    deathStore.delete(id);
+  });
+
+// A stored setting, or undefined when it was never saved
+export const loadSetting = (key) =>
+  runTransaction([SETTINGS_STORE], 'readonly', store => store.get(key))
+    .then(record => (record ? record.value : undefined));
+
+export const saveSetting = (key, value) =>
+  runTransaction([SETTINGS_STORE], 'readwrite', store => {
+    store.put({ key, value });
+  });
@@ -0,0 +1,62 @@
+// Helpers for the time-lapse player: deaths sorted by time and fast window lookups.
+
+const DAY_MS = 86400000;
+
+// Length of the window of deaths shown at the playhead
+export const TIMELAPSE_WINDOWS = [
+  { id: 'day', name: 'Day', ms: DAY_MS },
+  { id: 'week', name: 'Week', ms: 7 * DAY_MS },
+  { id: 'month', name: 'Month', ms: 30 * DAY_MS }
+];
+
+// How much dataset time passes per second of playback
+export const PLAYBACK_SPEEDS = [
+  { id: 'day', name: '1 day/s', ms: DAY_MS },
+  { id: 'week', name: '1 week/s', ms: 7 * DAY_MS },
+  { id: 'month', name: '1 month/s', ms: 30 * DAY_MS }
+];
+
+export const DEFAULT_TIMELAPSE = {
+  enabled: false,
+  playing: false,
+  playhead: null, // Time (ms) at the end of the window; null means "start of the data"
+  window: 'week',
+  speed: 'week'
+};
+
+export const getWindowMs = (windowId) =>
+  (TIMELAPSE_WINDOWS.find(option => option.id === windowId) || TIMELAPSE_WINDOWS[1]).ms;
+
+export const getSpeedMs = (speedId) =>
+  (PLAYBACK_SPEEDS.find(option => option.id === speedId) || PLAYBACK_SPEEDS[1]).ms;
+
+// Sort deaths by time once so any window is a contiguous slice
+export const buildTimeline = (deaths) => {
+  const sorted = [...deaths].sort((a, b) => a.timestamp - b.timestamp);
+  const times = sorted.map(death => death.timestamp.getTime());
+  return {
+    deaths: sorted,
+    times,
+    start: times.length > 0 ? times[0] : 0,
+    end: times.length > 0 ? times[times.length - 1] : 0
+  };
+};
+
+// First index whose time is >= target (binary search)
+const lowerBound = (times, target) => {
+  let low = 0;
+  let high = times.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (times[mid] < target) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+// Deaths with from < time <= to
+export const getWindowDeaths = (timeline, from, to) => {
+  const first = lowerBound(timeline.times, from + 1);
+  const last = lowerBound(timeline.times, to + 1);
+  return timeline.deaths.slice(first, last);
+};
@@ -0,0 +1,105 @@
+// Time zone handling for the time-based charts. Deaths keep their absolute timestamps;
+// the hour, weekday and month they are counted under depend on the selected zone.
+
+// The browser's own zone
+export const LOCAL_TIME_ZONE = 'local';
+// Old School RuneScape game time is UTC
+export const GAME_TIME_ZONE = 'UTC';
+
+// Zones to offer when the browser can't list its own
+const FALLBACK_TIME_ZONES = [
+  'Europe/London', 'Europe/Amsterdam', 'Europe/Berlin', 'Europe/Helsinki',
+  'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles',
+  'America/Sao_Paulo', 'Asia/Singapore', 'Asia/Tokyo', 'Australia/Sydney'
+];
+
+// Offsets only change on the quarter hour, so they are cached per 15-minute bucket
+const OFFSET_BUCKET_MS = 15 * 60000;
+
+export const getLocalTimeZoneName = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'Local time';
+
+// IANA name of a zone, with 'local' resolved to the browser's zone (null when the browser can't say)
+export const resolveTimeZone = (timeZone) => (
+  timeZone === LOCAL_TIME_ZONE ? Intl.DateTimeFormat().resolvedOptions().timeZone || null : timeZone
+);
+
+// Options for the time zone selector: game time, local time, then every IANA zone
+export const getTimeZoneOptions = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : FALLBACK_TIME_ZONES;
+  return [
+    { id: GAME_TIME_ZONE, name: 'UTC (game time)' },
+    { id: LOCAL_TIME_ZONE, name: `Local (${getLocalTimeZoneName()})` },
+    ...zones.filter(zone => zone !== GAME_TIME_ZONE).map(zone => ({ id: zone, name: zone.replace(/_/g, ' ') }))
+  ];
+};
+
+// True for 'local' and any zone name the browser understands
+export const isValidTimeZone = (timeZone) => {
+  if (timeZone === LOCAL_TIME_ZONE) return true;
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Milliseconds to add to a UTC time to get the wall-clock time in the zone, cached per bucket
+const createOffsetReader = (timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  });
+  const cache = new Map();
+
+  return (time) => {
+    const bucket = Math.floor(time / OFFSET_BUCKET_MS);
+    let offset = cache.get(bucket);
+    if (offset === undefined) {
+      const bucketStart = bucket * OFFSET_BUCKET_MS;
+      const parts = {};
+      formatter.formatToParts(new Date(bucketStart)).forEach(part => {
+        parts[part.type] = Number(part.value);
+      });
+      offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - bucketStart;
+      cache.set(bucket, offset);
+    }
+    return offset;
+  };
+};
+
+// Returns time => { hour, day, month, year } for the zone (day 0 = Sunday, month 0 = January)
+export const createTimePartsReader = (timeZone = LOCAL_TIME_ZONE) => {
+  if (timeZone === LOCAL_TIME_ZONE) {
+    return (time) => {
+      const date = new Date(time);
+      return { hour: date.getHours(), day: date.getDay(), month: date.getMonth(), year: date.getFullYear() };
+    };
+  }
+
+  const getOffset = createOffsetReader(timeZone);
+  return (time) => {
+    const wallClock = new Date(time + getOffset(time));
+    return { hour: wallClock.getUTCHours(), day: wallClock.getUTCDay(), month: wallClock.getUTCMonth(), year: wallClock.getUTCFullYear() };
+  };
+};
+
+// Time (ms) of a "YYYY-MM-DD" date at the given wall-clock time of day in the zone
+export const zonedDateToTime = (dateText, timeZone = LOCAL_TIME_ZONE, timeOfDay = '00:00:00') => {
+  if (timeZone === LOCAL_TIME_ZONE) return new Date(`${dateText}T${timeOfDay}`).getTime();
+
+  const wallClock = new Date(`${dateText}T${timeOfDay}Z`).getTime();
+  const getOffset = createOffsetReader(timeZone);
+  // Guess with the offset at the wall-clock time, then correct once for DST changes in between
+  const guess = wallClock - getOffset(wallClock);
+  return wallClock - getOffset(guess);
+};
+
+// Date and time of a death as shown in tooltips and lists
+export const formatDateTime = (date, timeZone = LOCAL_TIME_ZONE) =>
+  date.toLocaleString(undefined, timeZone === LOCAL_TIME_ZONE ? {} : { timeZone });
@@ -0,0 +1,75 @@
+import { createTimePartsReader, zonedDateToTime, resolveTimeZone, isValidTimeZone, LOCAL_TIME_ZONE } from './timezones';
+
+const at = (text) => Date.parse(text);
+
+// In 2024 London moves to BST at 01:00 UTC on 31 March and back to GMT at 01:00 UTC on 27 October
+describe('createTimePartsReader', () => {
+  test('reads UTC and fixed zones', () => {
+    const readUtc = createTimePartsReader('UTC');
+    expect(readUtc(at('2024-03-02T23:30:00Z'))).toEqual({ hour: 23, day: 6, month: 2, year: 2024 });
+    // Already Sunday morning in Tokyo
+    expect(createTimePartsReader('Asia/Tokyo')(at('2024-03-02T23:30:00Z'))).toEqual({ hour: 8, day: 0, month: 2, year: 2024 });
+  });
+
+  test('skips an hour when London springs forward', () => {
+    const read = createTimePartsReader('Europe/London');
+    expect(read(at('2024-03-31T00:59:00Z')).hour).toBe(0);
+    expect(read(at('2024-03-31T01:00:00Z')).hour).toBe(2);
+    expect(read(at('2024-03-31T22:30:00Z'))).toEqual({ hour: 23, day: 0, month: 2, year: 2024 });
+    expect(read(at('2024-03-31T23:30:00Z'))).toEqual({ hour: 0, day: 1, month: 3, year: 2024 });
+  });
+
+  test('repeats an hour when London falls back', () => {
+    const read = createTimePartsReader('Europe/London');
+    expect(read(at('2024-10-27T00:30:00Z')).hour).toBe(1);
+    expect(read(at('2024-10-27T01:30:00Z')).hour).toBe(1);
+    expect(read(at('2024-10-27T02:30:00Z')).hour).toBe(2);
+    expect(read(at('2024-10-26T23:30:00Z'))).toEqual({ hour: 0, day: 0, month: 9, year: 2024 });
+  });
+
+  test('looks each zone offset up once per quarter hour', () => {
+    const spy = jest.spyOn(Intl.DateTimeFormat.prototype, 'formatToParts');
+    const read = createTimePartsReader('Europe/London');
+    const start = at('2024-03-31T00:45:00Z');
+    for (let minute = 0; minute < 15; minute++) read(start + minute * 60000);
+    expect(spy).toHaveBeenCalledTimes(1);
+    // The next quarter hour is after the change, so it gets its own offset
+    expect(read(start + 15 * 60000).hour).toBe(2);
+    expect(spy).toHaveBeenCalledTimes(2);
+    spy.mockRestore();
+  });
+
+  test('uses the browser zone for local time', () => {
+    const time = at('2024-06-01T12:00:00Z');
+    const date = new Date(time);
+    expect(createTimePartsReader(LOCAL_TIME_ZONE)(time)).toEqual({
+      hour: date.getHours(), day: date.getDay(), month: date.getMonth(), year: date.getFullYear()
+    });
+  });
+});
+
+describe('zonedDateToTime', () => {
+  test('finds midnight in the zone', () => {
+    expect(zonedDateToTime('2024-03-02', 'UTC')).toBe(at('2024-03-02T00:00:00Z'));
+    expect(zonedDateToTime('2024-03-02', 'Asia/Tokyo')).toBe(at('2024-03-01T15:00:00Z'));
+    expect(zonedDateToTime('2024-03-02', 'Asia/Tokyo', '23:59:59.999')).toBe(at('2024-03-02T14:59:59.999Z'));
+  });
+
+  test('follows London across its clock changes', () => {
+    expect(zonedDateToTime('2024-03-31', 'Europe/London')).toBe(at('2024-03-31T00:00:00Z'));
+    expect(zonedDateToTime('2024-03-31', 'Europe/London', '12:00:00')).toBe(at('2024-03-31T11:00:00Z'));
+    expect(zonedDateToTime('2024-04-01', 'Europe/London')).toBe(at('2024-03-31T23:00:00Z'));
+    expect(zonedDateToTime('2024-10-27', 'Europe/London')).toBe(at('2024-10-26T23:00:00Z'));
+    expect(zonedDateToTime('2024-10-27', 'Europe/London', '12:00:00')).toBe(at('2024-10-27T12:00:00Z'));
+  });
+});
+
+describe('resolveTimeZone and isValidTimeZone', () => {
+  test('name the browser zone and reject unknown zones', () => {
+    expect(resolveTimeZone('Europe/London')).toBe('Europe/London');
+    expect(resolveTimeZone(LOCAL_TIME_ZONE)).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+    expect(isValidTimeZone(LOCAL_TIME_ZONE)).toBe(true);
+    expect(isValidTimeZone('Europe/London')).toBe(true);
+    expect(isValidTimeZone('Mars/Base')).toBe(false);
+  });
+});
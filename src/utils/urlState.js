@@ -0,0 +1,183 @@
+import { DEFAULT_FILTERS } from './filters';
+import { DEFAULT_VIEW, clampView } from './mapView';
+import { MAP_AREAS, SURFACE_AREA } from './coordinates';
+import { GAME_TIME_ZONE, LOCAL_TIME_ZONE, isValidTimeZone, resolveTimeZone } from './timezones';
+import { MAX_SCENARIO_COUNT } from './simulation';
+import { EMPTY_BRUSH } from './brushing';
+import { WEALTH_RANGES } from './analytics';
+
+// Shareable links: the dashboard view encoded in the URL hash as query parameters, e.g.
+// #hs=Chaos%20Temple&h=19,20,21&bd=5,6&layer=revenant-caves&z=2&x=0.31&y=0.42&cell=6-20&seed=wilderness.
+// Only the hash is used, so links keep working wherever the app is deployed (homepage ".").
+// Only values that differ from the defaults are written, to keep links short, except the time zone:
+// it is always written by name because it decides which deaths the time filters pick.
+
+// Text filters and their parameter names
+const TEXT_FILTERS = {
+  dateFrom: 'from',
+  dateTo: 'to',
+  combatMin: 'cmin',
+  combatMax: 'cmax',
+  wealthMin: 'wmin',
+  wealthMax: 'wmax'
+};
+
+// Multi-select filters of names (one parameter per value)
+const NAME_FILTERS = {
+  hotspots: 'hs',
+  regions: 'rg',
+  levelBrackets: 'lv',
+  killers: 'k'
+};
+
+// Multi-select filters of numbers (one comma separated parameter)
+const NUMBER_FILTERS = {
+  hours: 'h',
+  days: 'd'
+};
+
+// Linked chart selection (see utils/brushing), written the same way as the filters
+const BRUSH_NAMES = {
+  wealthRanges: 'bw',
+  hotspots: 'bhs',
+  regions: 'brg'
+};
+const BRUSH_NUMBERS = {
+  hours: 'bh',
+  days: 'bd'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// What the Top Death Hotspots panel can rank
+const RANKINGS = ['hotspots', 'regions', 'clusters'];
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const parseNumberList = (text, max) => (text || '')
+  .split(',')
+  .filter(Boolean)
+  .map(Number)
+  .filter(value => Number.isInteger(value) && value >= 0 && value <= max);
+
+// Encode the shareable part of the dashboard state. Returns the hash without the leading "#".
+export const serializeUrlState = ({
+  filters, brush, mapLayer, view, selectedCell, rankBy, riskQuery, comparison, timeZone, scenario
+}) => {
+  const params = new URLSearchParams();
+
+  Object.entries(TEXT_FILTERS).forEach(([key, param]) => {
+    if (filters[key]) params.set(param, filters[key]);
+  });
+  Object.entries(NAME_FILTERS).forEach(([key, param]) => {
+    filters[key].forEach(value => params.append(param, value));
+  });
+  Object.entries(NUMBER_FILTERS).forEach(([key, param]) => {
+    if (filters[key].length > 0) params.set(param, filters[key].join(','));
+  });
+
+  Object.entries(BRUSH_NAMES).forEach(([key, param]) => {
+    brush[key].forEach(value => params.append(param, value));
+  });
+  Object.entries(BRUSH_NUMBERS).forEach(([key, param]) => {
+    if (brush[key].length > 0) params.set(param, brush[key].join(','));
+  });
+
+  if (mapLayer !== SURFACE_AREA) params.set('layer', mapLayer);
+  if (view.zoom !== DEFAULT_VIEW.zoom || view.centerX !== DEFAULT_VIEW.centerX || view.centerY !== DEFAULT_VIEW.centerY) {
+    params.set('z', round(view.zoom, 2));
+    params.set('x', round(view.centerX, 4));
+    params.set('y', round(view.centerY, 4));
+  }
+
+  if (selectedCell) params.set('cell', `${selectedCell.day}-${selectedCell.hour}`);
+  if (rankBy !== 'hotspots') params.set('rank', rankBy);
+
+  // Region (or map location) picked in the risk estimator
+  if (riskQuery.areaType === 'location' && riskQuery.location) {
+    params.set('loc', `${riskQuery.location.x},${riskQuery.location.y},${riskQuery.radius}`);
+  } else if (riskQuery.areaType === 'region' && riskQuery.region) {
+    params.set('region', riskQuery.region);
+  }
+
+  if (comparison.enabled) {
+    params.set('cmp', [comparison.a.from, comparison.a.to, comparison.b.from, comparison.b.to].join('_'));
+  }
+
+  // Always a named zone, so hours, days and dates pick the same deaths wherever the link is opened
+  const zoneName = resolveTimeZone(timeZone);
+  if (zoneName) params.set('tz', zoneName);
+  params.set('seed', scenario.seed);
+  params.set('n', scenario.count);
+
+  // Spaces as %20 rather than "+", and plain commas and slashes, which read better in shared links
+  return params.toString().replace(/\+/g, '%20').replace(/%2C/g, ',').replace(/%2F/g, '/');
+};
+
+// Decode a URL hash into dashboard state, with defaults for anything missing or invalid.
+// riskArea, seed and count are null when the link doesn't set them.
+export const parseUrlState = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+
+  const filters = { ...DEFAULT_FILTERS };
+  Object.entries(TEXT_FILTERS).forEach(([key, param]) => {
+    const value = params.get(param) || '';
+    filters[key] = key.startsWith('date') && value && !DATE_PATTERN.test(value) ? '' : value;
+  });
+  Object.entries(NAME_FILTERS).forEach(([key, param]) => {
+    filters[key] = params.getAll(param);
+  });
+  filters.hours = parseNumberList(params.get(NUMBER_FILTERS.hours), 23);
+  filters.days = parseNumberList(params.get(NUMBER_FILTERS.days), 6);
+
+  const brush = {
+    ...EMPTY_BRUSH,
+    wealthRanges: params.getAll(BRUSH_NAMES.wealthRanges).filter(range => WEALTH_RANGES.includes(range)),
+    hotspots: params.getAll(BRUSH_NAMES.hotspots),
+    regions: params.getAll(BRUSH_NAMES.regions),
+    hours: parseNumberList(params.get(BRUSH_NUMBERS.hours), 23),
+    days: parseNumberList(params.get(BRUSH_NUMBERS.days), 6)
+  };
+
+  const layer = params.get('layer');
+  const zoom = Number(params.get('z'));
+  const view = params.has('z')
+    ? clampView({
+      zoom: Number.isFinite(zoom) ? zoom : DEFAULT_VIEW.zoom,
+      centerX: Number(params.get('x')) || DEFAULT_VIEW.centerX,
+      centerY: Number(params.get('y')) || DEFAULT_VIEW.centerY
+    })
+    : DEFAULT_VIEW;
+
+  const cellMatch = (params.get('cell') || '').match(/^([0-6])-(\d{1,2})$/);
+  const selectedCell = cellMatch && Number(cellMatch[2]) < 24 ? { day: Number(cellMatch[1]), hour: Number(cellMatch[2]) } : null;
+
+  let riskArea = params.get('region') ? { areaType: 'region', region: params.get('region') } : null;
+  const location = (params.get('loc') || '').split(',').map(Number);
+  if (location.length === 3 && location.every(Number.isFinite) && location[2] > 0) {
+    riskArea = { areaType: 'location', location: { x: location[0], y: location[1] }, radius: location[2] };
+  }
+
+  const periods = (params.get('cmp') || '').split('_');
+  const comparison = periods.length === 4 && periods.every(date => DATE_PATTERN.test(date))
+    ? { enabled: true, a: { from: periods[0], to: periods[1] }, b: { from: periods[2], to: periods[3] } }
+    : null;
+
+  const timeZone = params.get('tz');
+  const count = Number(params.get('n'));
+
+  return {
+    filters,
+    brush,
+    mapLayer: MAP_AREAS.some(area => area.id === layer) ? layer : SURFACE_AREA,
+    view,
+    selectedCell,
+    rankBy: RANKINGS.includes(params.get('rank')) ? params.get('rank') : 'hotspots',
+    riskArea,
+    comparison,
+    // Links without a usable zone fall back to game time rather than each reader's own zone
+    timeZone: timeZone && timeZone !== LOCAL_TIME_ZONE && isValidTimeZone(timeZone) ? timeZone : GAME_TIME_ZONE,
+    seed: params.get('seed') || null,
+    count: Number.isInteger(count) && count > 0 && count <= MAX_SCENARIO_COUNT ? count : null
+  };
+};
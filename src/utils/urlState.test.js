@@ -0,0 +1,99 @@
+import { serializeUrlState, parseUrlState } from './urlState';
+import { DEFAULT_FILTERS } from './filters';
+import { DEFAULT_VIEW } from './mapView';
+import { DEFAULT_SCENARIO } from './simulation';
+import { EMPTY_BRUSH } from './brushing';
+import { GAME_TIME_ZONE, LOCAL_TIME_ZONE } from './timezones';
+
+const DEFAULT_STATE = {
+  filters: DEFAULT_FILTERS,
+  brush: EMPTY_BRUSH,
+  mapLayer: 'surface',
+  view: DEFAULT_VIEW,
+  selectedCell: null,
+  rankBy: 'hotspots',
+  riskQuery: { areaType: 'region', region: '' },
+  comparison: { enabled: false, a: { from: '', to: '' }, b: { from: '', to: '' } },
+  timeZone: LOCAL_TIME_ZONE,
+  scenario: DEFAULT_SCENARIO
+};
+
+const roundTrip = (changes) => parseUrlState(`#${serializeUrlState({ ...DEFAULT_STATE, ...changes })}`);
+
+describe('serializeUrlState', () => {
+  test('only writes the time zone, seed and count for the default view', () => {
+    expect(serializeUrlState({ ...DEFAULT_STATE, timeZone: 'UTC' })).toBe('tz=UTC&seed=wilderness&n=5000');
+  });
+
+  test('writes the local zone by name', () => {
+    const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    expect(new URLSearchParams(serializeUrlState(DEFAULT_STATE)).get('tz')).toBe(localZone);
+  });
+});
+
+describe('parseUrlState', () => {
+  test('round-trips filters, the map view and the selected cell', () => {
+    const filters = { ...DEFAULT_FILTERS, dateFrom: '2024-01-01', wealthMin: '1m', hotspots: ['Chaos Altar / Temple'], hours: [19, 20] };
+    const state = roundTrip({
+      filters,
+      mapLayer: 'revenant-caves',
+      view: { zoom: 2, centerX: 0.3, centerY: 0.4 },
+      selectedCell: { day: 6, hour: 20 },
+      rankBy: 'clusters',
+      timeZone: 'Europe/London'
+    });
+    expect(state).toMatchObject({
+      filters,
+      mapLayer: 'revenant-caves',
+      view: { zoom: 2, centerX: 0.3, centerY: 0.4 },
+      selectedCell: { day: 6, hour: 20 },
+      rankBy: 'clusters',
+      timeZone: 'Europe/London',
+      seed: 'wilderness',
+      count: 5000
+    });
+  });
+
+  test('round-trips the linked chart selection', () => {
+    const brush = { hours: [18, 19], days: [0, 6], wealthRanges: ['10M+'], hotspots: ['Chaos Altar / Temple'], regions: ['Edgeville Ditch'] };
+    expect(roundTrip({ brush }).brush).toEqual(brush);
+  });
+
+  test('round-trips comparison periods and a risk estimator location', () => {
+    const comparison = { enabled: true, a: { from: '2024-01-01', to: '2024-01-31' }, b: { from: '2024-02-01', to: '2024-02-29' } };
+    const riskQuery = { areaType: 'location', location: { x: 3100, y: 3600 }, radius: 15 };
+    const state = roundTrip({ comparison, riskQuery });
+    expect(state.comparison).toEqual(comparison);
+    expect(state.riskArea).toEqual(riskQuery);
+  });
+
+  test('opens a link made in the default zone in that named zone, not the reader\'s own', () => {
+    const spy = jest.spyOn(Intl.DateTimeFormat.prototype, 'resolvedOptions').mockReturnValue({ timeZone: 'Europe/Berlin' });
+    const hash = serializeUrlState({ ...DEFAULT_STATE, timeZone: LOCAL_TIME_ZONE });
+    spy.mockRestore();
+    expect(parseUrlState(`#${hash}`).timeZone).toBe('Europe/Berlin');
+  });
+
+  test('falls back to game time for links without a zone', () => {
+    expect(parseUrlState('#seed=abc').timeZone).toBe(GAME_TIME_ZONE);
+    expect(parseUrlState('#tz=local').timeZone).toBe(GAME_TIME_ZONE);
+  });
+
+  test('leaves the risk area alone when the link does not set one', () => {
+    expect(parseUrlState('#seed=abc').riskArea).toBeNull();
+    expect(parseUrlState('#region=Chaos%20Temple').riskArea).toEqual({ areaType: 'region', region: 'Chaos Temple' });
+  });
+
+  test('falls back to defaults for invalid values', () => {
+    const state = parseUrlState('#from=yesterday&h=3,99&bw=lots&layer=moon&cell=9-30&rank=best&tz=Mars/Base&n=-4');
+    expect(state.filters.dateFrom).toBe('');
+    expect(state.filters.hours).toEqual([3]);
+    expect(state.brush).toEqual(EMPTY_BRUSH);
+    expect(state.mapLayer).toBe('surface');
+    expect(state.selectedCell).toBeNull();
+    expect(state.rankBy).toBe('hotspots');
+    expect(state.timeZone).toBe(GAME_TIME_ZONE);
+    expect(state.count).toBeNull();
+    expect(state.seed).toBeNull();
+  });
+});
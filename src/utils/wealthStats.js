@@ -0,0 +1,152 @@
+import { LOCAL_TIME_ZONE, createTimePartsReader } from './timezones';
+import { formatGp, parseGp } from './filters';
+import { quantile } from './analytics';
+
+// Wealth-loss statistics that hold up with heavy-tailed loot values: median and percentiles
+// instead of only the mean, a log-scale histogram over user-defined bucket edges and the
+// Pareto share (how few deaths account for most of the GP lost), overall and per group.
+
+// Bucket edges in gp. Buckets run from 0 to the first edge, between edges, and above the last.
+export const DEFAULT_WEALTH_EDGES = [10000, 100000, 1000000, 10000000, 100000000];
+
+export const WEALTH_GROUPINGS = [
+  { id: 'hotspot', name: 'Hotspot' },
+  { id: 'region', name: 'Region' },
+  { id: 'month', name: 'Month' }
+];
+
+export const DEFAULT_WEALTH_OPTIONS = { edges: DEFAULT_WEALTH_EDGES, groupBy: 'hotspot' };
+
+// Share of the GP lost the Pareto figure is measured against
+export const PARETO_TARGET = 0.8;
+
+// At most this many bucket edges
+export const MAX_WEALTH_EDGES = 12;
+
+// Points on the Pareto curve, at even steps of the share of deaths
+const PARETO_CURVE_STEPS = 40;
+
+// Edges as editable text. The short form (e.g. 2.5M) is only used when it reads back as the same
+// amount, so applying the text again never moves an edge.
+const formatWealthEdge = (edge) => (Math.round(parseGp(formatGp(edge))) === edge ? formatGp(edge) : String(edge));
+
+export const formatWealthEdges = (edges) => edges.map(formatWealthEdge).join(', ');
+
+// Check comma separated bucket edges. Returns { edges, errors }.
+export const parseWealthEdges = (text) => {
+  const parts = String(text).split(/[\s,;]+/).filter(Boolean);
+  const errors = [];
+  const edges = parts.map(part => Math.round(parseGp(part)));
+  parts.forEach((part, index) => {
+    if (!(edges[index] > 0)) errors.push(`"${part}" is not an amount above 0 (e.g. 10K, 2.5M)`);
+  });
+  if (parts.length === 0) errors.push('Enter at least one bucket edge');
+  if (parts.length > MAX_WEALTH_EDGES) errors.push(`Use at most ${MAX_WEALTH_EDGES} bucket edges`);
+  if (errors.length === 0 && edges.some((edge, index) => index > 0 && edge <= edges[index - 1])) {
+    errors.push('Bucket edges must go up from left to right');
+  }
+  return errors.length > 0 ? { edges: null, errors } : { edges, errors };
+};
+
+// Summary of one group's losses. sorted is a Float64Array of wealth lost, ascending.
+// paretoShare is the smallest share of deaths (the biggest losses) making up PARETO_TARGET of the GP lost.
+const summarize = (sorted) => {
+  const count = sorted.length;
+  let total = 0;
+  for (let i = 0; i < count; i++) total += sorted[i];
+
+  let paretoCount = 0;
+  if (total > 0) {
+    let sum = 0;
+    for (let i = count - 1; i >= 0 && sum < total * PARETO_TARGET; i--) {
+      sum += sorted[i];
+      paretoCount++;
+    }
+  }
+
+  return {
+    count,
+    total,
+    mean: total / count,
+    median: quantile(sorted, 0.5),
+    p90: quantile(sorted, 0.9),
+    p99: quantile(sorted, 0.99),
+    max: sorted[count - 1],
+    paretoShare: total > 0 ? paretoCount / count : 0
+  };
+};
+
+// Share of the GP lost by the top x share of deaths, for x from 0 to 1
+const paretoCurve = (sorted, total) => {
+  const points = [{ deaths: 0, gp: 0 }];
+  let sum = 0;
+  let taken = 0;
+  for (let step = 1; step <= PARETO_CURVE_STEPS; step++) {
+    const upTo = Math.round((sorted.length * step) / PARETO_CURVE_STEPS);
+    for (; taken < upTo; taken++) sum += sorted[sorted.length - 1 - taken];
+    points.push({ deaths: step / PARETO_CURVE_STEPS, gp: total > 0 ? sum / total : 0 });
+  }
+  return points;
+};
+
+// Deaths and GP lost per bucket: [{ min, max, count, total }], max is Infinity for the last bucket
+const histogram = (sorted, edges) => {
+  const bounds = [0, ...edges, Infinity];
+  const buckets = bounds.slice(0, -1).map((min, index) => ({ min, max: bounds[index + 1], count: 0, total: 0 }));
+  let bucket = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    while (sorted[i] >= buckets[bucket].max) bucket++;
+    buckets[bucket].count++;
+    buckets[bucket].total += sorted[i];
+  }
+  return buckets;
+};
+
+const groupKey = (death, groupBy, readTimeParts) => {
+  if (groupBy === 'month') {
+    const { year, month } = readTimeParts(death.timestamp.getTime());
+    return `${year}-${String(month + 1).padStart(2, '0')}`;
+  }
+  return death[groupBy] || null;
+};
+
+const monthName = (key) => {
+  const [year, month] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, 1)).toLocaleString('en', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+};
+
+// Wealth statistics for the deaths. Returns null without deaths, otherwise
+// { overall, histogram, pareto, groups } where overall and each group ({ name, ...summary }) hold
+// count, total, mean, median, p90, p99, max and paretoShare. Months (read in timeZone) are listed in
+// order, hotspots and regions by GP lost.
+export const calculateWealthStats = (deaths, { edges = DEFAULT_WEALTH_EDGES, groupBy = 'hotspot', timeZone = LOCAL_TIME_ZONE } = {}) => {
+  if (deaths.length === 0) return null;
+  const readTimeParts = createTimePartsReader(timeZone);
+
+  const all = new Float64Array(deaths.length);
+  const groupValues = new Map();
+  deaths.forEach((death, index) => {
+    all[index] = death.wealthLost;
+    const key = groupKey(death, groupBy, readTimeParts);
+    if (key === null) return;
+    if (!groupValues.has(key)) groupValues.set(key, []);
+    groupValues.get(key).push(death.wealthLost);
+  });
+  all.sort();
+
+  const overall = summarize(all);
+  const groups = Array.from(groupValues, ([key, values]) => ({
+    key,
+    name: groupBy === 'month' ? monthName(key) : key,
+    ...summarize(Float64Array.from(values).sort())
+  }));
+  if (groupBy === 'month') groups.sort((a, b) => (a.key < b.key ? -1 : 1));
+  else groups.sort((a, b) => b.total - a.total);
+
+  return {
+    overall,
+    histogram: histogram(all, edges),
+    pareto: paretoCurve(all, overall.total),
+    groups
+  };
+};
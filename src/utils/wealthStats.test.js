@@ -0,0 +1,79 @@
+import { calculateWealthStats, parseWealthEdges, formatWealthEdges } from './wealthStats';
+
+const death = (wealthLost, fields = {}) => ({ wealthLost, timestamp: new Date('2024-03-15T12:00:00Z'), hotspot: 'Edgeville', region: 'Ditch', ...fields });
+
+describe('calculateWealthStats', () => {
+  test('returns null without deaths', () => {
+    expect(calculateWealthStats([])).toBeNull();
+  });
+
+  test('works out the median, percentiles and Pareto share', () => {
+    // 90 small losses of 1K and 10 big ones of 1M
+    const deaths = [...Array(90).fill(1000), ...Array(10).fill(1000000)].map(wealth => death(wealth));
+    const { overall } = calculateWealthStats(deaths, { timeZone: 'UTC' });
+    expect(overall).toMatchObject({ count: 100, total: 10090000, max: 1000000, median: 1000, p99: 1000000 });
+    expect(overall.mean).toBeCloseTo(100900);
+    // 80% of the 10.09M lost is 8.072M, which takes 9 of the big losses (9% of deaths)
+    expect(overall.paretoShare).toBeCloseTo(0.09);
+  });
+
+  test('interpolates percentiles between neighbouring values', () => {
+    const { overall } = calculateWealthStats([death(100), death(200)], { timeZone: 'UTC' });
+    expect(overall.median).toBe(150);
+    expect(overall.p90).toBe(190);
+  });
+
+  test('counts deaths into buckets split at the edges', () => {
+    const deaths = [5, 10, 99, 100, 5000].map(wealth => death(wealth));
+    const { histogram } = calculateWealthStats(deaths, { edges: [10, 100], timeZone: 'UTC' });
+    expect(histogram).toEqual([
+      { min: 0, max: 10, count: 1, total: 5 },
+      { min: 10, max: 100, count: 2, total: 109 },
+      { min: 100, max: Infinity, count: 2, total: 5100 }
+    ]);
+  });
+
+  test('draws the Pareto curve from 0 to all of the GP', () => {
+    const { pareto } = calculateWealthStats([death(300), death(100)], { timeZone: 'UTC' });
+    expect(pareto[0]).toEqual({ deaths: 0, gp: 0 });
+    expect(pareto[pareto.length - 1]).toEqual({ deaths: 1, gp: 1 });
+    expect(pareto[20]).toEqual({ deaths: 0.5, gp: 0.75 });
+  });
+
+  test('breaks the statistics down by hotspot, largest total first', () => {
+    const deaths = [death(10, { hotspot: 'A' }), death(500, { hotspot: 'B' }), death(30, { hotspot: 'A' })];
+    const { groups } = calculateWealthStats(deaths, { groupBy: 'hotspot', timeZone: 'UTC' });
+    expect(groups.map(group => [group.name, group.count, group.total, group.median])).toEqual([['B', 1, 500, 500], ['A', 2, 40, 20]]);
+  });
+
+  test('breaks the statistics down by month in order, read in the time zone', () => {
+    const deaths = [
+      death(10, { timestamp: new Date('2024-02-10T12:00:00Z') }),
+      death(20, { timestamp: new Date('2024-01-31T23:30:00Z') })
+    ];
+    expect(calculateWealthStats(deaths, { groupBy: 'month', timeZone: 'UTC' }).groups.map(group => group.name)).toEqual(['Jan 2024', 'Feb 2024']);
+    // Half past eleven on 31 January UTC is already February in Tokyo
+    expect(calculateWealthStats(deaths, { groupBy: 'month', timeZone: 'Asia/Tokyo' }).groups.map(group => [group.name, group.count]))
+      .toEqual([['Feb 2024', 2]]);
+  });
+});
+
+describe('parseWealthEdges', () => {
+  test('reads amounts with suffixes', () => {
+    expect(parseWealthEdges('10k, 2.5M 1b')).toEqual({ edges: [10000, 2500000, 1000000000], errors: [] });
+  });
+
+  test('rejects bad, zero and falling edges', () => {
+    expect(parseWealthEdges('abc, 0').errors).toHaveLength(2);
+    expect(parseWealthEdges('1m, 10k').errors).toEqual(['Bucket edges must go up from left to right']);
+    expect(parseWealthEdges(' ').errors).toEqual(['Enter at least one bucket edge']);
+  });
+});
+
+describe('formatWealthEdges', () => {
+  test('keeps every edge exact when read back', () => {
+    const edges = [999, 12345, 1100000, 2500000, 1000000000];
+    expect(formatWealthEdges(edges)).toBe('999, 12345, 1.1M, 2.5M, 1B');
+    expect(parseWealthEdges(formatWealthEdges(edges)).edges).toEqual(edges);
+  });
+});
@@ -0,0 +1,3 @@
+// Start the data worker (data.worker.js). Kept out of utils/dataClient so tests can stand in
+// a fake worker, since Jest can't load import.meta.
+export const createDataWorker = () => new Worker(new URL('./data.worker.js', import.meta.url));
@@ -0,0 +1,22 @@
+import { createTaskHandlers } from '../utils/dataTasks';
+
+// Web Worker for data generation and analytics, so large datasets don't block the UI.
+// Every request carries an id; replies are { id, type: 'progress' | 'result' | 'error', ... }.
+
+const handlers = createTaskHandlers();
+
+// onmessage and postMessage are the worker scope's own (CRA lints `self` as a mistaken global)
+onmessage = ({ data }) => {
+  const handler = handlers[data.type];
+  try {
+    if (!handler) throw new Error(`Unknown request type "${data.type}"`);
+    const result = handler(data, (done, total) => {
+      postMessage({ id: data.id, type: 'progress', done, total });
+    });
+    // Hand typed arrays over without copying them
+    const transfer = result.indices ? [result.indices.buffer] : [];
+    postMessage({ id: data.id, type: 'result', ...result }, transfer);
+  } catch (error) {
+    postMessage({ id: data.id, type: 'error', message: error.message });
+  }
+};